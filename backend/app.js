@@ -0,0 +1,146 @@
+import express from 'express';
+import cors from 'cors';
+import dotenv from 'dotenv';
+import uploadRoutes from './routes/uploadRoutes.js';
+import webhookRoutes from './routes/webhookRoutes.js';
+import videoRoutes from './routes/videoRoutes.js';
+import storageRoutes from './routes/storageRoutes.js';
+import storage from './services/storage/index.js';
+import redis from './config/redis.js';
+import authConfig from './config/auth.js';
+import { registry, httpMetrics } from './services/metrics.js';
+import { requestId, REQUEST_ID_HEADER } from './middleware/requestId.js';
+import { authenticate, requireAdmin } from './middleware/auth.js';
+import logger from './utils/logger.js';
+
+dotenv.config();
+
+// The Express app: middleware and routes. server.js starts it listening.
+const app = express();
+
+// Middleware
+app.use(requestId);
+app.use(httpMetrics);
+app.use(cors({
+  origin: authConfig.corsOrigins.includes('*') ? '*' : authConfig.corsOrigins,
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'x-amz-checksum-sha256', REQUEST_ID_HEADER],
+  // Multipart uploads to local storage read each part's ETag
+  exposedHeaders: ['ETag', REQUEST_ID_HEADER],
+}));
+
+// Local storage driver: serve its signed URLs from this API
+if (storage.name === 'local') {
+  app.use('/storage', storageRoutes);
+}
+
+// Keep the raw body so signed callbacks can be verified byte for byte
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+}));
+app.use(express.urlencoded({ extended: true }));
+
+// Routes
+app.use('/api/upload', uploadRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/videos', videoRoutes);
+
+// Health check
+app.get('/health', async (req, res) => {
+  try {
+    await redis.ping();
+    res.json({
+      success: true,
+      message: 'Server is healthy',
+      redis: 'connected',
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server is unhealthy',
+      redis: 'disconnected',
+      error: error.message,
+    });
+  }
+});
+
+// Prometheus metrics - admins only, since they expose owners' activity and the
+// host's disk. Scrape with an admin API key or token as a Bearer credential.
+app.get('/metrics', authenticate, requireAdmin, async (req, res) => {
+  try {
+    res.set('Content-Type', registry.contentType);
+    res.send(await registry.metrics());
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to collect metrics',
+      error: error.message,
+    });
+  }
+});
+
+// Root endpoint
+app.get('/', (req, res) => {
+  res.json({
+    success: true,
+    message: 'Video Upload Service API',
+    version: '1.0.0',
+    endpoints: {
+      health: 'GET /health',
+      metrics: 'GET /metrics (admin)',
+      initiateUpload: 'POST /api/upload/initiate',
+      signParts: 'POST /api/upload/parts/sign',
+      recordPart: 'POST /api/upload/parts',
+      getParts: 'GET /api/upload/parts/:videoId',
+      completeUpload: 'POST /api/upload/complete',
+      abortUpload: 'POST /api/upload/abort',
+      processVideo: 'POST /api/upload/process',
+      cancelVideo: 'POST /api/upload/cancel/:videoId',
+      getJobStatus: 'GET /api/upload/jobs/:jobId',
+      getQuota: 'GET /api/upload/quota',
+      analyzeVideo: 'POST /api/upload/analyze',
+      retryFailedAnalysis: 'POST /api/upload/analyze/retry',
+      getAnalysis: 'GET /api/upload/analysis/:videoId',
+      getChunks: 'GET /api/upload/chunks/:videoId',
+      analysisCallback: 'POST /api/upload/analysis/callback',
+      listVideos: 'GET /api/videos',
+      deleteVideo: 'DELETE /api/videos/:videoId',
+      restoreVideo: 'POST /api/videos/:videoId/restore',
+      sweepVideos: 'POST /api/videos/sweep',
+      rehydrateVideos: 'POST /api/videos/rehydrate',
+      registerWebhook: 'POST /api/webhooks',
+      listWebhooks: 'GET /api/webhooks',
+      getWebhook: 'GET /api/webhooks/:webhookId',
+      deleteWebhook: 'DELETE /api/webhooks/:webhookId',
+      webhookDeliveries: 'GET /api/webhooks/:webhookId/deliveries',
+      getDelivery: 'GET /api/webhooks/deliveries/:deliveryId',
+      replayDelivery: 'POST /api/webhooks/deliveries/:deliveryId/replay',
+      getStatus: 'GET /api/upload/status/:videoId',
+      verifyVideo: 'POST /api/upload/verify',
+      videoToken: 'POST /api/upload/token/:videoId',
+      streamEvents: 'GET /api/upload/events/:videoId',
+      hlsPlaylist: 'GET /api/upload/hls/:videoId/playlist.m3u8',
+      hlsVariantPlaylist: 'GET /api/upload/hls/:videoId/:rendition/playlist.m3u8',
+      getPlayback: 'GET /api/upload/playback/:videoId',
+      streamVideo: 'GET /api/upload/stream/:videoId',
+      createClip: 'POST /api/upload/clips/:videoId',
+      listClips: 'GET /api/upload/clips/:videoId',
+      getClip: 'GET /api/upload/clips/:videoId/:clipId',
+      getThumbnails: 'GET /api/upload/thumbnails/:videoId',
+    },
+  });
+});
+
+// Error handling middleware
+app.use((err, req, res, next) => {
+  logger.error('Unhandled error', { error: err });
+  res.status(500).json({
+    success: false,
+    message: 'Internal server error',
+    error: err.message,
+  });
+});
+
+export default app;
@@ -0,0 +1,42 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// API keys: comma-separated "key:ownerId" or "key:ownerId:scope1|scope2" entries
+const parseApiKeys = (value) => {
+  const keys = new Map();
+
+  for (const entry of (value || '').split(',').map((item) => item.trim()).filter(Boolean)) {
+    const [key, ownerId, scopes] = entry.split(':');
+    if (!key || !ownerId) {
+      throw new Error(`Invalid API_KEYS entry "${entry}"; expected key:ownerId[:scope1|scope2]`);
+    }
+    keys.set(key, { ownerId, scopes: scopes ? scopes.split('|') : [] });
+  }
+
+  return keys;
+};
+
+// PEM keys are usually kept on one line in .env with literal \n
+const pem = (value) => (value ? value.replace(/\\n/g, '\n') : undefined);
+
+const authConfig = {
+  apiKeys: parseApiKeys(process.env.API_KEYS),
+  // HS256 tokens are verified with the shared secret, RS256 tokens with the public key
+  jwtSecret: process.env.JWT_SECRET,
+  jwtPublicKey: pem(process.env.JWT_PUBLIC_KEY),
+  jwtIssuer: process.env.JWT_ISSUER || undefined,
+  jwtAudience: process.env.JWT_AUDIENCE || undefined,
+  // Holders of this scope can see and act on every owner's videos
+  adminScope: process.env.ADMIN_SCOPE || 'admin',
+  // Signs the short-lived per-video tokens that stand in for a credential in
+  // event stream and playback URLs; tokens are valid for videoTokenTtl seconds
+  videoTokenSecret: process.env.VIDEO_TOKEN_SECRET || undefined,
+  videoTokenTtl: parseInt(process.env.VIDEO_TOKEN_TTL) || 3600,
+  corsOrigins: (process.env.CORS_ORIGINS || 'http://localhost:5173')
+    .split(',')
+    .map((origin) => origin.trim())
+    .filter(Boolean),
+};
+
+export default authConfig;
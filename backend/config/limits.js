@@ -0,0 +1,31 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Rate limits are "<requests>/<seconds>", e.g. "20/60" for 20 requests a minute
+const parseRate = (value, fallback) => {
+  const [limit, seconds] = (value || fallback).split('/').map(Number);
+  if (!limit || !seconds) {
+    throw new Error(`Invalid rate limit "${value}"; expected <requests>/<seconds>`);
+  }
+  return { limit, windowMs: seconds * 1000 };
+};
+
+const limits = {
+  // Sliding-window limits per credential, per route
+  rates: {
+    default: parseRate(process.env.RATE_LIMIT_DEFAULT, '300/60'),
+    initiate: parseRate(process.env.RATE_LIMIT_INITIATE, '20/60'),
+    process: parseRate(process.env.RATE_LIMIT_PROCESS, '10/60'),
+    analyze: parseRate(process.env.RATE_LIMIT_ANALYZE, '10/60'),
+    clip: parseRate(process.env.RATE_LIMIT_CLIP, '20/60'),
+  },
+  // Per-owner quotas; 0 disables a quota
+  quotas: {
+    storageBytes: parseInt(process.env.QUOTA_STORAGE_BYTES ?? 100 * 1024 * 1024 * 1024), // 100 GB
+    concurrentJobs: parseInt(process.env.QUOTA_CONCURRENT_JOBS ?? 2),
+    analysisMinutesPerMonth: parseInt(process.env.QUOTA_ANALYSIS_MINUTES ?? 6000),
+  },
+};
+
+export default limits;
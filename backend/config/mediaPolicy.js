@@ -0,0 +1,24 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const list = (value, fallback) =>
+  (value || fallback)
+    .split(',')
+    .map((item) => item.trim().toLowerCase())
+    .filter(Boolean);
+
+// What the service accepts. Every limit can be overridden from the environment.
+const mediaPolicy = {
+  maxFileSize: parseInt(process.env.MAX_UPLOAD_SIZE) || 20 * 1024 * 1024 * 1024, // 20 GB
+  maxDuration: parseFloat(process.env.MAX_VIDEO_DURATION) || 4 * 60 * 60, // 4 hours
+  maxHeight: parseInt(process.env.MAX_VIDEO_HEIGHT) || 2160,
+  requireAudio: process.env.REQUIRE_AUDIO === 'true',
+  allowedExtensions: list(process.env.ALLOWED_EXTENSIONS, 'mp4,mov,m4v,mkv,webm,avi,ts'),
+  // Matched against ffprobe's format_name, which is itself a comma list (e.g. "mov,mp4,m4a,3gp,3g2,mj2")
+  allowedContainers: list(process.env.ALLOWED_CONTAINERS, 'mov,mp4,matroska,webm,avi,mpegts'),
+  allowedVideoCodecs: list(process.env.ALLOWED_VIDEO_CODECS, 'h264,hevc,vp8,vp9,av1,mpeg4,prores'),
+  allowedAudioCodecs: list(process.env.ALLOWED_AUDIO_CODECS, 'aac,mp3,opus,vorbis,ac3,eac3,pcm_s16le,pcm_s24le'),
+};
+
+export default mediaPolicy;
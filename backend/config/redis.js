@@ -1,5 +1,6 @@
 import Redis from 'ioredis';
 import dotenv from 'dotenv';
+import logger from '../utils/logger.js';
 
 dotenv.config();
 
@@ -13,11 +14,11 @@ const redis = new Redis({
 });
 
 redis.on('connect', () => {
-  console.log('✅ Redis connected successfully');
+  logger.info('Redis connected successfully');
 });
 
 redis.on('error', (err) => {
-  console.error('❌ Redis connection error:', err);
+  logger.error('Redis connection error', { error: err });
 });
 
 export default redis;
\ No newline at end of file
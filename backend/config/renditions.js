@@ -0,0 +1,94 @@
+import dotenv from 'dotenv';
+import logger from '../utils/logger.js';
+
+dotenv.config();
+
+// Default ABR ladder. Bitrates are in kbps.
+const DEFAULT_RENDITION_LADDER = [
+  { name: '1080p', height: 1080, videoBitrate: 5000, audioBitrate: 128 },
+  { name: '720p', height: 720, videoBitrate: 2800, audioBitrate: 128 },
+  { name: '480p', height: 480, videoBitrate: 1400, audioBitrate: 96 },
+];
+
+export const TRANSCODE_PRESET = process.env.TRANSCODE_PRESET || 'veryfast';
+
+const validateRendition = (rendition) => {
+  if (!rendition || typeof rendition !== 'object') {
+    throw new Error('Each rendition must be an object');
+  }
+
+  const { name, height, videoBitrate, audioBitrate = 128 } = rendition;
+
+  if (typeof name !== 'string' || !/^[a-zA-Z0-9_-]+$/.test(name) || name === 'source') {
+    throw new Error(`Invalid rendition name: ${name}`);
+  }
+  if (!Number.isInteger(height) || height < 144 || height > 4320 || height % 2 !== 0) {
+    throw new Error(`Invalid height for rendition ${name}: ${height}`);
+  }
+  if (!Number.isFinite(videoBitrate) || videoBitrate <= 0) {
+    throw new Error(`Invalid videoBitrate for rendition ${name}: ${videoBitrate}`);
+  }
+  if (!Number.isFinite(audioBitrate) || audioBitrate <= 0) {
+    throw new Error(`Invalid audioBitrate for rendition ${name}: ${audioBitrate}`);
+  }
+
+  return { name, height, videoBitrate, audioBitrate };
+};
+
+const validateLadder = (ladder) => {
+  if (!Array.isArray(ladder)) {
+    throw new Error('Rendition ladder must be an array');
+  }
+
+  const renditions = ladder.map(validateRendition);
+  const names = new Set(renditions.map((r) => r.name));
+  if (names.size !== renditions.length) {
+    throw new Error('Rendition names must be unique');
+  }
+
+  // Highest quality first, which is also the order players list variants in
+  return renditions.sort((a, b) => b.height - a.height);
+};
+
+const loadConfiguredLadder = () => {
+  if (!process.env.RENDITION_LADDER) {
+    return DEFAULT_RENDITION_LADDER;
+  }
+
+  try {
+    return validateLadder(JSON.parse(process.env.RENDITION_LADDER));
+  } catch (error) {
+    logger.error(`Invalid RENDITION_LADDER, using defaults: ${error.message}`);
+    return DEFAULT_RENDITION_LADDER;
+  }
+};
+
+export const RENDITION_LADDER = loadConfiguredLadder();
+
+// Resolve the ladder for one upload. overrides may be:
+//   - undefined: use the configured ladder
+//   - an array of names: pick those renditions from the configured ladder
+//   - an array of rendition objects: a custom ladder
+//   - an empty array: no transcoding (source quality only)
+// Throws with a user-facing message if the override is invalid.
+export const resolveRenditionLadder = (overrides) => {
+  if (overrides === undefined || overrides === null) {
+    return RENDITION_LADDER;
+  }
+
+  if (!Array.isArray(overrides)) {
+    throw new Error('renditions must be an array');
+  }
+
+  if (overrides.every((o) => typeof o === 'string')) {
+    return validateLadder(overrides.map((name) => {
+      const rendition = RENDITION_LADDER.find((r) => r.name === name);
+      if (!rendition) {
+        throw new Error(`Unknown rendition: ${name}`);
+      }
+      return rendition;
+    }));
+  }
+
+  return validateLadder(overrides);
+};
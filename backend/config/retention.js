@@ -0,0 +1,20 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Video lifecycle rules applied on delete and by the sweeper; 0 disables a rule
+const retention = {
+  // How long a deleted video can be restored before it is purged
+  deleteGraceHours: parseFloat(process.env.DELETE_GRACE_HOURS ?? 24),
+  // Delete the original upload this many days after it was chunked (chunks, HLS and thumbnails stay)
+  originalDays: parseFloat(process.env.RETENTION_ORIGINAL_DAYS ?? 0),
+  // Delete uploads that never made it through processing (failed, rejected,
+  // aborted or abandoned mid-upload) after this many days without activity
+  failedDays: parseFloat(process.env.RETENTION_FAILED_DAYS ?? 7),
+  // Remove temp files and chunk directories left behind by crashed jobs after this many hours
+  tempMaxAgeHours: parseFloat(process.env.TEMP_MAX_AGE_HOURS ?? 6),
+  // How often each worker runs the sweeper
+  sweepIntervalMinutes: parseFloat(process.env.SWEEP_INTERVAL_MINUTES ?? 60),
+};
+
+export default retention;
@@ -1,14 +1,17 @@
 import { S3Client } from '@aws-sdk/client-s3';
+import storageConfig from './storage.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
 
 const s3Client = new S3Client({
-  region: process.env.AWS_REGION,
+  region: storageConfig.s3.region,
+  endpoint: storageConfig.s3.endpoint,
+  forcePathStyle: storageConfig.s3.forcePathStyle,
   credentials: {
     accessKeyId: process.env.AWS_ACCESS_KEY_ID,
     secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
   },
 });
 
-export default s3Client;
\ No newline at end of file
+export default s3Client;
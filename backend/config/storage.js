@@ -0,0 +1,29 @@
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+dotenv.config();
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Where video objects live. "s3" talks to AWS S3 or any S3-compatible store
+// (MinIO etc. via S3_ENDPOINT); "local" keeps them on disk and serves signed
+// URLs from this API, so the whole pipeline runs offline.
+const storageConfig = {
+  driver: process.env.STORAGE_DRIVER === 'local' ? 'local' : 's3',
+  bucket: process.env.S3_BUCKET_NAME,
+  s3: {
+    region: process.env.AWS_REGION,
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    // MinIO and most self-hosted stores need path-style URLs (http://host/bucket/key)
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+  },
+  local: {
+    rootDir: process.env.STORAGE_LOCAL_DIR || path.join(__dirname, '../../storage'),
+    // Base URL signed URLs point at - must be reachable by browsers, the worker's ffprobe and FastAPI
+    publicUrl: (process.env.STORAGE_PUBLIC_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, ''),
+    signingSecret: process.env.STORAGE_SIGNING_SECRET,
+  },
+};
+
+export default storageConfig;
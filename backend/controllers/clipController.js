@@ -0,0 +1,132 @@
+import storage from '../services/storage/index.js';
+import { getSession } from '../services/sessionStore.js';
+import { createClip, getClip, listClips, isClippable } from '../services/clips.js';
+import { canAccessSession } from '../middleware/auth.js';
+import logger from '../utils/logger.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const CLIP_URL_EXPIRY = parseInt(process.env.CLIP_URL_EXPIRY) || 3600;
+
+// Load a video the caller may access. Other owners' and deleted videos get a 404.
+const loadVideo = async (req, res, videoId) => {
+  const uploadSession = await getSession(videoId);
+  if (!uploadSession || uploadSession.status === 'deleted' || !canAccessSession(req.auth, uploadSession)) {
+    res.status(404).json({
+      success: false,
+      message: 'Video not found',
+    });
+    return null;
+  }
+
+  return uploadSession;
+};
+
+// A clip as returned to clients, with a signed download URL once it's ready
+const toClipResponse = async (clip) => ({
+  ...clip,
+  ...(clip.status === 'completed' && {
+    downloadUrl: await storage.getReadUrl(clip.key, { expiresIn: CLIP_URL_EXPIRY }),
+    downloadUrlExpiresIn: CLIP_URL_EXPIRY,
+  }),
+});
+
+// Cut a clip - { start, end } in seconds, or { eventId, padding } around an
+// analysis event - with mode "copy" (fast, keyframe-aligned) or "reencode"
+// (frame-accurate). Runs in the worker; poll the clip for its status.
+export const createVideoClip = async (req, res) => {
+  try {
+    const { videoId } = req.params;
+    const { start, end, eventId, padding, mode } = req.body;
+
+    const uploadSession = await loadVideo(req, res, videoId);
+    if (!uploadSession) return;
+
+    if (!isClippable(uploadSession)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Video has not been processed yet, or has nothing left to cut from',
+        currentStatus: uploadSession.status,
+      });
+    }
+
+    let clip;
+    try {
+      clip = await createClip(uploadSession, { start, end, eventId, padding, mode });
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError.message,
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      clip,
+      message: 'Clip queued',
+    });
+  } catch (error) {
+    logger.error('Error creating clip', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create clip',
+      error: error.message,
+    });
+  }
+};
+
+// List a video's clips, newest first
+export const listVideoClips = async (req, res) => {
+  try {
+    const { videoId } = req.params;
+
+    const uploadSession = await loadVideo(req, res, videoId);
+    if (!uploadSession) return;
+
+    const clips = await listClips(videoId);
+
+    res.json({
+      success: true,
+      videoId,
+      clips: await Promise.all(clips.map(toClipResponse)),
+    });
+  } catch (error) {
+    logger.error('Error listing clips', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list clips',
+      error: error.message,
+    });
+  }
+};
+
+// Get one clip's status, and its download URL once completed
+export const getVideoClip = async (req, res) => {
+  try {
+    const { videoId, clipId } = req.params;
+
+    const uploadSession = await loadVideo(req, res, videoId);
+    if (!uploadSession) return;
+
+    const clip = await getClip(videoId, clipId);
+    if (!clip) {
+      return res.status(404).json({
+        success: false,
+        message: 'Clip not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      clip: await toClipResponse(clip),
+    });
+  } catch (error) {
+    logger.error('Error getting clip', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get clip',
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,86 @@
+import storage, { ObjectNotFoundError } from '../services/storage/index.js';
+import { BadDigestError } from '../services/storage/localDriver.js';
+import logger from '../utils/logger.js';
+
+// Serves the signed URLs handed out by the local storage driver, standing in
+// for S3 presigned URLs. Only mounted when STORAGE_DRIVER=local.
+
+const CHECKSUM_HEADER = 'x-amz-checksum-sha256';
+
+const forbidden = (res) => res.status(403).json({
+  success: false,
+  message: 'Signature is invalid or has expired',
+});
+
+const sendStorageError = (res, error, action) => {
+  if (error instanceof ObjectNotFoundError) {
+    return res.status(404).json({ success: false, message: error.message });
+  }
+  if (error instanceof BadDigestError) {
+    return res.status(400).json({ success: false, message: error.message, code: 'BadDigest' });
+  }
+  logger.error(`Error ${action}`, { error });
+  res.status(500).json({
+    success: false,
+    message: `Failed ${action}`,
+    error: error.message,
+  });
+};
+
+// GET (and HEAD) a signed read URL. Range requests are supported, so video and
+// HLS players can seek.
+export const readObject = async (req, res) => {
+  try {
+    const key = req.params[0];
+    const { expires, signature } = req.query;
+
+    if (!storage.verifySignedRequest({ method: 'GET', resource: key, expires, signature })) {
+      return forbidden(res);
+    }
+
+    const head = await storage.headObject(key);
+    res.sendFile(storage.objectFilePath(key), {
+      headers: { 'Content-Type': head.contentType },
+      dotfiles: 'allow',
+    });
+  } catch (error) {
+    sendStorageError(res, error, 'reading object');
+  }
+};
+
+// PUT to a signed write URL. The x-amz-checksum-sha256 header is covered by
+// the signature and the bytes must match it.
+export const writeObject = async (req, res) => {
+  try {
+    const key = req.params[0];
+    const { expires, signature, contentType } = req.query;
+    const checksumSha256 = req.get(CHECKSUM_HEADER);
+
+    if (!storage.verifySignedRequest({ method: 'PUT', resource: key, expires, signature, checksumSha256, contentType })) {
+      return forbidden(res);
+    }
+
+    const etag = await storage.writeObjectStream(key, req, { contentType, checksumSha256 });
+    res.set('ETag', etag).status(200).end();
+  } catch (error) {
+    sendStorageError(res, error, 'writing object');
+  }
+};
+
+// PUT one part of a multipart upload to its signed URL
+export const writePart = async (req, res) => {
+  try {
+    const { uploadId, partNumber } = req.params;
+    const { expires, signature } = req.query;
+    const checksumSha256 = req.get(CHECKSUM_HEADER);
+
+    if (!storage.verifySignedRequest({ method: 'PUT', resource: `${uploadId}/${partNumber}`, expires, signature, checksumSha256 })) {
+      return forbidden(res);
+    }
+
+    const etag = await storage.writePartStream(uploadId, Number(partNumber), req, { checksumSha256 });
+    res.set('ETag', etag).status(200).end();
+  } catch (error) {
+    sendStorageError(res, error, 'writing part');
+  }
+};
@@ -1,34 +1,74 @@
-import { PutObjectCommand, GetObjectCommand } from '@aws-sdk/client-s3';
-import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
-import s3Client from '../config/s3.js';
+import storage, { ObjectNotFoundError, readObjectText } from '../services/storage/index.js';
 import redis from '../config/redis.js';
-import axios from 'axios';
+import { getSession, saveSession, touchSession, SESSION_TTL } from '../services/sessionStore.js';
+import { processingQueue } from '../services/queues.js';
+import { publishStatus, publishProgress, subscribeToVideo } from '../services/progressEvents.js';
+import { hlsPrefix, rewritePlaylistUris } from '../services/hlsPackager.js';
+import { resolveRenditionLadder } from '../config/renditions.js';
+import { resolveSegmentationSpec } from '../services/segmentation.js';
+import { validateUploadRequest } from '../services/mediaValidation.js';
+import { canAccessSession, isVideoTokenConfigured, issueVideoToken } from '../middleware/auth.js';
+import authConfig from '../config/auth.js';
+import { verifyStoredObjects } from '../services/integrity.js';
+import { runChunkAnalysis, getChunkStates } from '../services/chunkAnalysis.js';
+import { getTimeline, validateTimelineQuery, filterTimeline } from '../services/analysisTimeline.js';
+import {
+  ANALYSIS_MODE,
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  CallbackAuthError,
+  submitAnalysis,
+  verifyCallback,
+  recordCallbackResult,
+} from '../services/analysisCallbacks.js';
+import {
+  QuotaExceededError,
+  reserveStorage,
+  releaseStorage,
+  acquireJobSlot,
+  releaseJobSlot,
+  checkAnalysisMinutes,
+  getQuotaUsage,
+  setQuotaHeaders,
+  sendQuotaExceeded,
+} from '../services/quotas.js';
+import { writeManifest } from '../services/manifest.js';
+import { getPlaybackSource, concatChunks } from '../services/playback.js';
+import { listBusyClips } from '../services/clips.js';
+import { requestCancel } from '../services/cancellation.js';
+import { acquireLock, videoLockKey } from '../services/locks.js';
+import {
+  recordUploadStarted,
+  recordUploadCompleted,
+  recordVideoOutcome,
+  recordAnalysisCallback,
+} from '../services/metrics.js';
+import { isSha256Hex } from '../utils/checksum.js';
+import { parseRange, etagMatches } from '../utils/httpRange.js';
+import logger, { bindLogContext } from '../utils/logger.js';
 import { v4 as uuidv4 } from 'uuid';
 import dotenv from 'dotenv';
-import fs from 'fs';
 import path from 'path';
-import { execSync } from 'child_process';
-import { fileURLToPath } from 'url';
+import { pipeline } from 'stream/promises';
 
 dotenv.config();
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-const BUCKET_NAME = process.env.S3_BUCKET_NAME;
 const PRESIGNED_URL_EXPIRY = parseInt(process.env.PRESIGNED_URL_EXPIRY) || 3600;
-const FASTAPI_URL = process.env.FASTAPI_URL || 'http://localhost:8000';
-const TEMP_DIR = path.join(__dirname, '../../temp');
+const PLAYBACK_URL_EXPIRY = 86400; // 24 hours for playback
 
-// Ensure temp directory exists
-if (!fs.existsSync(TEMP_DIR)) {
-  fs.mkdirSync(TEMP_DIR, { recursive: true });
-}
+// S3 multipart limits: parts must be >= 5 MB (except the last) and at most 10,000 per upload
+const MIN_PART_SIZE = 5 * 1024 * 1024;
+const MAX_PARTS = 10000;
+const PART_SIZE = Math.max(
+  parseInt(process.env.MULTIPART_PART_SIZE) || 16 * 1024 * 1024,
+  MIN_PART_SIZE
+);
 
-// Initiate upload - generate presigned URL for full video upload
+// Initiate upload - create a multipart upload for the full video
 export const initiateUpload = async (req, res) => {
   try {
-    const { fileName, fileSize } = req.body;
+    bindLogContext({ stage: 'upload' });
+    const { fileName, fileSize, contentType, renditions, segmentation, sha256 } = req.body;
 
     if (!fileName || !fileSize) {
       return res.status(400).json({
@@ -37,43 +77,94 @@ export const initiateUpload = async (req, res) => {
       });
     }
 
+    // SHA-256 of the whole file, checked by the worker against what storage kept
+    if (!isSha256Hex(sha256)) {
+      return res.status(400).json({
+        success: false,
+        message: 'sha256 must be the hex SHA-256 of the file',
+      });
+    }
+
+    // Reject files the media policy won't accept before anything is uploaded
+    let signedContentType;
+    try {
+      signedContentType = validateUploadRequest({ fileName, fileSize, contentType });
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError.message,
+        code: validationError.code,
+        errors: validationError.errors,
+      });
+    }
+
+    // Optional per-upload overrides of the transcoding ladder and segmentation strategy
+    let renditionLadder;
+    let segmentationSpec;
+    try {
+      renditionLadder = resolveRenditionLadder(renditions);
+      segmentationSpec = resolveSegmentationSpec(segmentation);
+    } catch (specError) {
+      return res.status(400).json({
+        success: false,
+        message: specError.message,
+      });
+    }
+
+    // Count the file against the owner's storage quota before anything is uploaded
+    const ownerId = req.auth.ownerId;
+    const storageQuota = await reserveStorage(ownerId, fileSize);
+    setQuotaHeaders(res, storageQuota);
+
     const videoId = uuidv4();
+    bindLogContext({ videoId });
     const key = `videos/${videoId}/original/${fileName}`;
 
-    // Generate presigned URL for uploading the full video
-    const command = new PutObjectCommand({
-      Bucket: BUCKET_NAME,
-      Key: key,
-      ContentType: 'video/mp4',
-    });
+    // Grow the part size for very large files so we stay under the S3 part limit
+    const partSize = Math.max(PART_SIZE, Math.ceil(fileSize / MAX_PARTS));
+    const totalParts = Math.ceil(fileSize / partSize);
 
-    const uploadUrl = await getSignedUrl(s3Client, command, {
-      expiresIn: PRESIGNED_URL_EXPIRY,
-    });
+    let uploadId;
+    try {
+      uploadId = await storage.createMultipartUpload(key, { contentType: signedContentType });
+    } catch (storageError) {
+      await releaseStorage(ownerId, fileSize);
+      throw storageError;
+    }
 
     // Store upload session in Redis
     const uploadSession = {
       videoId,
       fileName,
       fileSize,
+      contentType: signedContentType,
+      sha256: sha256.toLowerCase(),
+      ownerId,
       originalKey: key,
+      uploadId,
+      partSize,
+      totalParts,
+      renditionLadder,
+      segmentation: segmentationSpec,
       status: 'uploading',
       createdAt: new Date().toISOString(),
     };
 
-    await redis.setex(
-      `upload:${videoId}`,
-      7200, // 2 hours expiry
-      JSON.stringify(uploadSession)
-    );
+    await saveSession(uploadSession);
+    recordUploadStarted();
 
     res.json({
       success: true,
       videoId,
-      uploadUrl,
+      uploadId,
+      partSize,
+      totalParts,
     });
   } catch (error) {
-    console.error('Error initiating upload:', error);
+    if (error instanceof QuotaExceededError) {
+      return sendQuotaExceeded(res, error);
+    }
+    logger.error('Error initiating upload', { error });
     res.status(500).json({
       success: false,
       message: 'Failed to initiate upload',
@@ -82,188 +173,240 @@ export const initiateUpload = async (req, res) => {
   }
 };
 
-// Process video - download, chunk with FFmpeg, upload chunks to S3
-export const processVideo = async (req, res) => {
-  try {
-    const { videoId } = req.body;
+const partsKey = (videoId) => `upload:${videoId}:parts`;
+const partChecksumsKey = (videoId) => `upload:${videoId}:checksums`;
 
-    if (!videoId) {
-      return res.status(400).json({
-        success: false,
-        message: 'videoId is required',
-      });
-    }
+// Fetch the parts storage has actually received and sync them into the Redis parts hash.
+// The client can lose a part's ETag (reload, dropped response) after storage kept it,
+// so storage is the source of truth when resuming.
+const syncPartsFromStorage = async (uploadSession) => {
+  const parts = {};
+  const checksums = {};
 
-    const sessionData = await redis.get(`upload:${videoId}`);
-    if (!sessionData) {
-      return res.status(404).json({
-        success: false,
-        message: 'Upload session not found',
-      });
+  for (const part of await storage.listParts(uploadSession.originalKey, uploadSession.uploadId)) {
+    parts[part.partNumber] = part.etag;
+    if (part.checksumSha256) {
+      checksums[part.partNumber] = part.checksumSha256;
     }
+  }
 
-    const uploadSession = JSON.parse(sessionData);
+  if (Object.keys(parts).length > 0) {
+    await redis.hset(partsKey(uploadSession.videoId), parts);
+    await redis.expire(partsKey(uploadSession.videoId), SESSION_TTL);
+  }
+  if (Object.keys(checksums).length > 0) {
+    await redis.hset(partChecksumsKey(uploadSession.videoId), checksums);
+    await redis.expire(partChecksumsKey(uploadSession.videoId), SESSION_TTL);
+  }
 
-    // Update status
-    uploadSession.status = 'processing';
-    await redis.setex(`upload:${videoId}`, 7200, JSON.stringify(uploadSession));
+  return parts;
+};
 
-    console.log(`🎬 Starting video processing for ${videoId}...`);
+const getMissingParts = (uploadSession, parts) => {
+  const missingParts = [];
+  for (let partNumber = 1; partNumber <= uploadSession.totalParts; partNumber++) {
+    if (!parts[partNumber]) {
+      missingParts.push(partNumber);
+    }
+  }
+  return missingParts;
+};
 
-    // 1. Download video from S3 to temp directory
-    const originalKey = uploadSession.originalKey;
-    const tempInputPath = path.join(TEMP_DIR, `${videoId}_input.mp4`);
-    
-    console.log(`📥 Downloading video from S3...`);
-    const getCommand = new GetObjectCommand({
-      Bucket: BUCKET_NAME,
-      Key: originalKey,
+// Load a session the caller may access. Sessions owned by someone else get the
+// same 404 as missing ones, so video ids can't be probed; so do soft-deleted
+// videos until they are restored.
+const loadSession = async (req, res, videoId) => {
+  bindLogContext({ videoId });
+  const uploadSession = await getSession(videoId);
+  if (!uploadSession || uploadSession.status === 'deleted' || !canAccessSession(req.auth, uploadSession)) {
+    res.status(404).json({
+      success: false,
+      message: 'Upload session not found',
     });
+    return null;
+  }
+
+  return uploadSession;
+};
+
+// Load an upload session that is still accepting parts
+const getUploadingSession = async (req, res, videoId) => {
+  const uploadSession = await loadSession(req, res, videoId);
+  if (!uploadSession) return null;
 
-    const s3Response = await s3Client.send(getCommand);
-    const videoStream = s3Response.Body;
-    
-    // Write to temp file
-    await new Promise((resolve, reject) => {
-      const writeStream = fs.createWriteStream(tempInputPath);
-      videoStream.pipe(writeStream);
-      writeStream.on('finish', resolve);
-      writeStream.on('error', reject);
+  if (uploadSession.status !== 'uploading') {
+    res.status(400).json({
+      success: false,
+      message: 'Upload is not in progress',
+      currentStatus: uploadSession.status,
     });
+    return null;
+  }
 
-    console.log(`✅ Video downloaded: ${tempInputPath}`);
+  return uploadSession;
+};
 
-    // 2. Get video duration using FFprobe
-    const durationCmd = `ffprobe -v error -show_entries format=duration -of default=noprint_wrappers=1:nokey=1 "${tempInputPath}"`;
-    const durationOutput = execSync(durationCmd).toString().trim();
-    const totalDuration = parseFloat(durationOutput);
-    console.log(`📊 Video duration: ${totalDuration} seconds`);
+// A part checksum is the base64 SHA-256 of the part's bytes
+const isPartChecksum = (value) => typeof value === 'string' && /^[A-Za-z0-9+/]{43}=$/.test(value);
 
-    // 3. Chunk video using FFmpeg (segment at 120 seconds, ~2 minutes)
-    const chunkDuration = 120; // 2 minutes
-    const chunksDir = path.join(TEMP_DIR, videoId);
-    
-    if (!fs.existsSync(chunksDir)) {
-      fs.mkdirSync(chunksDir, { recursive: true });
-    }
+// Sign part upload URLs - client requests URLs for the parts it is about to send,
+// with the SHA-256 of each part. The checksum is signed into the URL, so storage
+// rejects a part whose bytes don't match it.
+export const signParts = async (req, res) => {
+  try {
+    bindLogContext({ stage: 'upload' });
+    const { videoId, partNumbers, checksums = {} } = req.body;
 
-    console.log(`✂️  Chunking video with FFmpeg (${chunkDuration}s segments)...`);
-    
-    const chunkPattern = path.join(chunksDir, 'chunk_%03d.mp4');
-    
-    // FFmpeg command: segment video at keyframes, each chunk is valid MP4
-    const ffmpegCmd = `ffmpeg -i "${tempInputPath}" \
-      -c copy \
-      -f segment \
-      -segment_time ${chunkDuration} \
-      -reset_timestamps 1 \
-      -map 0 \
-      "${chunkPattern}"`;
+    if (!videoId || !Array.isArray(partNumbers) || partNumbers.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'videoId and partNumbers are required',
+      });
+    }
 
-    execSync(ffmpegCmd, { stdio: 'inherit' });
+    const uploadSession = await getUploadingSession(req, res, videoId);
+    if (!uploadSession) return;
 
-    console.log(`✅ Video chunked successfully`);
+    const invalidPart = partNumbers.find(
+      (n) => !Number.isInteger(n) || n < 1 || n > uploadSession.totalParts
+    );
+    if (invalidPart !== undefined) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid part number: ${invalidPart}`,
+      });
+    }
 
-    // 4. Get list of chunk files
-    const chunkFiles = fs.readdirSync(chunksDir)
-      .filter(f => f.startsWith('chunk_') && f.endsWith('.mp4'))
-      .sort();
+    const missingChecksum = partNumbers.find((n) => !isPartChecksum(checksums[n]));
+    if (missingChecksum !== undefined) {
+      return res.status(400).json({
+        success: false,
+        message: `checksums must include the base64 SHA-256 of part ${missingChecksum}`,
+      });
+    }
 
-    console.log(`📦 Created ${chunkFiles.length} chunks`);
+    const urls = [];
+    for (const partNumber of partNumbers) {
+      // The client must send the checksum as the x-amz-checksum-sha256 header
+      const url = await storage.getPartUploadUrl(uploadSession.originalKey, uploadSession.uploadId, partNumber, {
+        checksumSha256: checksums[partNumber],
+        expiresIn: PRESIGNED_URL_EXPIRY,
+      });
 
-    // 5. Upload each chunk to S3
-    const chunkS3Keys = [];
-    const chunkPresignedUrls = [];
+      urls.push({ partNumber, url, checksum: checksums[partNumber] });
+    }
 
-    for (let i = 0; i < chunkFiles.length; i++) {
-      const chunkFile = chunkFiles[i];
-      const chunkPath = path.join(chunksDir, chunkFile);
-      const chunkKey = `videos/${videoId}/chunks/${chunkFile}`;
+    // Completing the upload needs each part's checksum as well as its ETag
+    await redis.hset(partChecksumsKey(videoId), Object.fromEntries(
+      partNumbers.map((partNumber) => [partNumber, checksums[partNumber]])
+    ));
+    await redis.expire(partChecksumsKey(videoId), SESSION_TTL);
 
-      console.log(`📤 Uploading chunk ${i + 1}/${chunkFiles.length}: ${chunkFile}`);
+    res.json({
+      success: true,
+      videoId,
+      urls,
+      expiresIn: PRESIGNED_URL_EXPIRY,
+    });
+  } catch (error) {
+    logger.error('Error signing parts', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sign part URLs',
+      error: error.message,
+    });
+  }
+};
 
-      // Read chunk file
-      const chunkBuffer = fs.readFileSync(chunkPath);
+// Record a completed part - client reports the ETag storage returned for a part
+export const recordPart = async (req, res) => {
+  try {
+    bindLogContext({ stage: 'upload' });
+    const { videoId, partNumber, etag } = req.body;
 
-      // Upload to S3
-      const putCommand = new PutObjectCommand({
-        Bucket: BUCKET_NAME,
-        Key: chunkKey,
-        Body: chunkBuffer,
-        ContentType: 'video/mp4',
+    if (!videoId || !partNumber || !etag) {
+      return res.status(400).json({
+        success: false,
+        message: 'videoId, partNumber and etag are required',
       });
+    }
 
-      await s3Client.send(putCommand);
+    const uploadSession = await getUploadingSession(req, res, videoId);
+    if (!uploadSession) return;
 
-      // Generate presigned URL for this chunk (for FastAPI)
-      const getCommand = new GetObjectCommand({
-        Bucket: BUCKET_NAME,
-        Key: chunkKey,
+    if (!Number.isInteger(partNumber) || partNumber < 1 || partNumber > uploadSession.totalParts) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid part number: ${partNumber}`,
       });
+    }
 
-      const presignedUrl = await getSignedUrl(s3Client, getCommand, {
-        expiresIn: 3600, // 1 hour
-      });
+    // Parts live in their own hash so parallel part uploads don't race on the session JSON
+    await redis.hset(partsKey(videoId), partNumber, etag);
+    await redis.expire(partsKey(videoId), SESSION_TTL);
 
-      chunkS3Keys.push(chunkKey);
-      chunkPresignedUrls.push(presignedUrl);
+    // Keep the session alive while the upload is making progress
+    await touchSession(videoId);
 
-      console.log(`✅ Chunk ${i + 1} uploaded: ${chunkKey}`);
-    }
+    const completedParts = await redis.hlen(partsKey(videoId));
 
-    // 6. Clean up temp files
-    console.log(`🧹 Cleaning up temp files...`);
-    fs.unlinkSync(tempInputPath);
-    chunkFiles.forEach(f => {
-      fs.unlinkSync(path.join(chunksDir, f));
+    res.json({
+      success: true,
+      videoId,
+      partNumber,
+      completedParts,
+      totalParts: uploadSession.totalParts,
+    });
+  } catch (error) {
+    logger.error('Error recording part', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record part',
+      error: error.message,
     });
-    fs.rmdirSync(chunksDir);
+  }
+};
+
+// Get upload parts - lists completed and missing parts so a client can resume
+export const getParts = async (req, res) => {
+  try {
+    bindLogContext({ stage: 'upload' });
+    const { videoId } = req.params;
 
-    // 7. Update session with chunk info
-    uploadSession.status = 'chunked';
-    uploadSession.totalChunks = chunkFiles.length;
-    uploadSession.chunkKeys = chunkS3Keys;
-    uploadSession.chunkUrls = chunkPresignedUrls;
-    uploadSession.processedAt = new Date().toISOString();
+    const uploadSession = await getUploadingSession(req, res, videoId);
+    if (!uploadSession) return;
 
-    await redis.setex(`upload:${videoId}`, 7200, JSON.stringify(uploadSession));
+    const recordedParts = await redis.hgetall(partsKey(videoId));
+    const storedParts = await syncPartsFromStorage(uploadSession);
+    const parts = { ...recordedParts, ...storedParts };
 
-    console.log(`✅ Video processing complete: ${chunkFiles.length} chunks ready`);
+    const completedParts = Object.keys(parts)
+      .map(Number)
+      .sort((a, b) => a - b);
 
     res.json({
       success: true,
       videoId,
-      totalChunks: chunkFiles.length,
-      chunkUrls: chunkPresignedUrls,
-      message: `Video chunked into ${chunkFiles.length} valid MP4 segments`,
+      uploadId: uploadSession.uploadId,
+      partSize: uploadSession.partSize,
+      totalParts: uploadSession.totalParts,
+      completedParts,
+      missingParts: getMissingParts(uploadSession, parts),
     });
   } catch (error) {
-    console.error('Error processing video:', error);
-    
-    // Update status to failed
-    try {
-      const sessionData = await redis.get(`upload:${req.body.videoId}`);
-      if (sessionData) {
-        const uploadSession = JSON.parse(sessionData);
-        uploadSession.status = 'failed';
-        uploadSession.error = error.message;
-        await redis.setex(`upload:${req.body.videoId}`, 7200, JSON.stringify(uploadSession));
-      }
-    } catch (redisError) {
-      console.error('Failed to update Redis:', redisError);
-    }
-
+    logger.error('Error getting parts', { error });
     res.status(500).json({
       success: false,
-      message: 'Failed to process video',
+      message: 'Failed to get upload parts',
       error: error.message,
     });
   }
 };
 
-// Trigger analysis with FastAPI
-export const analyzeVideo = async (req, res) => {
+// Complete upload - stitch the recorded parts into the original object
+export const completeUpload = async (req, res) => {
   try {
+    bindLogContext({ stage: 'upload' });
     const { videoId } = req.body;
 
     if (!videoId) {
@@ -273,259 +416,1229 @@ export const analyzeVideo = async (req, res) => {
       });
     }
 
-    const sessionData = await redis.get(`upload:${videoId}`);
-    if (!sessionData) {
-      return res.status(404).json({
-        success: false,
-        message: 'Upload session not found',
-      });
-    }
+    const uploadSession = await getUploadingSession(req, res, videoId);
+    if (!uploadSession) return;
 
-    const uploadSession = JSON.parse(sessionData);
+    let parts = await redis.hgetall(partsKey(videoId));
+    let checksums = await redis.hgetall(partChecksumsKey(videoId));
 
-    if (uploadSession.status !== 'chunked') {
+    if (getMissingParts(uploadSession, parts).length > 0 || Object.keys(checksums).length < uploadSession.totalParts) {
+      parts = { ...parts, ...(await syncPartsFromStorage(uploadSession)) };
+      checksums = await redis.hgetall(partChecksumsKey(videoId));
+    }
+
+    const missingParts = getMissingParts(uploadSession, parts);
+    if (missingParts.length > 0) {
       return res.status(400).json({
         success: false,
-        message: 'Video not yet chunked',
-        currentStatus: uploadSession.status,
+        message: `${missingParts.length} parts have not been uploaded`,
+        missingParts,
       });
     }
 
-    // Update status
-    uploadSession.status = 'analyzing';
-    await redis.setex(`upload:${videoId}`, 7200, JSON.stringify(uploadSession));
-
-    const chunkUrls = uploadSession.chunkUrls;
-
-    console.log(`🚀 Sending ${chunkUrls.length} chunk URLs to FastAPI for analysis...`);
-
-    let analysisResults;
+    const completed = await storage.completeMultipartUpload(
+      uploadSession.originalKey,
+      uploadSession.uploadId,
+      Object.entries(parts)
+        .map(([partNumber, etag]) => ({
+          partNumber: Number(partNumber),
+          etag,
+          checksumSha256: checksums[partNumber],
+        }))
+        .sort((a, b) => a.partNumber - b.partNumber)
+    );
+    await redis.del(partsKey(videoId), partChecksumsKey(videoId));
+
+    // The stored checksum of a multipart object is a checksum of the part checksums
+    // ("<base64>-<parts>"); the whole-file SHA-256 is checked by the worker
+    uploadSession.s3Checksum = completed.checksumSha256;
+    uploadSession.status = 'uploaded';
+    uploadSession.uploadedAt = new Date().toISOString();
+    // The original is already stitched together; a manifest failure here is
+    // caught up by the next stage's write
     try {
-      // Option 1: Send URLs as JSON (if FastAPI accepts URLs)
-      // Uncomment and test:
-      // const response = await axios.post(
-      //   `${FASTAPI_URL}/api/v1/batch/analyze-batch`,
-      //   {
-      //     files: chunkUrls,  // Array of URLs
-      //   },
-      //   {
-      //     headers: {
-      //       'Content-Type': 'application/json',
-      //     },
-      //     timeout: 0,
-      //   }
-      // );
-
-      // Option 2: Download chunks and send as actual file uploads
-      // If your FastAPI expects actual file data (not URLs):
-      
-      const formData = new FormData();
-      
-      for (let i = 0; i < chunkUrls.length; i++) {
-        console.log(`📥 Downloading chunk ${i + 1} for FastAPI...`);
-        const response = await axios.get(chunkUrls[i], { responseType: 'arraybuffer' });
-        const blob = new Blob([response.data], { type: 'video/mp4' });
-        formData.append('files', blob, `chunk_${String(i).padStart(3, '0')}.mp4`);
-      }
-
-      const response = await axios.post(
-        `${FASTAPI_URL}/api/v1/batch/analyze-batch`,
-        formData,
-        {
-          headers: {
-            'Content-Type': 'multipart/form-data',
-          },
-          timeout: 0,
-        }
-      );
-      
-
-      analysisResults = response.data;
+      await writeManifest(uploadSession, 'uploaded');
+    } catch (manifestError) {
+      logger.error(`Failed to write manifest for ${videoId}`, { error: manifestError.message });
+    }
+    await saveSession(uploadSession);
+    await publishStatus(uploadSession);
+    recordUploadCompleted(uploadSession.fileSize);
 
-      // Simulated response for now
-      // analysisResults = {
-      //   message: 'Analysis simulated successfully',
-      //   chunksProcessed: chunkUrls.length,
-      //   note: 'All chunks are valid MP4 files with correct metadata!',
-      //   urls: chunkUrls,
-      // };
+    logger.info(`Multipart upload completed for ${videoId} (${uploadSession.totalParts} parts)`);
 
-      console.log('✅ Analysis completed successfully');
-    } catch (analysisError) {
-      console.error('❌ FastAPI analysis error:', analysisError.message);
+    res.json({
+      success: true,
+      videoId,
+      status: 'uploaded',
+      message: 'Upload completed successfully',
+    });
+  } catch (error) {
+    logger.error('Error completing upload', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to complete upload',
+      error: error.message,
+    });
+  }
+};
 
-      uploadSession.status = 'failed';
-      uploadSession.error = analysisError.message;
-      await redis.setex(`upload:${videoId}`, 7200, JSON.stringify(uploadSession));
+// Abort upload - discard the multipart upload and every part stored so far
+export const abortUpload = async (req, res) => {
+  try {
+    bindLogContext({ stage: 'upload' });
+    const { videoId } = req.body;
 
-      return res.status(500).json({
+    if (!videoId) {
+      return res.status(400).json({
         success: false,
-        message: 'Analysis failed',
-        error: analysisError.message,
+        message: 'videoId is required',
       });
     }
 
-    // Update session with results
-    uploadSession.status = 'completed';
-    uploadSession.analysisResults = analysisResults;
-    uploadSession.completedAt = new Date().toISOString();
-    await redis.setex(`upload:${videoId}`, 7200, JSON.stringify(uploadSession));
+    const uploadSession = await getUploadingSession(req, res, videoId);
+    if (!uploadSession) return;
+
+    await storage.abortMultipartUpload(uploadSession.originalKey, uploadSession.uploadId);
+    await redis.del(partsKey(videoId), partChecksumsKey(videoId));
+    await releaseStorage(uploadSession.ownerId, uploadSession.fileSize);
+    uploadSession.storageReleased = true;
+
+    uploadSession.status = 'aborted';
+    uploadSession.abortedAt = new Date().toISOString();
+    await saveSession(uploadSession);
+    await publishStatus(uploadSession);
+    recordVideoOutcome('aborted');
 
     res.json({
       success: true,
       videoId,
-      status: 'completed',
-      analysisResults,
-      message: 'Analysis completed successfully',
+      status: 'aborted',
+      message: 'Upload aborted',
     });
   } catch (error) {
-    console.error('Error analyzing video:', error);
+    logger.error('Error aborting upload', { error });
     res.status(500).json({
       success: false,
-      message: 'Failed to analyze video',
+      message: 'Failed to abort upload',
       error: error.message,
     });
   }
 };
 
-// Get chunk URLs for playback
-export const getChunks = async (req, res) => {
+// Process video - queue the download/chunk/upload work for a worker process
+export const processVideo = async (req, res) => {
+  let lock = null;
   try {
-    const { videoId } = req.params;
+    bindLogContext({ stage: 'process' });
+    const { videoId } = req.body;
 
-    const sessionData = await redis.get(`upload:${videoId}`);
-    if (!sessionData) {
-      return res.status(404).json({
+    if (!videoId) {
+      return res.status(400).json({
+        success: false,
+        message: 'videoId is required',
+      });
+    }
+
+    if (!(await loadSession(req, res, videoId))) return;
+
+    // Held while checking and queueing so concurrent calls can't both queue a
+    // job; the worker holds the same lock for as long as it processes the video
+    lock = await acquireLock(videoLockKey(videoId));
+    if (!lock) {
+      return res.status(409).json({
         success: false,
-        message: 'Upload session not found',
+        message: 'Video is already being processed',
       });
     }
 
-    const uploadSession = JSON.parse(sessionData);
+    // Re-read under the lock - a concurrent call may have just queued it
+    const uploadSession = await getSession(videoId);
 
-    if (!uploadSession.chunkUrls || uploadSession.chunkUrls.length === 0) {
+    if (uploadSession.status === 'uploading' || uploadSession.status === 'aborted') {
       return res.status(400).json({
         success: false,
-        message: 'Video not yet chunked',
-        status: uploadSession.status,
+        message: 'Upload not yet completed',
+        currentStatus: uploadSession.status,
       });
     }
 
-    // Generate fresh presigned URLs for playback (24h expiry)
-    const chunkUrls = [];
-    for (const chunkKey of uploadSession.chunkKeys) {
-      const getCommand = new GetObjectCommand({
-        Bucket: BUCKET_NAME,
-        Key: chunkKey,
+    if (uploadSession.status === 'rejected') {
+      return res.status(400).json({
+        success: false,
+        message: 'Video was rejected by validation',
+        currentStatus: uploadSession.status,
+        code: uploadSession.validationErrors?.[0]?.code,
+        errors: uploadSession.validationErrors,
       });
+    }
 
-      const presignedUrl = await getSignedUrl(s3Client, getCommand, {
-        expiresIn: 86400, // 24 hours
+    if (uploadSession.originalDeletedAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'The original upload was removed by the retention policy and cannot be reprocessed',
+        currentStatus: uploadSession.status,
       });
+    }
 
-      chunkUrls.push(presignedUrl);
+    if (uploadSession.status === 'queued' || uploadSession.status === 'processing') {
+      return res.status(409).json({
+        success: false,
+        message: 'Video is already being processed',
+        currentStatus: uploadSession.status,
+        jobId: uploadSession.jobId,
+      });
     }
 
-    res.json({
+    // A segmentation spec sent with /process replaces the one given at initiate
+    if (req.body.segmentation !== undefined) {
+      try {
+        uploadSession.segmentation = resolveSegmentationSpec(req.body.segmentation);
+      } catch (specError) {
+        return res.status(400).json({
+          success: false,
+          message: specError.message,
+        });
+      }
+    }
+
+    // Refuse work the owner couldn't analyze this month, then claim a processing
+    // slot - held until the worker finishes or gives up on the job
+    const minutesQuota = await checkAnalysisMinutes(uploadSession.ownerId);
+    const jobsQuota = await acquireJobSlot(uploadSession.ownerId, videoId);
+    setQuotaHeaders(res, minutesQuota);
+    setQuotaHeaders(res, jobsQuota);
+
+    // Until the job is enqueued nothing else will release the slot, so any
+    // failure in between gives it back
+    let job;
+    try {
+      // Save the queued state before enqueueing, so a fast worker can't have its
+      // 'processing' status overwritten by this request
+      const jobId = uuidv4();
+      uploadSession.status = 'queued';
+      uploadSession.jobId = jobId;
+      uploadSession.queuedAt = new Date().toISOString();
+      delete uploadSession.error;
+      await saveSession(uploadSession);
+      await publishStatus(uploadSession);
+
+      job = await processingQueue.add({ videoId, requestId: req.id }, { jobId });
+    } catch (queueError) {
+      await releaseJobSlot(uploadSession.ownerId, videoId);
+      throw queueError;
+    }
+
+    logger.info(`Queued processing job ${job.id} for ${videoId}`);
+
+    res.status(202).json({
       success: true,
       videoId,
-      totalChunks: chunkUrls.length,
-      chunkUrls,
-      message: 'Chunk URLs ready for playback',
+      jobId: job.id,
+      status: 'queued',
+      message: 'Video queued for processing',
     });
   } catch (error) {
-    console.error('Error getting chunks:', error);
+    if (error instanceof QuotaExceededError) {
+      return sendQuotaExceeded(res, error);
+    }
+    logger.error('Error queueing video', { error });
     res.status(500).json({
       success: false,
-      message: 'Failed to get chunks',
+      message: 'Failed to queue video for processing',
       error: error.message,
     });
+  } finally {
+    await lock?.release().catch((error) => logger.error('Failed to release video lock', { error: error.message }));
   }
 };
 
-// Get upload status
-export const getUploadStatus = async (req, res) => {
+// Cancel a video's pipeline work - its processing job and any clips being cut.
+// Running ffmpeg is killed; queued jobs are dropped when a worker reaches them.
+export const cancelVideo = async (req, res) => {
   try {
+    bindLogContext({ stage: 'process' });
     const { videoId } = req.params;
 
-    const sessionData = await redis.get(`upload:${videoId}`);
-    if (!sessionData) {
-      return res.status(404).json({
+    const uploadSession = await loadSession(req, res, videoId);
+    if (!uploadSession) return;
+
+    const processing = ['queued', 'processing'].includes(uploadSession.status);
+    const pendingClips = (await listBusyClips(videoId)).map((clip) => clip.clipId);
+
+    if (!processing && pendingClips.length === 0) {
+      return res.status(409).json({
         success: false,
-        message: 'Upload session not found',
+        message: 'Video has no processing or clip work to cancel',
+        currentStatus: uploadSession.status,
       });
     }
 
-    const uploadSession = JSON.parse(sessionData);
+    await requestCancel(videoId);
 
-    res.json({
+    res.status(202).json({
       success: true,
-      videoId: uploadSession.videoId,
-      fileName: uploadSession.fileName,
-      status: uploadSession.status,
-      totalChunks: uploadSession.totalChunks || 0,
-      createdAt: uploadSession.createdAt,
-      processedAt: uploadSession.processedAt,
-      completedAt: uploadSession.completedAt,
+      videoId,
+      message: 'Cancellation requested',
+      currentStatus: uploadSession.status,
+      jobId: processing ? uploadSession.jobId : undefined,
+      clipIds: pendingClips,
     });
   } catch (error) {
-    console.error('Error getting status:', error);
+    logger.error('Error cancelling video', { error });
     res.status(500).json({
       success: false,
-      message: 'Failed to get status',
+      message: 'Failed to cancel video',
       error: error.message,
     });
   }
 };
 
-// Stream video - concatenate all chunks and stream to client
-export const streamVideo = async (req, res) => {
+// Get the caller's quota usage - stored bytes, processing slots and analysis minutes this month
+export const getQuota = async (req, res) => {
   try {
-    const { videoId } = req.params;
+    const usage = await getQuotaUsage(req.auth.ownerId);
 
-    const sessionData = await redis.get(`upload:${videoId}`);
-    if (!sessionData) {
-      return res.status(404).json({
-        success: false,
-        message: 'Upload session not found',
-      });
-    }
+    res.json({
+      success: true,
+      ownerId: req.auth.ownerId,
+      ...usage,
+    });
+  } catch (error) {
+    logger.error('Error getting quota usage', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get quota usage',
+      error: error.message,
+    });
+  }
+};
 
-    const uploadSession = JSON.parse(sessionData);
+// Get processing job status
+export const getJobStatus = async (req, res) => {
+  try {
+    bindLogContext({ stage: 'process' });
+    const { jobId } = req.params;
 
-    if (!uploadSession.fileName) {
-      return res.status(400).json({
+    const job = await processingQueue.getJob(jobId);
+    const jobSession = job && (await getSession(job.data.videoId));
+    if (!job || !jobSession || !canAccessSession(req.auth, jobSession)) {
+      return res.status(404).json({
         success: false,
-        message: 'Original video fileName not found in session',
+        message: 'Job not found',
       });
     }
 
-    // Generate presigned URL for the original video in S3
-    const originalKey = `videos/${videoId}/original/${uploadSession.fileName}`;
-    
-    const getCommand = new GetObjectCommand({
-      Bucket: BUCKET_NAME,
-      Key: originalKey,
-    });
-
-    const presignedUrl = await getSignedUrl(s3Client, getCommand, {
-      expiresIn: 86400, // 24 hours for playback
-    });
-
     res.json({
       success: true,
-      videoId,
-      playbackUrl: presignedUrl,
-      fileName: uploadSession.fileName,
-      fileSize: uploadSession.fileSize,
-      message: 'Presigned URL for original video',
+      jobId: job.id,
+      videoId: job.data.videoId,
+      status: job.status,
+      attempts: job.attempts,
+      maxAttempts: job.maxAttempts,
+      lastError: job.lastError,
+      retryAt: job.retryAt,
+      createdAt: job.createdAt,
+      completedAt: job.completedAt,
     });
   } catch (error) {
-    console.error('Error getting playback URL:', error);
+    logger.error('Error getting job status', { error });
     res.status(500).json({
       success: false,
-      message: 'Failed to get playback URL',
+      message: 'Failed to get job status',
       error: error.message,
     });
   }
+};
+
+
+const analysisMessage = ({ status, completed, total }) => {
+  if (status === 'completed') return 'Analysis completed successfully';
+  if (status === 'partially_completed') return `Analysis completed for ${completed} of ${total} chunks`;
+  return 'Analysis failed';
+};
+
+// Analyze video - send each chunk to FastAPI with bounded concurrency and retries,
+// or in callback mode submit chunk URLs and return while FastAPI works
+export const analyzeVideo = async (req, res) => {
+  let lock = null;
+  try {
+    bindLogContext({ stage: 'analysis' });
+    const { videoId, mode = ANALYSIS_MODE } = req.body;
+
+    if (!videoId) {
+      return res.status(400).json({
+        success: false,
+        message: 'videoId is required',
+      });
+    }
+
+    if (!['sync', 'callback'].includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'mode must be sync or callback',
+      });
+    }
+
+    if (!(await loadSession(req, res, videoId))) return;
+
+    // Held from the status check until the run has started (a sync run: until
+    // it ends), so two requests close together can't both start a run
+    lock = await acquireLock(videoLockKey(videoId));
+    if (!lock) {
+      return res.status(409).json({
+        success: false,
+        message: 'Video is already being processed or analyzed',
+      });
+    }
+
+    // Re-read under the lock - a concurrent call may have just started a run
+    const uploadSession = await getSession(videoId);
+
+    if (uploadSession.status === 'analyzing') {
+      return res.status(409).json({
+        success: false,
+        message: 'Video is already being analyzed',
+        currentStatus: uploadSession.status,
+      });
+    }
+
+    if (uploadSession.status !== 'chunked') {
+      return res.status(400).json({
+        success: false,
+        message: 'Video not yet chunked',
+        currentStatus: uploadSession.status,
+      });
+    }
+
+    setQuotaHeaders(res, await checkAnalysisMinutes(uploadSession.ownerId, uploadSession.duration));
+
+    if (mode === 'callback') {
+      const submission = await submitAnalysis(videoId);
+      return res.status(202).json({
+        success: true,
+        videoId,
+        status: 'analyzing',
+        mode,
+        ...submission,
+        message: 'Analysis submitted; results arrive by callback',
+      });
+    }
+
+    const { summary, analysisResults, analysisTimeline } = await runChunkAnalysis(videoId);
+
+    res.status(summary.status === 'failed' ? 502 : 200).json({
+      success: summary.status !== 'failed',
+      videoId,
+      status: summary.status,
+      analysisSummary: summary,
+      analysisResults,
+      analysisTimeline,
+      message: analysisMessage(summary),
+    });
+  } catch (error) {
+    if (error instanceof QuotaExceededError) {
+      return sendQuotaExceeded(res, error);
+    }
+    logger.error('Error analyzing video', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to analyze video',
+      error: error.message,
+    });
+  } finally {
+    await lock?.release().catch((error) => logger.error('Failed to release video lock', { error: error.message }));
+  }
+};
+
+// Retry failed analysis - re-run only the chunks that failed, keeping earlier results
+export const retryFailedAnalysis = async (req, res) => {
+  let lock = null;
+  try {
+    bindLogContext({ stage: 'analysis' });
+    const { videoId } = req.body;
+
+    if (!videoId) {
+      return res.status(400).json({
+        success: false,
+        message: 'videoId is required',
+      });
+    }
+
+    if (!(await loadSession(req, res, videoId))) return;
+
+    // As in analyzeVideo: one run at a time
+    lock = await acquireLock(videoLockKey(videoId));
+    if (!lock) {
+      return res.status(409).json({
+        success: false,
+        message: 'Video is already being processed or analyzed',
+      });
+    }
+
+    const uploadSession = await getSession(videoId);
+
+    if (uploadSession.status === 'analyzing') {
+      return res.status(409).json({
+        success: false,
+        message: 'Video is already being analyzed',
+        currentStatus: uploadSession.status,
+      });
+    }
+
+    if (!uploadSession.analysisSummary || !['partially_completed', 'failed'].includes(uploadSession.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Video has no failed analysis to retry',
+        currentStatus: uploadSession.status,
+      });
+    }
+
+    const failedSeconds = (uploadSession.analysisResults || [])
+      .filter((result) => result.status === 'failed')
+      .reduce((total, result) => total + Math.max(0, (result.end ?? 0) - (result.start ?? 0)), 0);
+    setQuotaHeaders(res, await checkAnalysisMinutes(uploadSession.ownerId, failedSeconds));
+
+    if (uploadSession.analysisMode === 'callback') {
+      const submission = await submitAnalysis(videoId, { onlyFailed: true });
+      return res.status(202).json({
+        success: true,
+        videoId,
+        status: 'analyzing',
+        mode: 'callback',
+        ...submission,
+        message: 'Failed chunks resubmitted; results arrive by callback',
+      });
+    }
+
+    const { summary, analysisResults, analysisTimeline } = await runChunkAnalysis(videoId, { onlyFailed: true });
+
+    res.status(summary.status === 'failed' ? 502 : 200).json({
+      success: summary.status !== 'failed',
+      videoId,
+      status: summary.status,
+      analysisSummary: summary,
+      analysisResults,
+      analysisTimeline,
+      message: analysisMessage(summary),
+    });
+  } catch (error) {
+    if (error instanceof QuotaExceededError) {
+      return sendQuotaExceeded(res, error);
+    }
+    logger.error('Error retrying analysis', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retry analysis',
+      error: error.message,
+    });
+  } finally {
+    await lock?.release().catch((error) => logger.error('Failed to release video lock', { error: error.message }));
+  }
+};
+
+// Get per-chunk analysis state (pending, analyzing, completed or failed) and the
+// merged timeline in absolute video time, filtered by ?from=&to= (seconds) and
+// ?label= (comma-separated)
+export const getAnalysis = async (req, res) => {
+  try {
+    bindLogContext({ stage: 'analysis' });
+    const { videoId } = req.params;
+
+    const queryError = validateTimelineQuery(req.query);
+    if (queryError) {
+      return res.status(400).json({
+        success: false,
+        message: queryError,
+      });
+    }
+
+    const uploadSession = await loadSession(req, res, videoId);
+    if (!uploadSession) return;
+
+    const timeline = getTimeline(uploadSession);
+
+    res.json({
+      success: true,
+      videoId,
+      status: uploadSession.status,
+      analysisMode: uploadSession.analysisMode,
+      analysisSummary: uploadSession.analysisSummary,
+      analysisResults: uploadSession.analysisResults,
+      analysisTimeline: timeline && {
+        ...timeline,
+        events: filterTimeline(timeline, req.query),
+      },
+      chunks: await getChunkStates(videoId),
+    });
+  } catch (error) {
+    logger.error('Error getting analysis', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get analysis',
+      error: error.message,
+    });
+  }
+};
+
+// Analysis callback - FastAPI posts one chunk's result, signed with the shared secret
+export const receiveAnalysisCallback = async (req, res) => {
+  try {
+    bindLogContext({ stage: 'analysis' });
+    try {
+      await verifyCallback({
+        rawBody: req.rawBody?.toString(),
+        timestamp: req.get(TIMESTAMP_HEADER),
+        signature: req.get(SIGNATURE_HEADER),
+      });
+    } catch (authError) {
+      if (!(authError instanceof CallbackAuthError)) throw authError;
+      logger.warn(`Rejected analysis callback: ${authError.message}`);
+      recordAnalysisCallback('unauthorized');
+      return res.status(401).json({
+        success: false,
+        message: authError.message,
+      });
+    }
+
+    const { videoId, chunkIndex, status, result, error } = req.body;
+    bindLogContext({ videoId });
+
+    if (!videoId || !Number.isInteger(chunkIndex) || !['completed', 'failed'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'videoId, integer chunkIndex and status (completed or failed) are required',
+      });
+    }
+
+    const outcome = await recordCallbackResult({ videoId, chunkIndex, status, result, error });
+    recordAnalysisCallback(outcome.notFound ? 'not_found' : outcome.duplicate ? 'duplicate' : 'recorded');
+
+    if (outcome.notFound) {
+      return res.status(404).json({
+        success: false,
+        message: 'Unknown video or chunk',
+      });
+    }
+
+    res.json({
+      success: true,
+      videoId,
+      chunkIndex,
+      duplicate: Boolean(outcome.duplicate),
+      message: outcome.duplicate ? 'Chunk result already recorded' : 'Chunk result recorded',
+    });
+  } catch (error) {
+    logger.error('Error handling analysis callback', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record analysis result',
+      error: error.message,
+    });
+  }
+};
+
+// Get chunk URLs for playback
+export const getChunks = async (req, res) => {
+  try {
+    bindLogContext({ stage: 'playback' });
+    const { videoId } = req.params;
+
+    const uploadSession = await loadSession(req, res, videoId);
+    if (!uploadSession) return;
+
+    if (!uploadSession.chunkKeys || uploadSession.chunkKeys.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Video not yet chunked',
+        status: uploadSession.status,
+      });
+    }
+
+    // Generate fresh presigned URLs for playback (24h expiry)
+    const chunkUrls = [];
+    for (const chunkKey of uploadSession.chunkKeys) {
+      const presignedUrl = await storage.getReadUrl(chunkKey, {
+        expiresIn: PLAYBACK_URL_EXPIRY,
+      });
+
+      chunkUrls.push(presignedUrl);
+    }
+
+    res.json({
+      success: true,
+      videoId,
+      totalChunks: chunkUrls.length,
+      chunkUrls,
+      // Absolute time range of each chunk within the original video
+      chunks: (uploadSession.chunks || []).map(({ index, start, end, duration }) => ({
+        index,
+        start,
+        end,
+        duration,
+      })),
+      message: 'Chunk URLs ready for playback',
+    });
+  } catch (error) {
+    logger.error('Error getting chunks', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get chunks',
+      error: error.message,
+    });
+  }
+};
+
+// Get upload status
+export const getUploadStatus = async (req, res) => {
+  try {
+    const { videoId } = req.params;
+
+    const uploadSession = await loadSession(req, res, videoId);
+    if (!uploadSession) return;
+
+    res.json({
+      success: true,
+      videoId: uploadSession.videoId,
+      fileName: uploadSession.fileName,
+      status: uploadSession.status,
+      jobId: uploadSession.jobId,
+      attempts: uploadSession.attempts,
+      error: uploadSession.error,
+      validationErrors: uploadSession.validationErrors,
+      probe: uploadSession.probe,
+      sha256: uploadSession.sha256,
+      integrity: uploadSession.integrity,
+      totalChunks: uploadSession.totalChunks || 0,
+      duration: uploadSession.duration,
+      segmentation: uploadSession.segmentation,
+      renditions: (uploadSession.renditions || []).map(({ name, width, height, bandwidth }) => ({
+        name,
+        width,
+        height,
+        bandwidth,
+      })),
+      createdAt: uploadSession.createdAt,
+      processedAt: uploadSession.processedAt,
+      completedAt: uploadSession.completedAt,
+    });
+  } catch (error) {
+    logger.error('Error getting status', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get status',
+      error: error.message,
+    });
+  }
+};
+
+// Verify integrity - re-hash every stored object (original, chunks, HLS and
+// thumbnail assets) and report any that don't match their recorded checksum
+export const verifyVideo = async (req, res) => {
+  try {
+    bindLogContext({ stage: 'verify' });
+    const { videoId } = req.body;
+
+    if (!videoId) {
+      return res.status(400).json({
+        success: false,
+        message: 'videoId is required',
+      });
+    }
+
+    const uploadSession = await loadSession(req, res, videoId);
+    if (!uploadSession) return;
+
+    if (uploadSession.status === 'uploading' || uploadSession.status === 'aborted') {
+      return res.status(400).json({
+        success: false,
+        message: 'Video has not been uploaded',
+        currentStatus: uploadSession.status,
+      });
+    }
+
+    logger.info(`Verifying stored objects for ${videoId}...`);
+    const report = await verifyStoredObjects(uploadSession);
+
+    // Re-read the session so the report doesn't overwrite pipeline updates made meanwhile
+    const currentSession = (await getSession(videoId)) || uploadSession;
+    currentSession.integrity = {
+      ...currentSession.integrity,
+      ok: report.ok,
+      verifiedAt: report.verifiedAt,
+      checkedObjects: report.checkedObjects,
+      mismatches: report.mismatches,
+    };
+    await saveSession(currentSession);
+
+    if (report.ok) {
+      logger.info(`${report.verifiedObjects}/${report.checkedObjects} objects verified for ${videoId}`);
+    } else {
+      logger.error(`${report.mismatches.length} objects failed verification for ${videoId}`);
+    }
+
+    res.json({
+      success: true,
+      videoId,
+      ...report,
+    });
+  } catch (error) {
+    logger.error('Error verifying video', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify video',
+      error: error.message,
+    });
+  }
+};
+
+// Issue a short-lived token for one video's event stream and playback URLs
+// (?token=), which EventSource and native HLS playback can't authenticate
+// with headers
+export const createVideoToken = async (req, res) => {
+  try {
+    const { videoId } = req.params;
+
+    const uploadSession = await loadSession(req, res, videoId);
+    if (!uploadSession) return;
+
+    if (!isVideoTokenConfigured()) {
+      return res.status(503).json({
+        success: false,
+        message: 'Video tokens are not configured (set VIDEO_TOKEN_SECRET)',
+      });
+    }
+
+    res.json({
+      success: true,
+      videoId,
+      token: issueVideoToken(req.auth, videoId),
+      expiresIn: authConfig.videoTokenTtl,
+    });
+  } catch (error) {
+    logger.error('Error issuing video token', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to issue video token',
+      error: error.message,
+    });
+  }
+};
+
+// Playback info - where to stream the video from. The stream goes through the
+// API (same credential), so the bucket is never exposed to the browser.
+export const getPlayback = async (req, res) => {
+  try {
+    bindLogContext({ stage: 'playback' });
+    const { videoId } = req.params;
+
+    const uploadSession = await loadSession(req, res, videoId);
+    if (!uploadSession) return;
+
+    const source = getPlaybackSource(uploadSession);
+    if (!source) {
+      return res.status(409).json({
+        success: false,
+        message: 'Video has no stored original or chunks to play yet',
+        currentStatus: uploadSession.status,
+      });
+    }
+
+    // A video token lets a plain <video src> play it without a header credential
+    const playbackUrl = `${req.protocol}://${req.get('host')}${req.baseUrl}/stream/${videoId}`;
+    res.json({
+      success: true,
+      videoId,
+      playbackUrl: isVideoTokenConfigured()
+        ? `${playbackUrl}?token=${encodeURIComponent(issueVideoToken(req.auth, videoId))}`
+        : playbackUrl,
+      source: source.type,
+      contentType: source.contentType,
+      // The joined chunks are remuxed on the fly and can't be byte-ranged; seek with ?start=
+      seekable: source.type === 'original',
+      fileName: uploadSession.fileName,
+      fileSize: uploadSession.fileSize,
+      duration: uploadSession.duration,
+    });
+  } catch (error) {
+    logger.error('Error getting playback info', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get playback info',
+      error: error.message,
+    });
+  }
+};
+
+// Whether an If-Range header still matches the stored object: a strong ETag
+// comparison, or for a date, the object unchanged since then
+const ifRangeMatches = (ifRange, head) => {
+  if (!ifRange) return true;
+  if (ifRange.startsWith('"') || ifRange.startsWith('W/')) {
+    return !ifRange.startsWith('W/') && ifRange === head.etag;
+  }
+  const since = Date.parse(ifRange);
+  return Number.isFinite(since) && head.lastModified && new Date(head.lastModified).getTime() <= since;
+};
+
+// Proxy the original with Range/206, ETag/If-None-Match and If-Range support
+const streamOriginal = async (req, res, source) => {
+  const head = await storage.headObject(source.key);
+  const size = head.contentLength;
+
+  res.set({
+    'Accept-Ranges': 'bytes',
+    'Cache-Control': 'private, no-cache',
+    'Content-Type': source.contentType,
+    'X-Playback-Source': 'original',
+  });
+  if (head.etag) res.set('ETag', head.etag);
+  if (head.lastModified) res.set('Last-Modified', new Date(head.lastModified).toUTCString());
+
+  if (etagMatches(req.get('if-none-match'), head.etag)) {
+    return res.status(304).end();
+  }
+
+  const range = ifRangeMatches(req.get('if-range'), head) ? parseRange(req.get('range'), size) : null;
+  if (range?.unsatisfiable) {
+    return res.status(416).set('Content-Range', `bytes */${size}`).json({
+      success: false,
+      message: 'Requested range is not satisfiable',
+    });
+  }
+
+  if (range) {
+    res.status(206).set('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+  }
+  res.set('Content-Length', String(range ? range.end - range.start + 1 : size));
+
+  if (req.method === 'HEAD') {
+    return res.end();
+  }
+
+  const { body } = await storage.getObject(source.key, range ? { range } : {});
+  try {
+    await pipeline(body, res);
+  } catch (error) {
+    // The player closing the connection (seeking, pausing) isn't an error
+    if (error.code !== 'ERR_STREAM_PREMATURE_CLOSE') throw error;
+  }
+};
+
+// Stream the chunks joined back together, from ?start= seconds. The stream is
+// remuxed as it's sent, so its length isn't known and byte ranges aren't offered.
+const streamChunks = async (req, res, uploadSession, source) => {
+  const start = req.query.start === undefined ? 0 : Number(req.query.start);
+  const duration = uploadSession.chunks[uploadSession.chunks.length - 1].end;
+  if (!Number.isFinite(start) || start < 0 || start >= duration) {
+    return res.status(400).json({
+      success: false,
+      message: `start must be a number of seconds from 0 to ${duration}`,
+    });
+  }
+
+  res.set({
+    'Accept-Ranges': 'none',
+    'Cache-Control': 'private, no-cache',
+    'Content-Type': source.contentType,
+    ETag: source.etag,
+    'X-Playback-Source': 'chunks',
+  });
+
+  if (etagMatches(req.get('if-none-match'), source.etag)) {
+    return res.status(304).end();
+  }
+  if (req.method === 'HEAD') {
+    return res.end();
+  }
+
+  const ffmpeg = await concatChunks(uploadSession, { start });
+  let stderr = '';
+  ffmpeg.stderr.on('data', (data) => {
+    stderr = (stderr + data).slice(-2000);
+  });
+
+  const fail = (message) => {
+    logger.error(`Chunk stream for ${uploadSession.videoId} failed: ${message}`);
+    if (res.headersSent) {
+      res.destroy();
+    } else {
+      res.status(502).json({ success: false, message: 'Failed to stream video chunks', error: message });
+    }
+  };
+
+  // Stop ffmpeg as soon as the player goes away
+  res.on('close', () => {
+    if (ffmpeg.exitCode === null) ffmpeg.kill('SIGKILL');
+  });
+  ffmpeg.on('error', (error) => fail(error.message));
+  ffmpeg.on('close', (code, signal) => {
+    if (code === 0) res.end();
+    else if (signal !== 'SIGKILL') fail(stderr.trim() || `ffmpeg exited with code ${code}`);
+  });
+  ffmpeg.stdout.pipe(res, { end: false });
+};
+
+// Stream a video through the API: the original with full byte-range support,
+// or once retention has removed it, the stored chunks joined back together.
+// Access ends as soon as the caller's credential or the video does.
+export const streamVideo = async (req, res) => {
+  try {
+    bindLogContext({ stage: 'playback' });
+    const { videoId } = req.params;
+
+    const uploadSession = await loadSession(req, res, videoId);
+    if (!uploadSession) return;
+
+    const source = getPlaybackSource(uploadSession);
+    if (!source) {
+      return res.status(409).json({
+        success: false,
+        message: 'Video has no stored original or chunks to play yet',
+        currentStatus: uploadSession.status,
+      });
+    }
+
+    if (source.type === 'original') {
+      await streamOriginal(req, res, source);
+    } else {
+      await streamChunks(req, res, uploadSession, source);
+    }
+  } catch (error) {
+    logger.error('Error streaming video', { error });
+    if (res.headersSent) {
+      return res.destroy();
+    }
+    if (error instanceof ObjectNotFoundError) {
+      return res.status(404).json({
+        success: false,
+        message: 'Video object not found in storage',
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to stream video',
+      error: error.message,
+    });
+  }
+};
+
+// Load a session whose HLS output is ready, or respond with the reason it isn't
+const getHlsSession = async (req, res, videoId) => {
+  const uploadSession = await loadSession(req, res, videoId);
+  if (!uploadSession) return null;
+
+  if (!uploadSession.hls) {
+    res.status(400).json({
+      success: false,
+      message: 'HLS playlist not yet available',
+      status: uploadSession.status,
+    });
+    return null;
+  }
+
+  return uploadSession;
+};
+
+const sendPlaylist = (res, playlist) => {
+  // Segment URLs are signed and expire, so playlists must never be cached
+  res.set({
+    'Content-Type': 'application/vnd.apple.mpegurl',
+    'Cache-Control': 'no-store',
+  });
+  res.send(playlist);
+};
+
+// Get HLS master playlist - variants point back at this API so each media
+// playlist can be signed on request
+export const getHlsPlaylist = async (req, res) => {
+  try {
+    bindLogContext({ stage: 'playback' });
+    const { videoId } = req.params;
+
+    const uploadSession = await getHlsSession(req, res, videoId);
+    if (!uploadSession) return;
+
+    const masterPlaylist = await readObjectText(uploadSession.hls.masterPlaylistKey);
+
+    // "{rendition}/index.m3u8" -> "{rendition}/playlist.m3u8", relative to this route.
+    // A video token is carried over for players that can't send headers.
+    const tokenQuery = req.auth.method === 'video_token'
+      ? `?token=${encodeURIComponent(req.query.token)}`
+      : '';
+    const playlist = await rewritePlaylistUris(masterPlaylist, (uri) =>
+      `${path.posix.dirname(uri)}/playlist.m3u8${tokenQuery}`
+    );
+
+    sendPlaylist(res, playlist);
+  } catch (error) {
+    logger.error('Error getting HLS playlist', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get HLS playlist',
+      error: error.message,
+    });
+  }
+};
+
+// Get HLS media playlist for one rendition, with segment URIs signed for playback
+export const getHlsVariantPlaylist = async (req, res) => {
+  try {
+    bindLogContext({ stage: 'playback' });
+    const { videoId, rendition } = req.params;
+
+    const uploadSession = await getHlsSession(req, res, videoId);
+    if (!uploadSession) return;
+
+    const variant = (uploadSession.renditions || []).find((r) => r.name === rendition);
+    if (!variant) {
+      return res.status(404).json({
+        success: false,
+        message: `Rendition not found: ${rendition}`,
+      });
+    }
+
+    const mediaPlaylist = await readObjectText(variant.playlistKey);
+
+    const playlist = await rewritePlaylistUris(mediaPlaylist, (uri) =>
+      storage.getReadUrl(`${hlsPrefix(videoId)}/${variant.name}/${uri}`, {
+        expiresIn: PLAYBACK_URL_EXPIRY,
+      })
+    );
+
+    sendPlaylist(res, playlist);
+  } catch (error) {
+    logger.error('Error getting HLS variant playlist', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get HLS variant playlist',
+      error: error.message,
+    });
+  }
+};
+
+// Get thumbnails - signed URLs for the poster, sprite sheets and WebVTT thumbnail track
+export const getThumbnails = async (req, res) => {
+  try {
+    bindLogContext({ stage: 'playback' });
+    const { videoId } = req.params;
+
+    const uploadSession = await loadSession(req, res, videoId);
+    if (!uploadSession) return;
+
+    const { thumbnails } = uploadSession;
+    if (!thumbnails) {
+      return res.status(400).json({
+        success: false,
+        message: 'Thumbnails not yet generated',
+        status: uploadSession.status,
+      });
+    }
+
+    const signKey = (key) => storage.getReadUrl(key, {
+      expiresIn: PLAYBACK_URL_EXPIRY,
+    });
+
+    // Sprites are keyed by file name, which is how the WebVTT cues reference them
+    const sprites = {};
+    for (const spriteKey of thumbnails.spriteKeys) {
+      sprites[path.posix.basename(spriteKey)] = await signKey(spriteKey);
+    }
+
+    res.json({
+      success: true,
+      videoId,
+      posterUrl: await signKey(thumbnails.posterKey),
+      trackUrl: await signKey(thumbnails.trackKey),
+      sprites,
+      interval: thumbnails.interval,
+      width: thumbnails.width,
+      height: thumbnails.height,
+      count: thumbnails.count,
+    });
+  } catch (error) {
+    logger.error('Error getting thumbnails', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get thumbnails',
+      error: error.message,
+    });
+  }
+};
+
+// Stream pipeline events (status changes and progress) over Server-Sent Events
+export const streamEvents = async (req, res) => {
+  const { videoId } = req.params;
+  let unsubscribe = null;
+  let heartbeat = null;
+  let closed = false;
+
+  // Called without awaiting, so a failed Redis unsubscribe is logged here
+  // rather than left as an unhandled rejection
+  const stopListening = () => {
+    unsubscribe?.().catch((error) => logger.error('Failed to unsubscribe from video events', { error: error.message }));
+  };
+
+  try {
+    const uploadSession = await loadSession(req, res, videoId);
+    if (!uploadSession) return;
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no', // disable proxy buffering (nginx)
+    });
+
+    // Registered before any await, so a client that hangs up while the
+    // subscription is still being set up is not missed
+    req.on('close', () => {
+      closed = true;
+      clearInterval(heartbeat);
+      stopListening();
+    });
+
+    const send = (event) => {
+      res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    };
+
+    unsubscribe = await subscribeToVideo(videoId, send);
+    if (closed) {
+      // The client left before the subscription resolved
+      stopListening();
+      return;
+    }
+
+    // Current status first, so a client that (re)connects mid-pipeline is in sync.
+    // Re-read after subscribing so no transition falls between snapshot and stream.
+    const currentSession = (await getSession(videoId)) || uploadSession;
+    if (closed) return;
+    send({
+      type: 'status',
+      videoId,
+      status: currentSession.status,
+      error: currentSession.error,
+      validationErrors: currentSession.validationErrors,
+      attempts: currentSession.attempts,
+      totalChunks: currentSession.totalChunks,
+      timestamp: new Date().toISOString(),
+    });
+
+    // Comment lines keep idle connections open through proxies
+    heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+  } catch (error) {
+    logger.error('Error streaming events', { error });
+    clearInterval(heartbeat);
+    stopListening();
+
+    if (res.headersSent) {
+      res.end();
+    } else {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to stream events',
+        error: error.message,
+      });
+    }
+  }
 };
\ No newline at end of file
@@ -0,0 +1,211 @@
+import { validateListQuery, listVideos, toVideoSummary } from '../services/catalog.js';
+import { getSession } from '../services/sessionStore.js';
+import { BUSY_STATUSES, VideoBusyError, softDeleteVideo, restoreVideo, purgeVideo, runSweep } from '../services/lifecycle.js';
+import { listBusyClips } from '../services/clips.js';
+import { rehydrateFromManifests } from '../services/rehydrate.js';
+import { canAccessSession } from '../middleware/auth.js';
+import logger from '../utils/logger.js';
+
+// List videos from the catalog - filter by status and creation date, sort by
+// creation time, and page with the returned cursor. Non-admins only see their own.
+export const listVideoCatalog = async (req, res) => {
+  try {
+    const { status, from, to, sort, limit, cursor, ownerId } = req.query;
+
+    const validationError = validateListQuery({ status, from, to, sort, limit, cursor });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError,
+      });
+    }
+
+    const { videos, nextCursor } = await listVideos({
+      ownerId: req.auth.isAdmin ? ownerId : req.auth.ownerId,
+      status,
+      from,
+      to,
+      sort,
+      limit,
+      cursor,
+    });
+
+    res.json({
+      success: true,
+      videos: videos.map(toVideoSummary),
+      nextCursor,
+    });
+  } catch (error) {
+    logger.error('Error listing videos', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list videos',
+      error: error.message,
+    });
+  }
+};
+
+// Load a video the caller may access, deleted or not. Other owners' videos get a 404.
+const loadVideo = async (req, res, videoId) => {
+  const uploadSession = await getSession(videoId);
+  if (!uploadSession || !canAccessSession(req.auth, uploadSession)) {
+    res.status(404).json({
+      success: false,
+      message: 'Video not found',
+    });
+    return null;
+  }
+
+  return uploadSession;
+};
+
+// Delete a video. It stays restorable for the grace period, then every object and
+// record for it is purged; ?purge=true skips the grace period.
+export const deleteVideo = async (req, res) => {
+  try {
+    const { videoId } = req.params;
+    const purgeNow = req.query.purge === 'true';
+
+    const uploadSession = await loadVideo(req, res, videoId);
+    if (!uploadSession) return;
+
+    if (BUSY_STATUSES.includes(uploadSession.status)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Video is being processed or analyzed; delete it once that has finished',
+        currentStatus: uploadSession.status,
+      });
+    }
+
+    const busyClips = await listBusyClips(videoId);
+    if (busyClips.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Clips are being cut from this video; cancel them or delete it once they have finished',
+        clipIds: busyClips.map((clip) => clip.clipId),
+      });
+    }
+
+    if (purgeNow) {
+      const { objectsDeleted } = await purgeVideo(videoId);
+      return res.json({
+        success: true,
+        videoId,
+        status: 'purged',
+        objectsDeleted,
+        message: 'Video and all of its objects permanently deleted',
+      });
+    }
+
+    if (uploadSession.status === 'deleted') {
+      return res.status(409).json({
+        success: false,
+        message: 'Video is already deleted',
+        purgeAfter: uploadSession.purgeAfter,
+      });
+    }
+
+    const deleted = await softDeleteVideo(uploadSession);
+
+    res.json({
+      success: true,
+      videoId,
+      status: 'deleted',
+      purgeAfter: deleted.purgeAfter,
+      message: `Video deleted; restore it before ${deleted.purgeAfter} to undo`,
+    });
+  } catch (error) {
+    // A clip was queued between the check above and the purge
+    if (error instanceof VideoBusyError) {
+      return res.status(409).json({
+        success: false,
+        message: 'Clips are being cut from this video; cancel them or delete it once they have finished',
+        clipIds: error.clipIds,
+      });
+    }
+    logger.error('Error deleting video', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete video',
+      error: error.message,
+    });
+  }
+};
+
+// Restore a deleted video that hasn't been purged yet
+export const restoreDeletedVideo = async (req, res) => {
+  try {
+    const { videoId } = req.params;
+
+    const uploadSession = await loadVideo(req, res, videoId);
+    if (!uploadSession) return;
+
+    if (uploadSession.status !== 'deleted') {
+      return res.status(400).json({
+        success: false,
+        message: 'Video is not deleted',
+        currentStatus: uploadSession.status,
+      });
+    }
+
+    const restored = await restoreVideo(uploadSession);
+
+    res.json({
+      success: true,
+      videoId,
+      status: restored.status,
+      message: 'Video restored',
+    });
+  } catch (error) {
+    logger.error('Error restoring video', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to restore video',
+      error: error.message,
+    });
+  }
+};
+
+// Run the retention sweeper now. Defaults to a dry run that only reports what
+// it would do; send { "dryRun": false } to apply it.
+export const sweepVideos = async (req, res) => {
+  try {
+    const dryRun = req.body?.dryRun !== false;
+    const report = await runSweep({ dryRun });
+
+    res.status(report.skipped ? 409 : 200).json({
+      success: !report.skipped,
+      ...report,
+    });
+  } catch (error) {
+    logger.error('Error running sweep', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to run sweep',
+      error: error.message,
+    });
+  }
+};
+
+// Rebuild Redis state from the manifests in the bucket. Defaults to a dry run;
+// send { "dryRun": false } to apply, and { "force": true } to overwrite newer state.
+export const rehydrateVideos = async (req, res) => {
+  try {
+    const report = await rehydrateFromManifests({
+      dryRun: req.body?.dryRun !== false,
+      force: req.body?.force === true,
+    });
+
+    res.json({
+      success: true,
+      ...report,
+    });
+  } catch (error) {
+    logger.error('Error rehydrating videos', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to rehydrate videos',
+      error: error.message,
+    });
+  }
+};
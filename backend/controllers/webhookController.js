@@ -0,0 +1,194 @@
+import {
+  validateSubscription,
+  createSubscription,
+  getSubscription,
+  listSubscriptions,
+  deleteSubscription,
+  listDeliveries,
+  getDelivery,
+  replayDelivery,
+} from '../services/webhooks.js';
+import logger from '../utils/logger.js';
+
+// Register a webhook - returns the signing secret, which is not shown again
+export const registerWebhook = async (req, res) => {
+  try {
+    const { url, events, description } = req.body;
+
+    const validationError = await validateSubscription({ url, events });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError,
+      });
+    }
+
+    const subscription = await createSubscription({ url, events, description });
+    logger.info(`Webhook registered: ${subscription.id} -> ${url}`);
+
+    res.status(201).json({
+      success: true,
+      webhook: subscription,
+      message: 'Store the secret now; it is used to sign deliveries and is not shown again',
+    });
+  } catch (error) {
+    logger.error('Error registering webhook', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to register webhook',
+      error: error.message,
+    });
+  }
+};
+
+// List webhooks
+export const listWebhooks = async (req, res) => {
+  try {
+    const webhooks = await listSubscriptions();
+
+    res.json({
+      success: true,
+      webhooks,
+    });
+  } catch (error) {
+    logger.error('Error listing webhooks', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list webhooks',
+      error: error.message,
+    });
+  }
+};
+
+// Get a webhook
+export const getWebhook = async (req, res) => {
+  try {
+    const webhook = await getSubscription(req.params.webhookId);
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      webhook,
+    });
+  } catch (error) {
+    logger.error('Error getting webhook', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get webhook',
+      error: error.message,
+    });
+  }
+};
+
+// Delete a webhook - pending deliveries to it are dropped
+export const deleteWebhook = async (req, res) => {
+  try {
+    const { webhookId } = req.params;
+
+    if (!(await deleteSubscription(webhookId))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found',
+      });
+    }
+
+    logger.info(`Webhook deleted: ${webhookId}`);
+
+    res.json({
+      success: true,
+      webhookId,
+      message: 'Webhook deleted',
+    });
+  } catch (error) {
+    logger.error('Error deleting webhook', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete webhook',
+      error: error.message,
+    });
+  }
+};
+
+// Delivery log for a webhook, newest first
+export const getWebhookDeliveries = async (req, res) => {
+  try {
+    const { webhookId } = req.params;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    if (!(await getSubscription(webhookId))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      webhookId,
+      deliveries: await listDeliveries(webhookId, limit),
+    });
+  } catch (error) {
+    logger.error('Error listing deliveries', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list deliveries',
+      error: error.message,
+    });
+  }
+};
+
+// Get a single delivery with every attempt
+export const getWebhookDelivery = async (req, res) => {
+  try {
+    const delivery = await getDelivery(req.params.deliveryId);
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      delivery,
+    });
+  } catch (error) {
+    logger.error('Error getting delivery', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get delivery',
+      error: error.message,
+    });
+  }
+};
+
+// Replay a delivery - sends the same event and payload again as a new delivery
+export const replayWebhookDelivery = async (req, res) => {
+  try {
+    const delivery = await replayDelivery(req.params.deliveryId);
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery or its webhook not found',
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      delivery,
+      message: 'Delivery queued',
+    });
+  } catch (error) {
+    logger.error('Error replaying delivery', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to replay delivery',
+      error: error.message,
+    });
+  }
+};
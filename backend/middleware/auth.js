@@ -0,0 +1,169 @@
+import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
+import authConfig from '../config/auth.js';
+
+// Accept only the algorithms we hold keys for, so an HS256 token can't be
+// verified against the RS256 public key (or the reverse)
+const jwtKeys = [
+  authConfig.jwtSecret && { algorithm: 'HS256', key: authConfig.jwtSecret },
+  authConfig.jwtPublicKey && { algorithm: 'RS256', key: authConfig.jwtPublicKey },
+].filter(Boolean);
+
+const unauthorized = (res, message) =>
+  res.status(401).json({
+    success: false,
+    message,
+  });
+
+// Compare in constant time so keys can't be guessed byte by byte
+const findApiKey = (presented) => {
+  for (const [key, identity] of authConfig.apiKeys) {
+    const a = Buffer.from(key);
+    const b = Buffer.from(presented);
+    if (a.length === b.length && crypto.timingSafeEqual(a, b)) {
+      return identity;
+    }
+  }
+  return null;
+};
+
+// JWT scopes may come as a space-separated "scope" claim or a "scopes" array
+const tokenScopes = (claims) => {
+  if (Array.isArray(claims.scopes)) return claims.scopes;
+  if (typeof claims.scope === 'string') return claims.scope.split(' ').filter(Boolean);
+  return [];
+};
+
+const verifyJwt = (token) => {
+  const { header } = jwt.decode(token, { complete: true }) || {};
+  const match = jwtKeys.find(({ algorithm }) => algorithm === header?.alg);
+  if (!match) {
+    throw new Error(`Unsupported token algorithm ${header?.alg}`);
+  }
+
+  return jwt.verify(token, match.key, {
+    algorithms: [match.algorithm],
+    issuer: authConfig.jwtIssuer,
+    audience: authConfig.jwtAudience,
+  });
+};
+
+// Authenticate the caller with an API key (X-API-Key) or a JWT (Authorization: Bearer).
+// Sets req.auth = { ownerId, scopes, isAdmin, method, clientId }.
+export const authenticate = (req, res, next) => {
+  const bearer = req.get('authorization')?.match(/^Bearer\s+(.+)$/i)?.[1];
+  const apiKey = req.get('x-api-key');
+  const credential = apiKey || bearer;
+
+  if (!credential) {
+    return unauthorized(res, 'Authentication required');
+  }
+
+  let identity;
+
+  // Anything that isn't shaped like a JWT (header.payload.signature) is an API key
+  if (apiKey || credential.split('.').length !== 3) {
+    identity = findApiKey(credential);
+    if (!identity) {
+      return unauthorized(res, 'Invalid API key');
+    }
+    // Identify the key for rate limiting without keeping the key itself around
+    const keyHash = crypto.createHash('sha256').update(credential).digest('hex').slice(0, 16);
+    identity = { ...identity, method: 'api_key', clientId: `key:${keyHash}` };
+  } else {
+    if (jwtKeys.length === 0) {
+      return unauthorized(res, 'Token authentication is not configured');
+    }
+
+    try {
+      const claims = verifyJwt(credential);
+      if (!claims.sub) {
+        return unauthorized(res, 'Token has no subject');
+      }
+      identity = {
+        ownerId: String(claims.sub),
+        scopes: tokenScopes(claims),
+        method: 'jwt',
+        clientId: `jwt:${claims.sub}`,
+      };
+    } catch (error) {
+      return unauthorized(res, `Invalid token: ${error.message}`);
+    }
+  }
+
+  req.auth = {
+    ...identity,
+    isAdmin: identity.scopes.includes(authConfig.adminScope),
+  };
+  next();
+};
+
+// Video tokens are JWTs of their own audience, signed with their own secret,
+// so neither kind of token is accepted in place of the other
+const VIDEO_TOKEN_AUDIENCE = 'video-access';
+
+export const isVideoTokenConfigured = () => Boolean(authConfig.videoTokenSecret);
+
+// A short-lived token opening one video's events and playback to the caller,
+// for URLs that can't carry a header credential
+export const issueVideoToken = (auth, videoId) =>
+  jwt.sign({ vid: videoId, admin: auth.isAdmin || undefined }, authConfig.videoTokenSecret, {
+    algorithm: 'HS256',
+    subject: auth.ownerId,
+    audience: VIDEO_TOKEN_AUDIENCE,
+    expiresIn: authConfig.videoTokenTtl,
+  });
+
+// Authenticate a GET or HEAD on a single video's events or playback: with the
+// usual headers, or with ?token= holding a video token for the :videoId in the
+// path. EventSource and native video/HLS playback can't send headers, and a
+// token in a URL only opens that one video, for a short while.
+export const authenticateVideo = (req, res, next) => {
+  const { token } = req.query;
+  const headerCredential = req.get('x-api-key') || req.get('authorization');
+  if (headerCredential || typeof token !== 'string' || !['GET', 'HEAD'].includes(req.method)) {
+    return authenticate(req, res, next);
+  }
+
+  if (!isVideoTokenConfigured()) {
+    return unauthorized(res, 'Video tokens are not configured');
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(token, authConfig.videoTokenSecret, {
+      algorithms: ['HS256'],
+      audience: VIDEO_TOKEN_AUDIENCE,
+    });
+  } catch (error) {
+    return unauthorized(res, `Invalid video token: ${error.message}`);
+  }
+
+  if (claims.vid !== req.params.videoId) {
+    return unauthorized(res, 'Video token is for another video');
+  }
+
+  req.auth = {
+    ownerId: claims.sub,
+    scopes: [],
+    isAdmin: Boolean(claims.admin),
+    method: 'video_token',
+    clientId: `video_token:${claims.sub}`,
+  };
+  next();
+};
+
+// Only callers with the admin scope
+export const requireAdmin = (req, res, next) => {
+  if (!req.auth?.isAdmin) {
+    return res.status(403).json({
+      success: false,
+      message: 'Admin scope required',
+    });
+  }
+  next();
+};
+
+// Admins see every video; everyone else only the videos they uploaded
+export const canAccessSession = (auth, uploadSession) =>
+  Boolean(auth) && (auth.isAdmin || (uploadSession.ownerId && uploadSession.ownerId === auth.ownerId));
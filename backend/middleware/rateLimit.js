@@ -0,0 +1,69 @@
+import redis from '../config/redis.js';
+import limits from '../config/limits.js';
+import logger from '../utils/logger.js';
+import { v4 as uuidv4 } from 'uuid';
+
+// Sliding window in a sorted set (score = request time in ms). Trim requests
+// older than the window, then admit this one only if there's room. Returns
+// [admitted (1/0), requests in window, oldest request time].
+const SLIDING_WINDOW_SCRIPT = `
+local now = tonumber(ARGV[1])
+local window = tonumber(ARGV[2])
+local limit = tonumber(ARGV[3])
+redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', now - window)
+local count = redis.call('ZCARD', KEYS[1])
+local admitted = 0
+if count < limit then
+  redis.call('ZADD', KEYS[1], now, ARGV[4])
+  count = count + 1
+  admitted = 1
+end
+redis.call('PEXPIRE', KEYS[1], window)
+local oldest = redis.call('ZRANGE', KEYS[1], 0, 0, 'WITHSCORES')[2]
+return { admitted, count, oldest or now }
+`;
+
+// Limit each credential to a number of requests per sliding window on a route.
+// Kept in Redis so the limit holds across every API instance. Runs after
+// authenticate; name picks the limit from config/limits.js.
+export const rateLimit = (name) => {
+  const { limit, windowMs } = limits.rates[name];
+
+  return async (req, res, next) => {
+    try {
+      const now = Date.now();
+      const key = `ratelimit:${name}:${req.auth.clientId}`;
+      const [admitted, count, oldest] = await redis.eval(
+        SLIDING_WINDOW_SCRIPT,
+        1,
+        key,
+        now,
+        windowMs,
+        limit,
+        `${now}:${uuidv4()}`
+      );
+
+      // The window frees a slot when its oldest request ages out
+      const resetSeconds = Math.max(1, Math.ceil((Number(oldest) + windowMs - now) / 1000));
+
+      res.set('X-RateLimit-Limit', String(limit));
+      res.set('X-RateLimit-Remaining', String(Math.max(0, limit - count)));
+      res.set('X-RateLimit-Reset', String(resetSeconds));
+
+      if (!admitted) {
+        res.set('Retry-After', String(resetSeconds));
+        return res.status(429).json({
+          success: false,
+          message: `Rate limit exceeded: ${limit} requests per ${windowMs / 1000}s`,
+          retryAfter: resetSeconds,
+        });
+      }
+
+      next();
+    } catch (error) {
+      // Fail open - a Redis hiccup shouldn't take the API down with it
+      logger.error(`Rate limiter error (${name})`, { error: error.message });
+      next();
+    }
+  };
+};
@@ -0,0 +1,22 @@
+import crypto from 'crypto';
+import { withLogContext } from '../utils/logger.js';
+
+export const REQUEST_ID_HEADER = 'X-Request-Id';
+
+// Ids from clients or proxies are kept only if they are short and plain
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+// Give every request a correlation id: the caller's X-Request-Id if it sent a
+// usable one, otherwise a new one. It is echoed in the response header and in
+// error bodies, bound to every log line the request writes, and passed on to
+// the jobs and FastAPI calls it starts.
+export const requestId = (req, res, next) => {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  req.id = VALID_REQUEST_ID.test(incoming ?? '') ? incoming : crypto.randomUUID();
+  res.set(REQUEST_ID_HEADER, req.id);
+
+  const json = res.json.bind(res);
+  res.json = (body) => json(body?.success === false ? { ...body, requestId: req.id } : body);
+
+  withLogContext({ requestId: req.id }, next);
+};
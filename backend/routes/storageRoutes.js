@@ -0,0 +1,12 @@
+import express from 'express';
+import { readObject, writeObject, writePart } from '../controllers/storageController.js';
+
+const router = express.Router();
+
+// Signed URLs from the local storage driver - authenticated by their signature.
+// Mounted before the body parsers so uploads are streamed straight to disk.
+router.get('/objects/*', readObject);
+router.put('/objects/*', writeObject);
+router.put('/uploads/:uploadId/parts/:partNumber(\\d+)', writePart);
+
+export default router;
@@ -1,23 +1,85 @@
 import express from 'express';
 import {
   initiateUpload,
+  signParts,
+  recordPart,
+  getParts,
+  completeUpload,
+  abortUpload,
   processVideo,
+  cancelVideo,
+  getJobStatus,
+  getQuota,
   analyzeVideo,
+  retryFailedAnalysis,
+  getAnalysis,
+  receiveAnalysisCallback,
   getChunks,
   getUploadStatus,
+  verifyVideo,
+  createVideoToken,
+  getPlayback,
   streamVideo,
+  streamEvents,
+  getHlsPlaylist,
+  getHlsVariantPlaylist,
+  getThumbnails,
 } from '../controllers/uploadController.js';
+import { createVideoClip, listVideoClips, getVideoClip } from '../controllers/clipController.js';
+import { authenticate, authenticateVideo } from '../middleware/auth.js';
+import { rateLimit } from '../middleware/rateLimit.js';
 
 const router = express.Router();
 
-// Step 1: Initiate upload - get presigned URL for full video upload
-router.post('/initiate', initiateUpload);
+// Signed per-chunk results from FastAPI (callback analysis mode) - authenticated
+// by its HMAC signature rather than a user credential
+router.post('/analysis/callback', receiveAnalysisCallback);
 
-// Step 2: Process video - download, chunk with FFmpeg, upload chunks
-router.post('/process', processVideo);
+// Live pipeline progress (Server-Sent Events), the video streamed through the
+// API (Range/206, ETag; the joined chunks once the original is gone), and HLS
+// playlists with signed segment URIs. EventSource and native players can't
+// send headers, so these also take a short-lived video token as ?token=.
+// GET routes also answer HEAD.
+const videoAccess = [authenticateVideo, rateLimit('default')];
+router.get('/events/:videoId', videoAccess, streamEvents);
+router.get('/stream/:videoId', videoAccess, streamVideo);
+router.get('/hls/:videoId/playlist.m3u8', videoAccess, getHlsPlaylist);
+router.get('/hls/:videoId/:rendition/playlist.m3u8', videoAccess, getHlsVariantPlaylist);
 
-// Step 3: Analyze video - send chunk URLs to FastAPI
-router.post('/analyze', analyzeVideo);
+// Every other route needs an API key or JWT, and is rate limited per credential
+router.use(authenticate, rateLimit('default'));
+
+// Token for the routes above
+router.post('/token/:videoId', createVideoToken);
+
+// Step 1: Initiate upload - create a multipart upload for the full video
+router.post('/initiate', rateLimit('initiate'), initiateUpload);
+
+// Multipart upload - sign part URLs, record uploaded parts, resume, complete or abort
+router.post('/parts/sign', signParts);
+router.post('/parts', recordPart);
+router.get('/parts/:videoId', getParts);
+router.post('/complete', completeUpload);
+router.post('/abort', abortUpload);
+
+// Step 2: Process video - queue download, chunk with FFmpeg, upload chunks
+router.post('/process', rateLimit('process'), processVideo);
+
+// Kill a video's in-flight processing and clip jobs
+router.post('/cancel/:videoId', cancelVideo);
+
+// Get processing job status
+router.get('/jobs/:jobId', getJobStatus);
+
+// Get the caller's quota usage
+router.get('/quota', getQuota);
+
+// Step 3: Analyze video - send chunks to FastAPI, then re-run any that failed
+router.post('/analyze', rateLimit('analyze'), analyzeVideo);
+router.post('/analyze/retry', rateLimit('analyze'), retryFailedAnalysis);
+
+// Per-chunk analysis state and the merged timeline (?from=&to=&label=)
+router.get('/analysis/:videoId', getAnalysis);
 
 // Get chunk URLs for playback
 router.get('/chunks/:videoId', getChunks);
@@ -25,7 +87,18 @@ router.get('/chunks/:videoId', getChunks);
 // Get upload status
 router.get('/status/:videoId', getUploadStatus);
 
-// Stream video - server-side stitching (recommended for playback)
-router.get('/playback/:videoId', streamVideo);
+// Re-check every stored object against its recorded SHA-256
+router.post('/verify', verifyVideo);
+
+// Playback info: where to stream the video from
+router.get('/playback/:videoId', getPlayback);
+
+// Clips of a time range or around an analysis event, cut in the worker
+router.post('/clips/:videoId', rateLimit('clip'), createVideoClip);
+router.get('/clips/:videoId', listVideoClips);
+router.get('/clips/:videoId/:clipId', getVideoClip);
+
+// Poster, thumbnail sprites and WebVTT track for seek previews
+router.get('/thumbnails/:videoId', getThumbnails);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,29 @@
+import express from 'express';
+import {
+  listVideoCatalog,
+  deleteVideo,
+  restoreDeletedVideo,
+  sweepVideos,
+  rehydrateVideos,
+} from '../controllers/videoController.js';
+import { authenticate, requireAdmin } from '../middleware/auth.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+
+const router = express.Router();
+
+router.use(authenticate, rateLimit('default'));
+
+// Video catalog - ?status=&from=&to=&sort=createdAt|-createdAt&limit=&cursor=
+router.get('/', listVideoCatalog);
+
+// Retention sweeper - dry-run report by default (admin only)
+router.post('/sweep', requireAdmin, sweepVideos);
+
+// Rebuild Redis state from each video's manifest.json - dry-run report by default (admin only)
+router.post('/rehydrate', requireAdmin, rehydrateVideos);
+
+// Soft delete (?purge=true to skip the grace period) and undo
+router.delete('/:videoId', deleteVideo);
+router.post('/:videoId/restore', restoreDeletedVideo);
+
+export default router;
@@ -0,0 +1,30 @@
+import express from 'express';
+import {
+  registerWebhook,
+  listWebhooks,
+  getWebhook,
+  deleteWebhook,
+  getWebhookDeliveries,
+  getWebhookDelivery,
+  replayWebhookDelivery,
+} from '../controllers/webhookController.js';
+import { authenticate, requireAdmin } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Subscriptions see events for every owner's videos, so they are admin-only
+router.use(authenticate, requireAdmin);
+
+// Subscriptions - endpoint URL plus the video.* events it wants
+router.post('/', registerWebhook);
+router.get('/', listWebhooks);
+
+// Delivery log - inspect a delivery's attempts or send it again
+router.get('/deliveries/:deliveryId', getWebhookDelivery);
+router.post('/deliveries/:deliveryId/replay', replayWebhookDelivery);
+
+router.get('/:webhookId', getWebhook);
+router.delete('/:webhookId', deleteWebhook);
+router.get('/:webhookId/deliveries', getWebhookDeliveries);
+
+export default router;
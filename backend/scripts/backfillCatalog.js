@@ -0,0 +1,37 @@
+import redis from '../config/redis.js';
+import { getVideo, saveVideo } from '../services/catalog.js';
+
+// One-off: copy sessions that predate the catalog into it, so they show up in
+// GET /api/videos and survive their session expiring. Safe to re-run - videos
+// already in the catalog are left alone.
+
+const backfill = async () => {
+  let cursor = '0';
+  let added = 0;
+
+  do {
+    const [next, keys] = await redis.scan(cursor, 'MATCH', 'upload:*', 'COUNT', 500);
+    cursor = next;
+
+    // upload:{id} only - not the :parts, :checksums or :analysis keys beside it
+    for (const key of keys.filter((candidate) => candidate.split(':').length === 2)) {
+      const data = await redis.get(key);
+      if (!data) continue;
+
+      const uploadSession = JSON.parse(data);
+      if (await getVideo(uploadSession.videoId)) continue;
+
+      await saveVideo(uploadSession);
+      added++;
+    }
+  } while (cursor !== '0');
+
+  console.log(`✅ Added ${added} videos to the catalog`);
+};
+
+backfill()
+  .catch((error) => {
+    console.error('❌ Catalog backfill failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => redis.quit());
@@ -0,0 +1,20 @@
+import redis from '../config/redis.js';
+import { rehydrateFromManifests } from '../services/rehydrate.js';
+
+// Rebuild Redis state from the manifest.json of every video in the bucket.
+//   npm run rehydrate                          restore videos missing from Redis or behind their manifest
+//   npm run rehydrate -- --force               overwrite every video from its manifest
+//   npm run rehydrate -- --dry-run             only report what would be restored
+
+const dryRun = process.argv.includes('--dry-run');
+const force = process.argv.includes('--force');
+
+rehydrateFromManifests({ dryRun, force })
+  .then((report) => {
+    console.log(JSON.stringify(report, null, 2));
+  })
+  .catch((error) => {
+    console.error('❌ Rehydrate failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => redis.quit());
@@ -0,0 +1,116 @@
+import express from 'express';
+import dotenv from 'dotenv';
+import crypto from 'crypto';
+
+dotenv.config();
+
+// Local stand-in for the FastAPI analysis service, for exercising both analysis
+// modes end to end without the real models:
+//   POST /api/v1/batch/analyze-batch  sync mode - one uploaded chunk per request
+//   POST /api/v1/batch/analyze-async  callback mode - chunk URLs, results POSTed back
+//
+// Run with `npm run stub:analysis`, point FASTAPI_URL at it, and share
+// ANALYSIS_CALLBACK_SECRET with the backend. STUB_FAIL_RATE (0-1) makes a
+// share of chunks fail; STUB_DELAY_MS spaces out the callbacks.
+
+const PORT = parseInt(process.env.STUB_ANALYSIS_PORT) || 8000;
+const SECRET = process.env.ANALYSIS_CALLBACK_SECRET;
+const FAIL_RATE = parseFloat(process.env.STUB_FAIL_RATE) || 0;
+const DELAY_MS = parseInt(process.env.STUB_DELAY_MS) || 500;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Same scheme the backend verifies: HMAC-SHA256 over "<timestamp>.<raw body>"
+const sign = (timestamp, body) =>
+  `sha256=${crypto.createHmac('sha256', SECRET).update(`${timestamp}.${body}`).digest('hex')}`;
+
+const fakeResult = (bytes) => ({
+  bytes,
+  labels: ['stub'],
+  score: Math.round(Math.random() * 1000) / 1000,
+  analyzedAt: new Date().toISOString(),
+});
+
+// POST one signed result, retrying once (re-signed) if the backend doesn't accept it.
+// Callbacks carry the submitting request's X-Request-Id, as FastAPI's do.
+const deliver = async (callbackUrl, payload, requestId) => {
+  const body = JSON.stringify(payload);
+
+  for (let attempt = 1; attempt <= 2; attempt++) {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const response = await fetch(callbackUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Analysis-Timestamp': timestamp,
+        'X-Analysis-Signature': sign(timestamp, body),
+        ...(requestId ? { 'X-Request-Id': requestId } : {}),
+      },
+      body,
+    });
+
+    console.log(`📨 Callback for chunk ${payload.chunkIndex}: ${response.status}`);
+    if (response.ok || response.status < 500) return;
+    await sleep(1000);
+  }
+};
+
+const analyzeByReference = async ({ videoId, chunks, callbackUrl }, requestId) => {
+  for (const chunk of chunks) {
+    await sleep(DELAY_MS);
+
+    try {
+      if (Math.random() < FAIL_RATE) {
+        throw new Error('Simulated analysis failure');
+      }
+
+      const download = await fetch(chunk.url);
+      if (!download.ok) {
+        throw new Error(`Chunk download failed with status ${download.status}`);
+      }
+      const bytes = (await download.arrayBuffer()).byteLength;
+
+      await deliver(callbackUrl, { videoId, chunkIndex: chunk.index, status: 'completed', result: fakeResult(bytes) }, requestId);
+    } catch (error) {
+      await deliver(callbackUrl, { videoId, chunkIndex: chunk.index, status: 'failed', error: error.message }, requestId);
+    }
+  }
+};
+
+const app = express();
+
+app.post('/api/v1/batch/analyze-batch', (req, res) => {
+  let bytes = 0;
+  req.on('data', (data) => {
+    bytes += data.length;
+  });
+  req.on('end', async () => {
+    await sleep(DELAY_MS);
+    if (Math.random() < FAIL_RATE) {
+      return res.status(500).json({ detail: 'Simulated analysis failure' });
+    }
+    res.json({ filesProcessed: 1, results: [fakeResult(bytes)] });
+  });
+});
+
+app.post('/api/v1/batch/analyze-async', express.json(), (req, res) => {
+  const { videoId, chunks, callbackUrl } = req.body;
+
+  if (!SECRET) {
+    return res.status(500).json({ detail: 'ANALYSIS_CALLBACK_SECRET is not set' });
+  }
+  if (!videoId || !Array.isArray(chunks) || !callbackUrl) {
+    return res.status(422).json({ detail: 'videoId, chunks and callbackUrl are required' });
+  }
+
+  console.log(`📥 Accepted ${chunks.length} chunks for ${videoId}`);
+  res.status(202).json({ accepted: chunks.length });
+
+  analyzeByReference(req.body, req.get('X-Request-Id')).catch((error) => {
+    console.error(`❌ Stub analysis failed for ${videoId}:`, error.message);
+  });
+});
+
+app.listen(PORT, () => {
+  console.log(`🧪 Stub analysis server listening on port ${PORT}`);
+});
@@ -0,0 +1,18 @@
+import redis from '../config/redis.js';
+import { runSweep } from '../services/lifecycle.js';
+
+// Run the retention sweeper once and print its report.
+//   npm run sweep              apply the retention rules
+//   npm run sweep -- --dry-run only report what would be done
+
+const dryRun = process.argv.includes('--dry-run');
+
+runSweep({ dryRun })
+  .then((report) => {
+    console.log(JSON.stringify(report, null, 2));
+  })
+  .catch((error) => {
+    console.error('❌ Sweep failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => redis.quit());
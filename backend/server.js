@@ -1,70 +1,25 @@
-import express from 'express';
-import cors from 'cors';
 import dotenv from 'dotenv';
-import uploadRoutes from './routes/uploadRoutes.js';
-import redis from './config/redis.js';
+import app from './app.js';
+import logger, { LOG_FORMAT } from './utils/logger.js';
 
 dotenv.config();
 
-const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Middleware
-app.use(cors());
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
-
-// Routes
-app.use('/api/upload', uploadRoutes);
-
-// Health check
-app.get('/health', async (req, res) => {
-  try {
-    await redis.ping();
-    res.json({
-      success: true,
-      message: 'Server is healthy',
-      redis: 'connected',
-      timestamp: new Date().toISOString(),
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Server is unhealthy',
-      redis: 'disconnected',
-      error: error.message,
+// Start server
+app.listen(PORT, () => {
+  // The banner is for a terminal; log collectors get a single JSON line
+  if (LOG_FORMAT === 'json') {
+    logger.info('Video Upload Service started', {
+      port: PORT,
+      environment: process.env.NODE_ENV || 'development',
+      bucket: process.env.S3_BUCKET_NAME,
+      redis: `${process.env.REDIS_HOST || 'localhost'}:${process.env.REDIS_PORT || '6379'}`,
+      fastapi: process.env.FASTAPI_URL || 'http://localhost:8000',
     });
+    return;
   }
-});
 
-// Root endpoint
-app.get('/', (req, res) => {
-  res.json({
-    success: true,
-    message: 'Video Upload Service API',
-    version: '1.0.0',
-    endpoints: {
-      health: 'GET /health',
-      initiateUpload: 'POST /api/upload/initiate',
-      trackProgress: 'POST /api/upload/progress',
-      getStatus: 'GET /api/upload/status/:videoId',
-      completeUpload: 'POST /api/upload/complete',
-    },
-  });
-});
-
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error('Error:', err);
-  res.status(500).json({
-    success: false,
-    message: 'Internal server error',
-    error: err.message,
-  });
-});
-
-// Start server
-app.listen(PORT, () => {
   console.log(`
 ╔════════════════════════════════════════════╗
 ║   🚀 Video Upload Service Started         ║
@@ -79,5 +34,3 @@ app.listen(PORT, () => {
 ╚════════════════════════════════════════════╝
   `);
 });
-
-export default app;
\ No newline at end of file
@@ -0,0 +1,227 @@
+import storage from './storage/index.js';
+import redis from '../config/redis.js';
+import { getSession } from './sessionStore.js';
+import {
+  analysisKey,
+  saveChunkState,
+  startAnalysis,
+  finishAnalysis,
+  reportAnalysisProgress,
+  chunkSeconds,
+} from './chunkAnalysis.js';
+import { recordAnalyzedSeconds } from './quotas.js';
+import { timeFastapiRequest } from './metrics.js';
+import logger, { getLogContext } from '../utils/logger.js';
+import { REQUEST_ID_HEADER } from '../middleware/requestId.js';
+import axios from 'axios';
+import dotenv from 'dotenv';
+import crypto from 'crypto';
+
+dotenv.config();
+
+const FASTAPI_URL = process.env.FASTAPI_URL || 'http://localhost:8000';
+const ANALYSIS_SUBMIT_PATH = process.env.ANALYSIS_SUBMIT_PATH || '/api/v1/batch/analyze-async';
+const ANALYSIS_CALLBACK_URL = process.env.ANALYSIS_CALLBACK_URL || `http://localhost:${process.env.PORT || 3000}`;
+const ANALYSIS_CALLBACK_SECRET = process.env.ANALYSIS_CALLBACK_SECRET;
+const CALLBACK_TOLERANCE_SECONDS = parseInt(process.env.ANALYSIS_CALLBACK_TOLERANCE) || 300;
+// The analysis service may queue chunks for a while before fetching them
+const CHUNK_URL_EXPIRY = parseInt(process.env.ANALYSIS_CHUNK_URL_EXPIRY) || 6 * 60 * 60;
+// Seconds FastAPI has to deliver every result of a submission; by default as
+// long as the chunk URLs last, since it can't fetch the chunks after that
+const CALLBACK_DEADLINE = parseInt(process.env.ANALYSIS_CALLBACK_DEADLINE) || CHUNK_URL_EXPIRY;
+
+export const ANALYSIS_MODE = process.env.ANALYSIS_MODE === 'callback' ? 'callback' : 'sync';
+
+export const SIGNATURE_HEADER = 'x-analysis-signature';
+export const TIMESTAMP_HEADER = 'x-analysis-timestamp';
+
+// Thrown when a callback can't be authenticated
+export class CallbackAuthError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CallbackAuthError';
+  }
+}
+
+// Signature over "<timestamp>.<raw body>" so neither can be changed independently.
+// Sent as "sha256=<hex>".
+export const signCallback = (timestamp, rawBody, secret = ANALYSIS_CALLBACK_SECRET) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex')}`;
+
+// Authenticate a callback: valid signature, timestamp within the tolerance
+// window, and a signature we haven't seen before (replay protection)
+export const verifyCallback = async ({ rawBody, timestamp, signature }) => {
+  if (!ANALYSIS_CALLBACK_SECRET) {
+    throw new CallbackAuthError('Analysis callbacks are not configured');
+  }
+  if (!rawBody || !timestamp || !signature) {
+    throw new CallbackAuthError('Missing signature or timestamp');
+  }
+
+  const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+  if (!Number.isFinite(age) || age > CALLBACK_TOLERANCE_SECONDS) {
+    throw new CallbackAuthError('Timestamp outside the allowed window');
+  }
+
+  const expected = Buffer.from(signCallback(timestamp, rawBody));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw new CallbackAuthError('Invalid signature');
+  }
+
+  // Remember each signature for as long as its timestamp would be accepted
+  const fresh = await redis.set(
+    `analysis:callback:${signature}`,
+    '1',
+    'EX',
+    CALLBACK_TOLERANCE_SECONDS * 2,
+    'NX'
+  );
+  if (!fresh) {
+    throw new CallbackAuthError('Callback has already been received');
+  }
+};
+
+// Submit chunk URLs to the analysis service and return without waiting for results.
+// The service POSTs each chunk's result to the callback route as it finishes.
+export const submitAnalysis = async (videoId, { onlyFailed = false } = {}) => {
+  const uploadSession = await getSession(videoId);
+  const toRun = await startAnalysis(uploadSession, { onlyFailed, mode: 'callback' });
+
+  const chunks = [];
+  for (const chunk of toRun) {
+    const url = await storage.getReadUrl(chunk.key, { expiresIn: CHUNK_URL_EXPIRY });
+    chunks.push({ index: chunk.index, url, start: chunk.start, end: chunk.end });
+  }
+
+  // Mark chunks in flight before submitting - results may arrive before the POST returns
+  for (const chunk of toRun) {
+    await saveChunkState(videoId, {
+      index: chunk.index,
+      status: 'analyzing',
+      attempts: 1,
+      startedAt: new Date().toISOString(),
+    });
+  }
+  await reportAnalysisProgress(videoId);
+
+  logger.info(`Submitting ${chunks.length} chunk URLs to FastAPI (results via callback)...`);
+
+  try {
+    await timeFastapiRequest('analyze_async', () => axios.post(`${FASTAPI_URL}${ANALYSIS_SUBMIT_PATH}`, {
+      videoId,
+      chunks,
+      callbackUrl: `${ANALYSIS_CALLBACK_URL}/api/upload/analysis/callback`,
+    }, {
+      timeout: 30000,
+      headers: { [REQUEST_ID_HEADER]: getLogContext().requestId },
+    }));
+  } catch (error) {
+    // Nothing was accepted, so every submitted chunk has failed
+    for (const chunk of toRun) {
+      await saveChunkState(videoId, { index: chunk.index, status: 'failed', attempts: 1, error: error.message });
+    }
+    await finishAnalysis(videoId);
+    throw error;
+  }
+
+  return { submittedChunks: chunks.length, totalChunks: uploadSession.chunks.length };
+};
+
+// Store a chunk result unless the chunk already has a completed one, and
+// report whether every chunk has now settled (2) or not (1).
+// Done in one script so concurrent deliveries of the same result can't both win.
+const RECORD_RESULT_SCRIPT = `
+local current = redis.call('HGET', KEYS[1], ARGV[1])
+if not current then return -1 end
+if cjson.decode(current).status == 'completed' then return 0 end
+redis.call('HSET', KEYS[1], ARGV[1], ARGV[2])
+for _, state in ipairs(redis.call('HVALS', KEYS[1])) do
+  local status = cjson.decode(state).status
+  if status ~= 'completed' and status ~= 'failed' then return 1 end
+end
+return 2
+`;
+
+// Apply a chunk result delivered by the analysis service. Idempotent per chunk:
+// once a chunk has a completed result, later deliveries for it are ignored.
+// Returns { recorded, duplicate, finished }.
+export const recordCallbackResult = async ({ videoId, chunkIndex, status, result, error }) => {
+  const uploadSession = await getSession(videoId);
+  if (!uploadSession) {
+    return { recorded: false, notFound: true };
+  }
+
+  const state = {
+    index: chunkIndex,
+    status,
+    attempts: 1,
+    ...(status === 'completed' ? { result } : { error: error || 'Analysis failed' }),
+    [status === 'completed' ? 'completedAt' : 'failedAt']: new Date().toISOString(),
+  };
+
+  const outcome = await redis.eval(
+    RECORD_RESULT_SCRIPT,
+    1,
+    analysisKey(videoId),
+    String(chunkIndex),
+    JSON.stringify(state)
+  );
+
+  if (outcome === -1) {
+    return { recorded: false, notFound: true };
+  }
+  if (outcome === 0) {
+    return { recorded: false, duplicate: true };
+  }
+
+  logger.info(`Analysis callback: chunk ${chunkIndex} of ${videoId} ${status}`);
+  if (status === 'completed') {
+    await recordAnalyzedSeconds(uploadSession.ownerId, chunkSeconds(uploadSession.chunks?.[chunkIndex]));
+  }
+  await reportAnalysisProgress(videoId);
+
+  // The last chunk to settle finishes the video; finishAnalysis lets only one
+  // of several callbacks that all saw the run settled do it
+  const finished = outcome === 2 && Boolean(await finishAnalysis(videoId));
+
+  return { recorded: true, finished };
+};
+
+// Fail every chunk that hasn't settled yet; returns how many were failed
+const FAIL_OUTSTANDING_SCRIPT = `
+local fields = redis.call('HGETALL', KEYS[1])
+local failed = 0
+for i = 1, #fields, 2 do
+  local state = cjson.decode(fields[i + 1])
+  if state.status ~= 'completed' and state.status ~= 'failed' then
+    state.status = 'failed'
+    state.error = ARGV[1]
+    state.failedAt = ARGV[2]
+    redis.call('HSET', KEYS[1], fields[i], cjson.encode(state))
+    failed = failed + 1
+  end
+end
+return failed
+`;
+
+// Give up on the results of a callback analysis that are past the deadline:
+// fail the chunks still outstanding and settle the video, so the failed
+// chunks can be retried. Returns the number of chunks failed, or null if the
+// video isn't waiting on an overdue submission.
+export const expireOverdueAnalysis = async (uploadSession) => {
+  const { videoId, status, analysisRun } = uploadSession;
+  if (status !== 'analyzing' || analysisRun?.mode !== 'callback') return null;
+  if (Date.now() - Date.parse(analysisRun.startedAt) < CALLBACK_DEADLINE * 1000) return null;
+
+  const failed = await redis.eval(
+    FAIL_OUTSTANDING_SCRIPT,
+    1,
+    analysisKey(videoId),
+    `No result received within ${CALLBACK_DEADLINE}s of submission`,
+    new Date().toISOString()
+  );
+  await finishAnalysis(videoId);
+
+  return failed;
+};
@@ -0,0 +1,213 @@
+import { sha256 } from '../utils/checksum.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Same-label detections on either side of a chunk boundary this close together
+// (seconds) are one detection the cut split in two
+const MERGE_GAP_SECONDS = parseFloat(process.env.ANALYSIS_MERGE_GAP_SECONDS) || 1;
+
+// Where FastAPI results keep their detections, and the names each field goes by
+const DETECTION_LISTS = ['events', 'detections', 'segments', 'labels', 'predictions'];
+const LABEL_FIELDS = ['label', 'name', 'class', 'category'];
+const START_FIELDS = ['start', 'startTime', 'start_time', 'timestamp', 'time'];
+const END_FIELDS = ['end', 'endTime', 'end_time'];
+const CONFIDENCE_FIELDS = ['confidence', 'score', 'probability'];
+
+const firstNumber = (source, fields) => {
+  for (const field of fields) {
+    const value = Number(source[field]);
+    if (source[field] !== undefined && source[field] !== null && Number.isFinite(value)) return value;
+  }
+  return null;
+};
+
+const firstString = (source, fields) => {
+  for (const field of fields) {
+    if (typeof source[field] === 'string' && source[field].trim()) return source[field].trim();
+  }
+  return null;
+};
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+const round = (seconds) => Math.round(seconds * 1000) / 1000;
+
+// A sync-mode result is the batch response ({ results: [...] }); a callback
+// result is a single file's result
+const resultItems = (result) => {
+  if (!result || typeof result !== 'object') return [];
+  return Array.isArray(result.results) ? result.results : [result];
+};
+
+// Detections in one chunk's result, with times relative to the chunk. A bare
+// label (or one without times) covers the whole chunk; a single timestamp is a
+// point in time.
+export const extractDetections = (result, chunkDuration) => {
+  const detections = [];
+
+  for (const item of resultItems(result)) {
+    if (!item || typeof item !== 'object') continue;
+    const itemConfidence = firstNumber(item, CONFIDENCE_FIELDS);
+
+    for (const list of DETECTION_LISTS) {
+      if (!Array.isArray(item[list])) continue;
+
+      for (const entry of item[list]) {
+        if (typeof entry === 'string') {
+          detections.push({ label: entry, start: 0, end: chunkDuration, confidence: itemConfidence });
+          continue;
+        }
+        if (!entry || typeof entry !== 'object') continue;
+
+        const label = firstString(entry, LABEL_FIELDS);
+        if (!label) continue;
+
+        let start = firstNumber(entry, START_FIELDS);
+        let end = firstNumber(entry, END_FIELDS);
+        if (start === null && end === null) {
+          [start, end] = [0, chunkDuration];
+        } else if (start === null) {
+          start = end;
+        } else if (end === null) {
+          end = start + (firstNumber(entry, ['duration']) ?? 0);
+        }
+
+        start = clamp(start, 0, chunkDuration);
+        detections.push({
+          label,
+          start,
+          end: clamp(Math.max(end, start), start, chunkDuration),
+          confidence: firstNumber(entry, CONFIDENCE_FIELDS) ?? itemConfidence,
+        });
+      }
+    }
+  }
+
+  return detections;
+};
+
+const maxConfidence = (a, b) => (a === null ? b : b === null ? a : Math.max(a, b));
+
+// Join detections of the same label that continue across a chunk boundary.
+// Overlapping detections within one chunk are left as the model reported them.
+const mergeAcrossBoundaries = (events) => {
+  const merged = [];
+  const lastByLabel = new Map();
+
+  for (const event of [...events].sort((a, b) => a.start - b.start || a.chunkIndex - b.chunkIndex)) {
+    const previous = lastByLabel.get(event.label);
+    const crossesBoundary = previous && !previous.chunkIndexes.includes(event.chunkIndex);
+
+    if (crossesBoundary && event.start <= previous.end + MERGE_GAP_SECONDS) {
+      previous.end = Math.max(previous.end, event.end);
+      previous.confidence = maxConfidence(previous.confidence, event.confidence);
+      previous.chunkIndexes.push(event.chunkIndex);
+      continue;
+    }
+
+    const copy = { ...event, chunkIndexes: [event.chunkIndex] };
+    merged.push(copy);
+    lastByLabel.set(event.label, copy);
+  }
+
+  return merged;
+};
+
+// Stable id for an event, so clients can refer to one (e.g. to cut a clip around it)
+const eventId = ({ label, start, end, chunkIndex }) =>
+  `evt_${sha256(`${label}|${start}|${end}|${chunkIndex}`).hex.slice(0, 12)}`;
+
+// Turn per-chunk analysis results into one timeline in absolute video time:
+// { events: [{ id, label, start, end, confidence, chunkIndex, chunkIndexes }],
+//   labels: [{ label, count, totalDuration }], missingChunks, duration }
+// missingChunks lists chunks whose analysis failed, so gaps can be told apart
+// from "nothing detected".
+export const buildTimeline = (uploadSession) => {
+  const events = [];
+  const missingChunks = [];
+
+  for (const chunkResult of uploadSession.analysisResults || []) {
+    if (chunkResult.status !== 'completed') {
+      missingChunks.push(chunkResult.index);
+      continue;
+    }
+
+    const chunkStart = chunkResult.start ?? 0;
+    const chunkDuration = Math.max(0, (chunkResult.end ?? chunkStart) - chunkStart);
+
+    for (const detection of extractDetections(chunkResult.result, chunkDuration)) {
+      events.push({
+        label: detection.label,
+        start: chunkStart + detection.start,
+        end: chunkStart + detection.end,
+        confidence: detection.confidence,
+        chunkIndex: chunkResult.index,
+      });
+    }
+  }
+
+  const timelineEvents = mergeAcrossBoundaries(events)
+    .map((event) => ({ ...event, start: round(event.start), end: round(event.end) }))
+    .map((event) => ({ id: eventId(event), ...event }));
+
+  const labels = new Map();
+  for (const { label, start, end } of timelineEvents) {
+    const entry = labels.get(label) || { label, count: 0, totalDuration: 0 };
+    entry.count++;
+    entry.totalDuration = round(entry.totalDuration + (end - start));
+    labels.set(label, entry);
+  }
+
+  return {
+    duration: uploadSession.duration,
+    events: timelineEvents,
+    labels: [...labels.values()].sort((a, b) => b.count - a.count || a.label.localeCompare(b.label)),
+    missingChunks,
+    generatedAt: new Date().toISOString(),
+  };
+};
+
+// The video's timeline: the one recorded when analysis finished, or for videos
+// analyzed before timelines (or event ids) were recorded, one built now.
+// Null if the video hasn't been analyzed.
+export const getTimeline = (uploadSession) => {
+  const timeline = uploadSession.analysisTimeline;
+  if (timeline && timeline.events.every((event) => event.id)) return timeline;
+  return uploadSession.analysisResults ? buildTimeline(uploadSession) : null;
+};
+
+export const findTimelineEvent = (uploadSession, id) =>
+  getTimeline(uploadSession)?.events.find((event) => event.id === id) || null;
+
+// Check timeline query parameters; returns an error message or null
+export const validateTimelineQuery = ({ from, to }) => {
+  const start = from === undefined ? 0 : Number(from);
+  const end = to === undefined ? Infinity : Number(to);
+
+  if (!Number.isFinite(start) || start < 0) {
+    return 'from must be a non-negative number of seconds';
+  }
+  if (to !== undefined && (!Number.isFinite(end) || end < 0)) {
+    return 'to must be a non-negative number of seconds';
+  }
+  if (end < start) {
+    return 'to must not be before from';
+  }
+  return null;
+};
+
+// Events overlapping [from, to] (seconds) whose label is one of the given
+// comma-separated labels (case-insensitive)
+export const filterTimeline = (timeline, { from, to, label }) => {
+  const start = from === undefined ? 0 : Number(from);
+  const end = to === undefined ? Infinity : Number(to);
+  const labels = label
+    ? new Set(String(label).split(',').map((name) => name.trim().toLowerCase()).filter(Boolean))
+    : null;
+
+  return timeline.events.filter((event) =>
+    event.end >= start &&
+    event.start <= end &&
+    (!labels || labels.has(event.label.toLowerCase()))
+  );
+};
@@ -0,0 +1,73 @@
+import redis from '../config/redis.js';
+import logger from '../utils/logger.js';
+
+// Cancelling a video stops its pipeline work: the processing job and any clip
+// jobs. The request is stored as the time it was made, so jobs queued before
+// it are dropped when a worker picks them up, and broadcast so workers kill
+// the ones already running (ffmpeg included).
+const CANCEL_CHANNEL = 'cancel:requests';
+const CANCEL_TTL = 7 * 24 * 60 * 60; // seconds - outlasts any retry backoff
+
+export const cancelKey = (videoId) => `video:${videoId}:cancelled_at`;
+
+// Thrown into cancelled work. Never retried.
+export class CancelledError extends Error {
+  constructor() {
+    super('Cancelled on request');
+    this.name = 'CancelledError';
+    this.code = 'CANCELLED';
+    this.retryable = false;
+  }
+}
+
+// AbortControllers for the work running in this process, per video
+const running = new Map();
+
+// Register work on a video as cancellable. Returns { signal, release }: signal
+// aborts with a CancelledError when the video is cancelled, and release must
+// be called once the work is over.
+export const trackCancellable = (videoId) => {
+  const controller = new AbortController();
+  if (!running.has(videoId)) {
+    running.set(videoId, new Set());
+  }
+  running.get(videoId).add(controller);
+
+  return {
+    signal: controller.signal,
+    release: () => {
+      const controllers = running.get(videoId);
+      controllers?.delete(controller);
+      if (controllers?.size === 0) {
+        running.delete(videoId);
+      }
+    },
+  };
+};
+
+// Whether a job was queued before the video was last cancelled
+export const isJobCancelled = async (videoId, job) => {
+  const cancelledAt = await redis.get(cancelKey(videoId));
+  return Boolean(cancelledAt) && Date.parse(job.createdAt) <= Number(cancelledAt);
+};
+
+// Cancel a video's queued and in-flight work, wherever it runs
+export const requestCancel = async (videoId) => {
+  await redis.set(cancelKey(videoId), Date.now(), 'EX', CANCEL_TTL);
+  await redis.publish(CANCEL_CHANNEL, videoId);
+  logger.info(`Cancellation requested for ${videoId}`);
+};
+
+// Listen for cancel requests and abort this process's matching work.
+// Returns a function that stops listening.
+export const startCancelListener = async () => {
+  const subscriber = redis.duplicate();
+  subscriber.on('message', (channel, videoId) => {
+    for (const controller of running.get(videoId) || []) {
+      controller.abort(new CancelledError());
+    }
+  });
+  await subscriber.subscribe(CANCEL_CHANNEL);
+
+  return () => subscriber.disconnect();
+};
@@ -0,0 +1,242 @@
+import redis from '../config/redis.js';
+
+// Durable video catalog. Upload sessions expire; catalog records don't, so a
+// video's metadata, chunk keys and analysis results outlive its session.
+//
+// Keys:
+//   video:{id}                             - JSON record (the latest session state plus updatedAt)
+//   videos:created                         - sorted set of video ids, score = createdAt (ms)
+//   videos:status:{status}                 - the same, per status
+//   videos:owner:{ownerId}                 - the same, per owner
+//   videos:owner:{ownerId}:status:{status} - the same, per owner and status
+//
+// Soft-deleted videos are only kept in the status indexes, so they drop out of
+// unfiltered listings but can still be listed with status=deleted.
+const videoKey = (videoId) => `video:${videoId}`;
+
+export const VIDEO_STATUSES = [
+  'uploading',
+  'aborted',
+  'uploaded',
+  'queued',
+  'processing',
+  'rejected',
+  'chunked',
+  'analyzing',
+  'completed',
+  'partially_completed',
+  'failed',
+  'cancelled',
+  'deleted',
+];
+
+const MAX_PAGE_SIZE = 100;
+const DEFAULT_PAGE_SIZE = 20;
+
+// The index holding exactly the videos matching the owner/status filter
+const indexKey = ({ ownerId, status } = {}) => {
+  if (ownerId && status) return `videos:owner:${ownerId}:status:${status}`;
+  if (ownerId) return `videos:owner:${ownerId}`;
+  if (status) return `videos:status:${status}`;
+  return 'videos:created';
+};
+
+export const getVideo = async (videoId) => {
+  const data = await redis.get(videoKey(videoId));
+  return data ? JSON.parse(data) : null;
+};
+
+// Write the record and move the video between indexes in one step, so two
+// writers can't both read the same previous status and leave the video listed
+// under one it has left. The previous status's keys are built here and must
+// match indexKey.
+//   KEYS  record, all videos, status, owner, owner + status
+//   ARGV  record JSON, score, video id, status, owner id ('' if none)
+const SAVE_SCRIPT = `
+local previous = redis.call('GET', KEYS[1])
+redis.call('SET', KEYS[1], ARGV[1])
+local score, videoId, status, ownerId = ARGV[2], ARGV[3], ARGV[4], ARGV[5]
+local hasOwner = ownerId ~= ''
+
+redis.call('ZADD', KEYS[3], score, videoId)
+if hasOwner then redis.call('ZADD', KEYS[5], score, videoId) end
+
+if status == 'deleted' then
+  redis.call('ZREM', KEYS[2], videoId)
+  if hasOwner then redis.call('ZREM', KEYS[4], videoId) end
+else
+  redis.call('ZADD', KEYS[2], score, videoId)
+  if hasOwner then redis.call('ZADD', KEYS[4], score, videoId) end
+end
+
+if previous then
+  local previousStatus = cjson.decode(previous).status
+  if previousStatus and previousStatus ~= status then
+    redis.call('ZREM', 'videos:status:' .. previousStatus, videoId)
+    if hasOwner then
+      redis.call('ZREM', 'videos:owner:' .. ownerId .. ':status:' .. previousStatus, videoId)
+    end
+  end
+end
+return 1
+`;
+
+// Write a session's current state to the catalog and keep the indexes in step
+// with its status
+export const saveVideo = async (uploadSession) => {
+  const { videoId, ownerId, status } = uploadSession;
+  const score = Date.parse(uploadSession.createdAt) || Date.now();
+
+  const record = { ...uploadSession, updatedAt: new Date().toISOString() };
+  await redis.eval(
+    SAVE_SCRIPT,
+    5,
+    videoKey(videoId),
+    indexKey(),
+    indexKey({ status }),
+    indexKey({ ownerId }),
+    indexKey({ ownerId, status }),
+    JSON.stringify(record),
+    score,
+    videoId,
+    status,
+    ownerId || ''
+  );
+  return record;
+};
+
+// Drop a video's record and every index entry for it
+export const removeVideo = async ({ videoId, ownerId, status }) => {
+  const multi = redis.multi()
+    .del(videoKey(videoId))
+    .zrem(indexKey(), videoId)
+    .zrem(indexKey({ status }), videoId);
+
+  if (ownerId) {
+    multi
+      .zrem(indexKey({ ownerId }), videoId)
+      .zrem(indexKey({ ownerId, status }), videoId);
+  }
+
+  await multi.exec();
+};
+
+// Ids of videos in a status, optionally only those created before a time
+export const listVideoIdsByStatus = (status, { createdBefore = '+inf' } = {}) =>
+  redis.zrangebyscore(indexKey({ status }), '-inf', createdBefore);
+
+// Number of videos in each status: { [status]: count }
+export const countVideosByStatus = async () => {
+  const multi = redis.multi();
+  for (const status of VIDEO_STATUSES) {
+    multi.zcard(indexKey({ status }));
+  }
+  const results = await multi.exec();
+  return Object.fromEntries(VIDEO_STATUSES.map((status, i) => [status, results[i][1]]));
+};
+
+// Validate list query parameters. Returns an error message, or null if valid.
+export const validateListQuery = ({ status, from, to, sort, limit, cursor }) => {
+  if (status !== undefined && !VIDEO_STATUSES.includes(status)) {
+    return `Unknown status ${status}; expected one of ${VIDEO_STATUSES.join(', ')}`;
+  }
+  if (from !== undefined && Number.isNaN(Date.parse(from))) {
+    return 'from must be an ISO 8601 date';
+  }
+  if (to !== undefined && Number.isNaN(Date.parse(to))) {
+    return 'to must be an ISO 8601 date';
+  }
+  if (sort !== undefined && !['createdAt', '-createdAt'].includes(sort)) {
+    return 'sort must be createdAt or -createdAt';
+  }
+  if (limit !== undefined) {
+    const pageSize = Number(limit);
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+      return `limit must be an integer from 1 to ${MAX_PAGE_SIZE}`;
+    }
+  }
+  if (cursor !== undefined && !decodeCursor(cursor)) {
+    return 'cursor is not valid';
+  }
+  return null;
+};
+
+// Cursors are opaque to clients: "<score>:<videoId>" of the last video on the page
+const encodeCursor = (score, videoId) => Buffer.from(`${score}:${videoId}`).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  const [score, videoId] = Buffer.from(String(cursor), 'base64url').toString().split(':');
+  if (!videoId || !Number.isFinite(Number(score))) return null;
+  return { score: Number(score), videoId };
+};
+
+// Whether an index entry comes after the cursor in the requested order.
+// Equal scores are ordered by member, like Redis orders them.
+const isAfterCursor = (score, videoId, cursor, descending) => {
+  if (!cursor || score !== cursor.score) return true;
+  return descending ? videoId < cursor.videoId : videoId > cursor.videoId;
+};
+
+// One page of videos, newest first unless sort is createdAt.
+// Returns { videos, nextCursor } - nextCursor is null on the last page.
+export const listVideos = async ({ ownerId, status, from, to, sort = '-createdAt', limit, cursor } = {}) => {
+  const pageSize = Number(limit) || DEFAULT_PAGE_SIZE;
+  const descending = sort === '-createdAt';
+  const after = cursor ? decodeCursor(cursor) : null;
+
+  // Score bounds from the date range, narrowed to start at the cursor
+  let min = from ? Date.parse(from) : '-inf';
+  let max = to ? Date.parse(to) : '+inf';
+  if (after) {
+    if (descending) max = max === '+inf' ? after.score : Math.min(max, after.score);
+    else min = min === '-inf' ? after.score : Math.max(min, after.score);
+  }
+
+  const key = indexKey({ ownerId, status });
+  const entries = [];
+  let offset = 0;
+
+  // Fetch one more than a page to know whether there is a next one. Entries
+  // sharing the cursor's score that were already returned are skipped.
+  while (entries.length <= pageSize) {
+    const batch = descending
+      ? await redis.zrevrangebyscore(key, max, min, 'WITHSCORES', 'LIMIT', offset, pageSize + 1)
+      : await redis.zrangebyscore(key, min, max, 'WITHSCORES', 'LIMIT', offset, pageSize + 1);
+
+    for (let i = 0; i < batch.length; i += 2) {
+      const videoId = batch[i];
+      const score = Number(batch[i + 1]);
+      if (isAfterCursor(score, videoId, after, descending)) {
+        entries.push({ videoId, score });
+      }
+    }
+
+    offset += batch.length / 2;
+    if (batch.length / 2 < pageSize + 1) break;
+  }
+
+  const page = entries.slice(0, pageSize);
+  const records = page.length > 0 ? await redis.mget(page.map(({ videoId }) => videoKey(videoId))) : [];
+  const last = page[page.length - 1];
+
+  return {
+    videos: records.filter(Boolean).map((data) => JSON.parse(data)),
+    nextCursor: entries.length > pageSize ? encodeCursor(last.score, last.videoId) : null,
+  };
+};
+
+// The fields a listing shows for each video
+export const toVideoSummary = (video) => ({
+  videoId: video.videoId,
+  ownerId: video.ownerId,
+  fileName: video.fileName,
+  fileSize: video.fileSize,
+  contentType: video.contentType,
+  status: video.status,
+  duration: video.duration,
+  totalChunks: video.totalChunks,
+  analysisSummary: video.analysisSummary,
+  error: video.error,
+  createdAt: video.createdAt,
+  updatedAt: video.updatedAt,
+});
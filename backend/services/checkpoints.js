@@ -0,0 +1,65 @@
+import redis from '../config/redis.js';
+import { sha256 } from '../utils/checksum.js';
+
+// How far a video's processing got, so a retried, resumed or re-requested job
+// carries on where the last attempt stopped instead of starting over.
+//   video:{id}:checkpoint  hash of JSON fields
+//     fingerprint   what the checkpoints were made from (see processingFingerprint)
+//     probe         validation result
+//     cutPoints     where the video is cut
+//     chunk:{n}     { index, fileName, start, end, key, sha256 } once chunk n is stored
+//     segments      every chunk, once segmentation finished and all are stored
+//     hls, thumbnails   results of those stages
+// Cleared once the video is chunked.
+export const checkpointKey = (videoId) => `video:${videoId}:checkpoint`;
+
+const CHECKPOINT_TTL = 7 * 24 * 60 * 60; // seconds
+
+// Checkpoints only hold for the same original and the same settings; a new
+// upload, segmentation spec or rendition ladder starts from scratch
+export const processingFingerprint = (uploadSession, segmentation, renditions) => sha256(JSON.stringify([
+  uploadSession.originalKey,
+  uploadSession.sha256,
+  uploadSession.uploadedAt,
+  segmentation,
+  renditions,
+])).hex;
+
+// Load a video's checkpoints: { probe, cutPoints, chunks (by index), segments,
+// hls, thumbnails }, each missing until reached. Checkpoints left by a
+// different fingerprint are discarded.
+export const loadCheckpoint = async (videoId, fingerprint) => {
+  const fields = await redis.hgetall(checkpointKey(videoId));
+  const parsed = Object.fromEntries(Object.entries(fields).map(([field, value]) => [field, JSON.parse(value)]));
+
+  if (parsed.fingerprint !== fingerprint) {
+    await redis.del(checkpointKey(videoId));
+    await saveCheckpoint(videoId, 'fingerprint', fingerprint);
+    return { chunks: {} };
+  }
+
+  const chunks = {};
+  for (const [field, value] of Object.entries(parsed)) {
+    if (field.startsWith('chunk:')) {
+      chunks[value.index] = value;
+    }
+  }
+
+  return {
+    probe: parsed.probe,
+    cutPoints: parsed.cutPoints,
+    chunks,
+    segments: parsed.segments,
+    hls: parsed.hls,
+    thumbnails: parsed.thumbnails,
+  };
+};
+
+export const saveCheckpoint = async (videoId, field, value) => {
+  await redis.multi()
+    .hset(checkpointKey(videoId), field, JSON.stringify(value))
+    .expire(checkpointKey(videoId), CHECKPOINT_TTL)
+    .exec();
+};
+
+export const clearCheckpoint = (videoId) => redis.del(checkpointKey(videoId));
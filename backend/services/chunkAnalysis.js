@@ -0,0 +1,268 @@
+import storage from './storage/index.js';
+import redis from '../config/redis.js';
+import { getSession, saveSession, SESSION_TTL } from './sessionStore.js';
+import { publishStatus, publishProgress } from './progressEvents.js';
+import { recordAnalyzedSeconds } from './quotas.js';
+import { writeManifest } from './manifest.js';
+import { buildTimeline } from './analysisTimeline.js';
+import { timeFastapiRequest, observeStage, recordVideoOutcome } from './metrics.js';
+import logger, { getLogContext } from '../utils/logger.js';
+import { REQUEST_ID_HEADER } from '../middleware/requestId.js';
+import axios from 'axios';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const FASTAPI_URL = process.env.FASTAPI_URL || 'http://localhost:8000';
+const ANALYSIS_CONCURRENCY = parseInt(process.env.ANALYSIS_CONCURRENCY) || 3;
+const ANALYSIS_CHUNK_TIMEOUT_MS = parseInt(process.env.ANALYSIS_CHUNK_TIMEOUT_MS) || 5 * 60 * 1000;
+const ANALYSIS_MAX_ATTEMPTS = parseInt(process.env.ANALYSIS_MAX_ATTEMPTS) || 3;
+const ANALYSIS_BACKOFF_MS = parseInt(process.env.ANALYSIS_BACKOFF_MS) || 2000;
+const ANALYSIS_RUNS_KEPT = 20;
+
+// Outcome label of an analysis run in the stage duration metric
+const ANALYSIS_OUTCOMES = { completed: 'success', partially_completed: 'partial', failed: 'failure' };
+
+// Per-chunk analysis state: one hash field per chunk index holding
+// { index, status: pending|analyzing|completed|failed, attempts, result, error }
+export const analysisKey = (videoId) => `upload:${videoId}:analysis`;
+// Set by whichever caller settles the current analysis run, so it is finished once
+export const analysisFinishedKey = (videoId) => `upload:${videoId}:analysis:finished`;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export const saveChunkState = async (videoId, state) => {
+  await redis.hset(analysisKey(videoId), state.index, JSON.stringify(state));
+  await redis.expire(analysisKey(videoId), SESSION_TTL);
+};
+
+// All chunk states for a video, ordered by chunk index
+export const getChunkStates = async (videoId) => {
+  const states = await redis.hgetall(analysisKey(videoId));
+  return Object.values(states)
+    .map((state) => JSON.parse(state))
+    .sort((a, b) => a.index - b.index);
+};
+
+// Send one chunk to FastAPI. Only this chunk is held in memory, and the whole
+// round trip (download + analysis) is bounded by the per-chunk timeout.
+const analyzeChunk = async (chunk) => {
+  const signal = AbortSignal.timeout(ANALYSIS_CHUNK_TIMEOUT_MS);
+
+  // Sign a fresh URL - the ones stored at processing time may have expired
+  const chunkUrl = await storage.getReadUrl(chunk.key, { expiresIn: 3600 });
+
+  const download = await axios.get(chunkUrl, { responseType: 'arraybuffer', signal });
+
+  const formData = new FormData();
+  const blob = new Blob([download.data], { type: 'video/mp4' });
+  formData.append('files', blob, `chunk_${String(chunk.index).padStart(3, '0')}.mp4`);
+
+  const response = await timeFastapiRequest('analyze_batch', () => axios.post(
+    `${FASTAPI_URL}/api/v1/batch/analyze-batch`,
+    formData,
+    {
+      headers: {
+        'Content-Type': 'multipart/form-data',
+        // Lets FastAPI's logs be matched to ours
+        [REQUEST_ID_HEADER]: getLogContext().requestId,
+      },
+      signal,
+    }
+  ));
+
+  return response.data;
+};
+
+// Client errors from FastAPI (bad input) won't succeed on a retry
+const isRetryable = (error) => {
+  const status = error.response?.status;
+  return !status || status >= 500 || status === 408 || status === 429;
+};
+
+// Seconds of video in a chunk, counted against the owner's monthly analysis quota
+export const chunkSeconds = (chunk) => chunk?.duration ?? Math.max(0, (chunk?.end ?? 0) - (chunk?.start ?? 0));
+
+// Analyze one chunk with retries and exponential backoff, recording each state change
+const runChunk = async ({ videoId, ownerId }, chunk, state, onSettled) => {
+  while (true) {
+    state.status = 'analyzing';
+    state.attempts = (state.attempts || 0) + 1;
+    state.startedAt = new Date().toISOString();
+    await saveChunkState(videoId, state);
+
+    try {
+      state.result = await analyzeChunk(chunk);
+      state.status = 'completed';
+      state.completedAt = new Date().toISOString();
+      delete state.error;
+      await saveChunkState(videoId, state);
+      await recordAnalyzedSeconds(ownerId, chunkSeconds(chunk));
+      logger.info(`Chunk ${chunk.index} analyzed (attempt ${state.attempts})`);
+      break;
+    } catch (error) {
+      const message = error.name === 'TimeoutError' || error.name === 'CanceledError'
+        ? `Timed out after ${ANALYSIS_CHUNK_TIMEOUT_MS}ms`
+        : error.response?.data?.detail || error.message;
+      state.error = message;
+
+      if (state.attempts >= ANALYSIS_MAX_ATTEMPTS || !isRetryable(error)) {
+        state.status = 'failed';
+        state.failedAt = new Date().toISOString();
+        await saveChunkState(videoId, state);
+        logger.error(`Chunk ${chunk.index} analysis failed after ${state.attempts} attempts: ${message}`);
+        break;
+      }
+
+      logger.warn(`Chunk ${chunk.index} analysis attempt ${state.attempts} failed, retrying: ${message}`);
+      await saveChunkState(videoId, state);
+      await sleep(ANALYSIS_BACKOFF_MS * 2 ** (state.attempts - 1));
+    }
+  }
+
+  await onSettled();
+};
+
+// Summarize chunk states into the video's final analysis status
+export const summarize = (states) => {
+  const completed = states.filter((state) => state.status === 'completed').length;
+  const failed = states.filter((state) => state.status === 'failed').length;
+
+  let status = 'failed';
+  if (completed === states.length) status = 'completed';
+  else if (completed > 0) status = 'partially_completed';
+
+  return { status, total: states.length, completed, failed };
+};
+
+// Publish how many chunks have settled so far
+export const reportAnalysisProgress = async (videoId) => {
+  const { total, completed, failed } = summarize(await getChunkStates(videoId));
+  await publishProgress(videoId, 'analyzing', {
+    chunksAnalyzed: completed,
+    chunksFailed: failed,
+    totalChunks: total,
+  });
+};
+
+// Analyze a video's chunks, at most ANALYSIS_CONCURRENCY at a time.
+// onlyFailed re-runs just the chunks that failed last time, keeping earlier results.
+// Resolves with the final summary once every chunk has completed or failed.
+export const runChunkAnalysis = async (videoId, { onlyFailed = false } = {}) => {
+  const uploadSession = await getSession(videoId);
+  const chunks = uploadSession.chunks;
+  const toRun = await startAnalysis(uploadSession, { onlyFailed, mode: 'sync' });
+
+  logger.info(`Analyzing ${toRun.length}/${chunks.length} chunks (concurrency ${ANALYSIS_CONCURRENCY})...`);
+
+  const reportProgress = () => reportAnalysisProgress(videoId);
+  await reportProgress();
+
+  let next = 0;
+  const worker = async () => {
+    while (next < toRun.length) {
+      const chunk = toRun[next++];
+      await runChunk(uploadSession, chunk, { index: chunk.index, attempts: 0 }, reportProgress);
+    }
+  };
+
+  await Promise.all(
+    Array.from({ length: Math.min(ANALYSIS_CONCURRENCY, toRun.length) }, worker)
+  );
+
+  return finishAnalysis(videoId);
+};
+
+// Pick the chunks to analyze, reset their state to pending and mark the video as analyzing.
+// A full run clears earlier results; onlyFailed keeps everything but the failed chunks.
+export const startAnalysis = async (uploadSession, { onlyFailed = false, mode }) => {
+  const { videoId, chunks } = uploadSession;
+
+  await redis.del(analysisFinishedKey(videoId));
+  if (!onlyFailed) {
+    await redis.del(analysisKey(videoId));
+  } else if ((await redis.exists(analysisKey(videoId))) === 0) {
+    // Chunk states expire with the session; pick up from the last recorded results
+    for (const { index, status, result, error } of uploadSession.analysisResults || []) {
+      await saveChunkState(videoId, { index, status, attempts: 0, result, error });
+    }
+  }
+
+  const previous = new Map((await getChunkStates(videoId)).map((state) => [state.index, state]));
+  const toRun = chunks.filter((chunk) => !onlyFailed || previous.get(chunk.index)?.status === 'failed');
+
+  for (const chunk of toRun) {
+    await saveChunkState(videoId, { index: chunk.index, status: 'pending', attempts: 0 });
+  }
+
+  uploadSession.status = 'analyzing';
+  uploadSession.analysisMode = mode;
+  uploadSession.analysisRun = {
+    mode,
+    onlyFailed,
+    chunks: toRun.length,
+    startedAt: new Date().toISOString(),
+  };
+  delete uploadSession.error;
+  await saveSession(uploadSession);
+  await publishStatus(uploadSession);
+
+  return toRun;
+};
+
+// Settle the video once every chunk has completed or failed: record the
+// summary, per-chunk results and their merged timeline, and move to
+// completed, partially_completed or failed. Only the first call for an
+// analysis run does this; later ones (say, two last callbacks arriving
+// together) resolve null.
+export const finishAnalysis = async (videoId) => {
+  if (!(await redis.set(analysisFinishedKey(videoId), '1', 'EX', SESSION_TTL, 'NX'))) {
+    return null;
+  }
+
+  const states = await getChunkStates(videoId);
+  const summary = summarize(states);
+  const finalSession = await getSession(videoId);
+  const chunks = finalSession.chunks;
+
+  finalSession.status = summary.status;
+  finalSession.analysisSummary = summary;
+  finalSession.analysisResults = states.map(({ index, status, result, error }) => ({
+    index,
+    start: chunks[index]?.start,
+    end: chunks[index]?.end,
+    status,
+    result,
+    error,
+  }));
+  finalSession.analysisTimeline = buildTimeline(finalSession);
+  if (summary.status === 'failed') {
+    finalSession.error = `Analysis failed for all ${summary.total} chunks`;
+  }
+  finalSession.completedAt = new Date().toISOString();
+  const run = finalSession.analysisRun;
+  finalSession.analysisRuns = [
+    ...(finalSession.analysisRuns || []),
+    { ...run, finishedAt: finalSession.completedAt, summary },
+  ].slice(-ANALYSIS_RUNS_KEPT);
+  delete finalSession.analysisRun;
+  try {
+    await writeManifest(finalSession, 'analyzed');
+  } catch (manifestError) {
+    logger.error(`Failed to write manifest for ${videoId}`, { error: manifestError.message });
+  }
+  await saveSession(finalSession);
+  await publishStatus(finalSession);
+  recordVideoOutcome(summary.status);
+  if (run?.startedAt) {
+    observeStage('analysis', ANALYSIS_OUTCOMES[summary.status], (Date.parse(finalSession.completedAt) - Date.parse(run.startedAt)) / 1000);
+  }
+
+  logger.info(`Analysis ${summary.status}: ${summary.completed}/${summary.total} chunks analyzed, ${summary.failed} failed`);
+
+  return {
+    summary,
+    analysisResults: finalSession.analysisResults,
+    analysisTimeline: finalSession.analysisTimeline,
+  };
+};
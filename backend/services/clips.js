@@ -0,0 +1,243 @@
+import redis from '../config/redis.js';
+import storage, { putFile } from './storage/index.js';
+import { getSession } from './sessionStore.js';
+import { clipQueue } from './queues.js';
+import { findTimelineEvent } from './analysisTimeline.js';
+import { getPlaybackSource, writeConcatList, concatInputArgs } from './playback.js';
+import { TEMP_DIR } from '../config/paths.js';
+import { CancelledError, trackCancellable, isJobCancelled } from './cancellation.js';
+import { reserveTempSpace } from './tempSpace.js';
+import { TRANSCODE_PRESET } from '../config/renditions.js';
+import { runFfmpeg, probeMedia } from '../utils/ffmpeg.js';
+import { timeStage } from './metrics.js';
+import logger, { getLogContext } from '../utils/logger.js';
+import { v4 as uuidv4 } from 'uuid';
+import dotenv from 'dotenv';
+import fs from 'fs';
+import path from 'path';
+
+dotenv.config();
+
+const CLIP_MAX_DURATION = parseFloat(process.env.CLIP_MAX_DURATION) || 600; // seconds
+// Seconds of context kept either side of an analysis event
+const CLIP_EVENT_PADDING = parseFloat(process.env.CLIP_EVENT_PADDING ?? 5);
+
+// copy: stream copy, fast but starts on the keyframe at or before the requested start
+// reencode: frame-accurate cut, re-encoded to H.264/AAC
+export const CLIP_MODES = ['copy', 'reencode'];
+
+// Clip records per video: one hash field per clip id holding
+// { clipId, videoId, ownerId, start, end, mode, eventId, status: queued|processing|completed|failed|cancelled,
+//   key, size, sha256, duration, source, error, attempts, createdAt, completedAt }.
+// Kept until the video is purged, like the clips themselves.
+export const clipsKey = (videoId) => `video:${videoId}:clips`;
+
+export const clipKey = (videoId, clipId) => `videos/${videoId}/clips/${clipId}.mp4`;
+
+export const getClip = async (videoId, clipId) => {
+  const clip = await redis.hget(clipsKey(videoId), clipId);
+  return clip ? JSON.parse(clip) : null;
+};
+
+const saveClip = (clip) => redis.hset(clipsKey(clip.videoId), clip.clipId, JSON.stringify(clip));
+
+// A video's clips, newest first
+export const listClips = async (videoId) => {
+  const clips = await redis.hvals(clipsKey(videoId));
+  return clips.map((clip) => JSON.parse(clip)).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+};
+
+// Clip statuses with a job still waiting or running
+export const CLIP_BUSY_STATUSES = ['queued', 'processing'];
+
+// A video's clips that are still waiting to be cut or being cut
+export const listBusyClips = async (videoId) =>
+  (await listClips(videoId)).filter((clip) => CLIP_BUSY_STATUSES.includes(clip.status));
+
+// Length of a video in seconds, once processing has probed it
+const videoDuration = (uploadSession) => uploadSession.duration ?? uploadSession.probe?.duration ?? null;
+
+// Work out the clip's time range from { start, end } or { eventId, padding }.
+// Throws with a user-facing message if the request can't be satisfied.
+export const resolveClipRange = (uploadSession, { start, end, eventId, padding = CLIP_EVENT_PADDING }) => {
+  const duration = videoDuration(uploadSession);
+
+  let range;
+  if (eventId !== undefined) {
+    if (typeof padding !== 'number' || !Number.isFinite(padding) || padding < 0) {
+      throw new Error('padding must be a non-negative number of seconds');
+    }
+    const event = findTimelineEvent(uploadSession, eventId);
+    if (!event) {
+      throw new Error(`Analysis event ${eventId} not found`);
+    }
+    range = { start: Math.max(0, event.start - padding), end: Math.min(duration, event.end + padding) };
+  } else {
+    if (typeof start !== 'number' || typeof end !== 'number' || !Number.isFinite(start) || !Number.isFinite(end)) {
+      throw new Error('start and end (seconds) or an analysis eventId are required');
+    }
+    range = { start, end };
+  }
+
+  if (range.start < 0 || range.end > duration) {
+    throw new Error(`Clip must lie within the video (0 to ${duration} seconds)`);
+  }
+  if (range.end <= range.start) {
+    throw new Error('end must be after start');
+  }
+  if (range.end - range.start > CLIP_MAX_DURATION) {
+    throw new Error(`Clips can be at most ${CLIP_MAX_DURATION} seconds long`);
+  }
+
+  return {
+    start: Math.round(range.start * 1000) / 1000,
+    end: Math.round(range.end * 1000) / 1000,
+  };
+};
+
+// Whether the video has been probed and still has an original or chunks to cut from
+export const isClippable = (uploadSession) => Boolean(videoDuration(uploadSession) && getPlaybackSource(uploadSession));
+
+// Record a clip request and queue it. Throws with a user-facing message if the
+// request is invalid.
+export const createClip = async (uploadSession, { start, end, eventId, padding, mode = 'copy' }) => {
+  if (!CLIP_MODES.includes(mode)) {
+    throw new Error(`mode must be one of: ${CLIP_MODES.join(', ')}`);
+  }
+
+  const range = resolveClipRange(uploadSession, { start, end, eventId, padding });
+  const clipId = uuidv4();
+  const clip = {
+    clipId,
+    videoId: uploadSession.videoId,
+    ownerId: uploadSession.ownerId,
+    ...range,
+    mode,
+    ...(eventId !== undefined && { eventId }),
+    status: 'queued',
+    key: clipKey(uploadSession.videoId, clipId),
+    createdAt: new Date().toISOString(),
+  };
+
+  await saveClip(clip);
+  await clipQueue.add({ videoId: clip.videoId, clipId, requestId: getLogContext().requestId }, { jobId: clipId });
+
+  logger.info(`Clip ${clipId} queued for ${clip.videoId}: ${clip.start}s-${clip.end}s (${mode})`);
+  return clip;
+};
+
+const CODEC_ARGS = {
+  copy: ['-c', 'copy', '-avoid_negative_ts', 'make_zero'],
+  reencode: ['-c:v', 'libx264', '-preset', TRANSCODE_PRESET, '-crf', '20', '-pix_fmt', 'yuv420p', '-c:a', 'aac', '-b:a', '128k'],
+};
+
+// Cut a clip in the worker: from the original when it's still stored,
+// otherwise from the chunks covering the range. Throws so the queue can retry.
+export const processClipJob = async (job) => {
+  const { videoId, clipId } = job.data;
+
+  const uploadSession = await getSession(videoId);
+  const clip = await getClip(videoId, clipId);
+  const source = uploadSession && uploadSession.status !== 'deleted' && getPlaybackSource(uploadSession);
+  if (!clip || !source) {
+    const error = new Error('Video or clip no longer exists');
+    error.retryable = false;
+    throw error;
+  }
+
+  const length = clip.end - clip.start;
+  const outputPath = path.join(TEMP_DIR, `${videoId}_clip_${clipId}.mp4`);
+  const cancellable = trackCancellable(videoId);
+  const { signal } = cancellable;
+  let listPath;
+  let releaseTempSpace = null;
+
+  try {
+    if (await isJobCancelled(videoId, job)) {
+      throw new CancelledError();
+    }
+
+    // Roughly the clip's share of the original, doubled for re-encoding headroom
+    const duration = videoDuration(uploadSession);
+    releaseTempSpace = reserveTempSpace(TEMP_DIR, Math.ceil(((uploadSession.fileSize || 0) * length * 2) / duration));
+
+    clip.status = 'processing';
+    clip.attempts = job.attempts;
+    clip.startedAt = new Date().toISOString();
+    delete clip.error;
+    await saveClip(clip);
+
+    let inputArgs;
+    if (source.type === 'original') {
+      // Input seeking jumps straight to the start; with re-encoding it is still frame-accurate
+      const url = await storage.getReadUrl(source.key, { expiresIn: 3600 });
+      inputArgs = ['-ss', String(clip.start), '-i', url];
+    } else {
+      // Stream copy trims the chunks on keyframes via the list; re-encoding
+      // decodes from the first chunk's start and seeks precisely on the output side
+      const concat = await writeConcatList(uploadSession, { ...clip, trim: clip.mode === 'copy' });
+      listPath = concat.listPath;
+      const offset = clip.start - concat.startsAt;
+      inputArgs = [...concatInputArgs(listPath), ...(offset > 0 ? ['-ss', String(offset)] : [])];
+    }
+
+    logger.info(`Cutting clip ${clipId} from the ${source.type} (${clip.mode})...`);
+    await timeStage('clip', () => runFfmpeg([
+      '-y',
+      ...inputArgs,
+      '-t', String(length),
+      '-map', '0:v:0',
+      '-map', '0:a:0?',
+      ...CODEC_ARGS[clip.mode],
+      '-movflags', '+faststart',
+      outputPath,
+    ], { signal }));
+
+    const { size, sha256 } = await putFile(clip.key, outputPath, { contentType: 'video/mp4' });
+
+    // A stream-copied clip starts on a keyframe, so it can run longer than asked
+    const probedDuration = parseFloat((await probeMedia(outputPath, { signal })).format.duration);
+
+    clip.status = 'completed';
+    clip.source = source.type;
+    clip.size = size;
+    clip.sha256 = sha256;
+    clip.duration = Number.isFinite(probedDuration) ? probedDuration : length;
+    clip.completedAt = new Date().toISOString();
+    await saveClip(clip);
+
+    logger.info(`Clip ${clipId} stored: ${clip.key} (${clip.duration}s, ${clip.size} bytes)`);
+    return { key: clip.key };
+  } catch (error) {
+    throw signal.aborted ? signal.reason : error;
+  } finally {
+    cancellable.release();
+    releaseTempSpace?.();
+    fs.rmSync(outputPath, { force: true });
+    if (listPath) fs.rmSync(listPath, { force: true });
+  }
+};
+
+// Record a failed attempt on the clip: back to queued while a retry is pending
+export const handleClipFailure = async (job, error, willRetry) => {
+  const { videoId, clipId } = job.data;
+  logger.error(`Clip ${clipId} attempt ${job.attempts}/${job.maxAttempts} failed`, { error: error.message });
+
+  const clip = await getClip(videoId, clipId);
+  if (!clip) return;
+
+  if (error instanceof CancelledError) {
+    clip.status = 'cancelled';
+  } else {
+    clip.status = willRetry ? 'queued' : 'failed';
+  }
+  clip.error = error.message;
+  clip.attempts = job.attempts;
+  if (willRetry) {
+    clip.retryAt = job.retryAt;
+  } else {
+    delete clip.retryAt;
+    clip.failedAt = new Date().toISOString();
+  }
+  await saveClip(clip);
+};
@@ -0,0 +1,235 @@
+import storage, { putFile } from './storage/index.js';
+import { TRANSCODE_PRESET } from '../config/renditions.js';
+import { runFfmpeg } from '../utils/ffmpeg.js';
+import { sha256 } from '../utils/checksum.js';
+import logger from '../utils/logger.js';
+import dotenv from 'dotenv';
+import fs from 'fs';
+import path from 'path';
+
+dotenv.config();
+
+const HLS_SEGMENT_DURATION = parseInt(process.env.HLS_SEGMENT_DURATION) || 6;
+// 'fmp4' (CMAF-style .m4s + init.mp4) or 'mpegts' (.ts)
+const HLS_SEGMENT_TYPE = process.env.HLS_SEGMENT_TYPE === 'mpegts' ? 'mpegts' : 'fmp4';
+
+export const HLS_PLAYLIST_NAME = 'index.m3u8';
+export const HLS_MASTER_PLAYLIST_NAME = 'master.m3u8';
+// The source-resolution variant, always present - copied when its codecs allow
+export const SOURCE_RENDITION = 'source';
+
+const CONTENT_TYPES = {
+  '.m3u8': 'application/vnd.apple.mpegurl',
+  '.m4s': 'video/iso.segment',
+  '.mp4': 'video/mp4',
+  '.ts': 'video/mp2t',
+};
+
+export const hlsPrefix = (videoId) => `videos/${videoId}/hls`;
+
+const hlsOutputArgs = (variantDir) => {
+  const segmentExtension = HLS_SEGMENT_TYPE === 'fmp4' ? 'm4s' : 'ts';
+
+  return [
+    '-f', 'hls',
+    '-hls_time', String(HLS_SEGMENT_DURATION),
+    '-hls_playlist_type', 'vod',
+    '-hls_segment_type', HLS_SEGMENT_TYPE,
+    ...(HLS_SEGMENT_TYPE === 'fmp4' ? ['-hls_fmp4_init_filename', 'init.mp4'] : []),
+    '-hls_segment_filename', path.join(variantDir, `segment_%04d.${segmentExtension}`),
+    path.join(variantDir, HLS_PLAYLIST_NAME),
+  ];
+};
+
+// ffmpeg arguments to transcode one ladder rung. Keyframes are forced on
+// segment boundaries so every variant switches cleanly at the same times.
+const transcodeArgs = (rendition) => [
+  '-vf', `scale=-2:${rendition.height}`,
+  '-c:v', 'libx264',
+  '-preset', TRANSCODE_PRESET,
+  '-profile:v', 'high',
+  '-b:v', `${rendition.videoBitrate}k`,
+  '-maxrate', `${Math.round(rendition.videoBitrate * 1.07)}k`,
+  '-bufsize', `${Math.round(rendition.videoBitrate * 1.5)}k`,
+  '-force_key_frames', `expr:gte(t,n_forced*${HLS_SEGMENT_DURATION})`,
+  '-sc_threshold', '0',
+  '-c:a', 'aac',
+  '-b:a', `${rendition.audioBitrate}k`,
+  '-ac', '2',
+];
+
+// Upload a variant directory, segments first and the playlist last, so a
+// readable playlist always references segments that exist
+const uploadVariant = async (videoId, variantName, variantDir) => {
+  const files = fs.readdirSync(variantDir).sort((a, b) => {
+    if (a === HLS_PLAYLIST_NAME) return 1;
+    if (b === HLS_PLAYLIST_NAME) return -1;
+    return a.localeCompare(b);
+  });
+
+  for (const file of files) {
+    await putFile(`${hlsPrefix(videoId)}/${variantName}/${file}`, path.join(variantDir, file), {
+      contentType: CONTENT_TYPES[path.extname(file)] || 'application/octet-stream',
+    });
+  }
+
+  return files.filter((f) => f.startsWith('segment_')).length;
+};
+
+// Codecs HLS players accept as-is. HEVC is only carried in fMP4 segments.
+const HLS_VIDEO_CODECS = HLS_SEGMENT_TYPE === 'fmp4' ? ['h264', 'hevc'] : ['h264'];
+const HLS_AUDIO_CODECS = ['aac', 'mp3', 'ac3'];
+
+// ffmpeg arguments for the source variant: streams HLS can carry are copied,
+// anything else is transcoded at the source resolution
+const sourceCodecArgs = (source) => {
+  const videoArgs = HLS_VIDEO_CODECS.includes(source.videoCodec)
+    ? ['-c:v', 'copy', ...(source.videoCodec === 'hevc' ? ['-tag:v', 'hvc1'] : [])]
+    : [
+      '-c:v', 'libx264',
+      '-preset', TRANSCODE_PRESET,
+      '-profile:v', 'high',
+      '-crf', '18',
+      '-force_key_frames', `expr:gte(t,n_forced*${HLS_SEGMENT_DURATION})`,
+      '-sc_threshold', '0',
+    ];
+  const audioArgs = !source.audioCodec || HLS_AUDIO_CODECS.includes(source.audioCodec)
+    ? ['-c:a', 'copy']
+    : ['-c:a', 'aac', '-b:a', '192k', '-ac', '2'];
+
+  return [...videoArgs, ...audioArgs];
+};
+
+// Variants are listed by ascending BANDWIDTH: players start on the first one,
+// so the stream opens on the lightest rendition rather than the source. A
+// source of unknown bitrate goes last.
+const buildMasterPlaylist = (variants) => {
+  const lines = ['#EXTM3U', '#EXT-X-VERSION:7', '#EXT-X-INDEPENDENT-SEGMENTS'];
+  const byBandwidth = [...variants].sort((a, b) => (a.bandwidth || Infinity) - (b.bandwidth || Infinity));
+
+  for (const variant of byBandwidth) {
+    const attributes = [`BANDWIDTH=${variant.bandwidth}`];
+    if (variant.width && variant.height) {
+      attributes.push(`RESOLUTION=${variant.width}x${variant.height}`);
+    }
+    attributes.push(`NAME="${variant.name}"`);
+
+    lines.push(`#EXT-X-STREAM-INF:${attributes.join(',')}`);
+    lines.push(`${variant.name}/${HLS_PLAYLIST_NAME}`);
+  }
+
+  return `${lines.join('\n')}\n`;
+};
+
+// Package a video as VOD HLS under videos/{id}/hls/: a copy of the source plus
+// one transcoded variant per ladder rung, tied together by a master playlist.
+// source: { width, height, bitrate, videoCodec, audioCodec } of the input.
+// onProgress({ rendition, renditionIndex, totalRenditions, percent }) reports per variant.
+export const packageHls = async ({ videoId, inputPath, workDir, duration, source, renditions, onProgress, signal }) => {
+  const hlsDir = path.join(workDir, 'hls');
+  fs.rmSync(hlsDir, { recursive: true, force: true });
+
+  // Never upscale: drop rungs taller than the source
+  const ladder = renditions.filter((r) => !source.height || r.height <= source.height);
+  const totalRenditions = ladder.length + 1;
+
+  const variants = [];
+
+  const encodeVariant = async (name, index, codecArgs) => {
+    const variantDir = path.join(hlsDir, name);
+    fs.mkdirSync(variantDir, { recursive: true });
+
+    await runFfmpeg([
+      '-y',
+      '-i', inputPath,
+      '-map', '0:v:0',
+      '-map', '0:a:0?',
+      ...codecArgs,
+      ...hlsOutputArgs(variantDir),
+    ], {
+      duration,
+      signal,
+      onProgress: (progress) => onProgress?.({
+        rendition: name,
+        renditionIndex: index,
+        totalRenditions,
+        percent: progress.percent,
+      }),
+    });
+
+    const segmentCount = await uploadVariant(videoId, name, variantDir);
+    fs.rmSync(variantDir, { recursive: true, force: true });
+    return segmentCount;
+  };
+
+  logger.info(`Packaging HLS source variant (${HLS_SEGMENT_TYPE}, ${HLS_SEGMENT_DURATION}s segments)...`);
+  const sourceSegments = await encodeVariant(SOURCE_RENDITION, 0, sourceCodecArgs(source));
+  variants.push({
+    name: SOURCE_RENDITION,
+    width: source.width,
+    height: source.height,
+    bandwidth: source.bitrate || 0,
+    segmentCount: sourceSegments,
+  });
+
+  for (let i = 0; i < ladder.length; i++) {
+    const rendition = ladder[i];
+    logger.info(`Transcoding ${rendition.name} (${rendition.videoBitrate}k)...`);
+
+    const segmentCount = await encodeVariant(rendition.name, i + 1, transcodeArgs(rendition));
+    variants.push({
+      name: rendition.name,
+      width: source.width && source.height
+        ? Math.round((source.width * rendition.height) / source.height / 2) * 2
+        : null,
+      height: rendition.height,
+      // BANDWIDTH is the peak rate: maxrate plus audio, in bits per second
+      bandwidth: Math.round((rendition.videoBitrate * 1.07 + rendition.audioBitrate) * 1000),
+      segmentCount,
+    });
+  }
+
+  // Master playlist last, once every variant it references is in place
+  const masterPlaylist = buildMasterPlaylist(variants);
+  await storage.putObject(`${hlsPrefix(videoId)}/${HLS_MASTER_PLAYLIST_NAME}`, masterPlaylist, {
+    contentType: CONTENT_TYPES['.m3u8'],
+    checksumSha256: sha256(masterPlaylist).base64,
+  });
+
+  fs.rmSync(hlsDir, { recursive: true, force: true });
+
+  logger.info(`HLS packaged: ${variants.map((v) => v.name).join(', ')}`);
+
+  return {
+    masterPlaylistKey: `${hlsPrefix(videoId)}/${HLS_MASTER_PLAYLIST_NAME}`,
+    segmentType: HLS_SEGMENT_TYPE,
+    renditions: variants.map((variant) => ({
+      ...variant,
+      playlistKey: `${hlsPrefix(videoId)}/${variant.name}/${HLS_PLAYLIST_NAME}`,
+    })),
+  };
+};
+
+// Rewrite every URI in a playlist (segment or variant lines and EXT-X-MAP init
+// segments) through resolveUri, leaving tags and comments untouched
+export const rewritePlaylistUris = async (playlist, resolveUri) => {
+  const lines = playlist.split('\n');
+  const rewritten = [];
+
+  for (const line of lines) {
+    const trimmed = line.trim();
+
+    if (trimmed.startsWith('#EXT-X-MAP:')) {
+      const match = trimmed.match(/URI="([^"]+)"/);
+      rewritten.push(
+        match ? trimmed.replace(match[0], `URI="${await resolveUri(match[1])}"`) : trimmed
+      );
+    } else if (trimmed && !trimmed.startsWith('#')) {
+      rewritten.push(await resolveUri(trimmed));
+    } else {
+      rewritten.push(line);
+    }
+  }
+
+  return rewritten.join('\n');
+};
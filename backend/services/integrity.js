@@ -0,0 +1,100 @@
+import storage, { ObjectNotFoundError } from './storage/index.js';
+import { hlsPrefix } from './hlsPackager.js';
+import { thumbnailsPrefix } from './thumbnailGenerator.js';
+import { base64ToHex } from '../utils/checksum.js';
+import crypto from 'crypto';
+
+// Thrown when stored bytes don't match their recorded checksum.
+// Never retried: downloading the same object again gives the same bytes.
+export class IntegrityError extends Error {
+  constructor(message, { key, expected, actual }) {
+    super(message);
+    this.name = 'IntegrityError';
+    this.code = 'CHECKSUM_MISMATCH';
+    this.key = key;
+    this.expected = expected;
+    this.actual = actual;
+    this.retryable = false;
+  }
+}
+
+// Download an object and return its SHA-256 (hex)
+const hashObject = async (key) => {
+  const { body } = await storage.getObject(key);
+  const hash = crypto.createHash('sha256');
+  for await (const data of body) {
+    hash.update(data);
+  }
+  return hash.digest('hex');
+};
+
+const listKeys = async (prefix) => (await storage.listObjects(`${prefix}/`)).map((object) => object.key);
+
+// Checksum storage recorded with an object on upload (single-part uploads only; a
+// multipart object's checksum is a checksum of its part checksums)
+const storedChecksum = async (key) => {
+  const { checksumSha256 } = await storage.headObject(key);
+  return checksumSha256 ? base64ToHex(checksumSha256) : null;
+};
+
+// Re-hash every object stored for a video and compare with what was recorded:
+// the original against the client's SHA-256, chunks against the checksums taken
+// when they were cut, and HLS/thumbnail assets against the checksum storage
+// recorded on upload. Returns a report; objects are read one at a time.
+export const verifyStoredObjects = async (uploadSession) => {
+  const expectations = [];
+
+  // Retention may have removed the original once it was chunked
+  if (uploadSession.sha256 && !uploadSession.originalDeletedAt) {
+    expectations.push({ key: uploadSession.originalKey, type: 'original', expected: uploadSession.sha256 });
+  }
+
+  for (const chunk of uploadSession.chunks || []) {
+    expectations.push({ key: chunk.key, type: 'chunk', expected: chunk.sha256 || null });
+  }
+
+  const derivedPrefixes = [];
+  if (uploadSession.hls) derivedPrefixes.push(['hls', hlsPrefix(uploadSession.videoId)]);
+  if (uploadSession.thumbnails) derivedPrefixes.push(['thumbnail', thumbnailsPrefix(uploadSession.videoId)]);
+
+  for (const [type, prefix] of derivedPrefixes) {
+    for (const key of await listKeys(prefix)) {
+      expectations.push({ key, type, expected: await storedChecksum(key) });
+    }
+  }
+
+  const mismatches = [];
+  const unverified = [];
+  let verifiedObjects = 0;
+
+  for (const { key, type, expected } of expectations) {
+    if (!expected) {
+      unverified.push({ key, type, reason: 'No checksum recorded' });
+      continue;
+    }
+
+    let actual;
+    try {
+      actual = await hashObject(key);
+    } catch (error) {
+      if (!(error instanceof ObjectNotFoundError)) throw error;
+      mismatches.push({ key, type, expected, actual: null, reason: 'Object is missing' });
+      continue;
+    }
+
+    if (actual !== expected.toLowerCase()) {
+      mismatches.push({ key, type, expected, actual, reason: 'Checksum mismatch' });
+    } else {
+      verifiedObjects++;
+    }
+  }
+
+  return {
+    ok: mismatches.length === 0,
+    checkedObjects: expectations.length,
+    verifiedObjects,
+    mismatches,
+    unverified,
+    verifiedAt: new Date().toISOString(),
+  };
+};
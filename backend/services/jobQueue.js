@@ -0,0 +1,200 @@
+import redis from '../config/redis.js';
+import logger from '../utils/logger.js';
+import { v4 as uuidv4 } from 'uuid';
+
+// Redis-backed job queue.
+//
+// Keys per queue:
+//   queue:{name}:waiting  - list of job ids ready to run
+//   queue:{name}:active   - list of job ids a worker has claimed
+//   queue:{name}:delayed  - sorted set of job ids waiting for a retry (score = run-at ms)
+//   queue:{name}:dead     - list of job ids that exhausted their retries (dead letters)
+//   job:{name}:{id}       - JSON job record
+//
+// Workers claim jobs with BLMOVE (waiting -> active), so a job that is being
+// worked on is always in the active list, never lost between the two.
+
+const COMPLETED_JOB_TTL = 86400; // keep finished job records for a day
+const PROMOTE_INTERVAL = 1000;
+const POLL_TIMEOUT = 5; // seconds a worker blocks waiting for a job
+
+export const createQueue = (name, options = {}) => {
+  const maxAttempts = options.maxAttempts || 3;
+  const backoffMs = options.backoffMs || 5000;
+
+  const keys = {
+    waiting: `queue:${name}:waiting`,
+    active: `queue:${name}:active`,
+    delayed: `queue:${name}:delayed`,
+    dead: `queue:${name}:dead`,
+  };
+  const jobKey = (id) => `job:${name}:${id}`;
+
+  const getJob = async (id) => {
+    const jobData = await redis.get(jobKey(id));
+    return jobData ? JSON.parse(jobData) : null;
+  };
+
+  const saveJob = async (job, ttl) => {
+    if (ttl) {
+      await redis.setex(jobKey(job.id), ttl, JSON.stringify(job));
+    } else {
+      await redis.set(jobKey(job.id), JSON.stringify(job));
+    }
+  };
+
+  // Enqueue a job and return its record. Pass options.jobId to choose the id up
+  // front, e.g. to record it before the job can be picked up.
+  const add = async (data, { jobId } = {}) => {
+    const job = {
+      id: jobId || uuidv4(),
+      queue: name,
+      data,
+      status: 'waiting',
+      attempts: 0,
+      maxAttempts,
+      createdAt: new Date().toISOString(),
+    };
+
+    await saveJob(job);
+    await redis.lpush(keys.waiting, job.id);
+    return job;
+  };
+
+  // Move delayed jobs whose backoff has elapsed back onto the waiting list
+  const promoteDelayed = async () => {
+    const dueIds = await redis.zrangebyscore(keys.delayed, '-inf', Date.now());
+    for (const id of dueIds) {
+      // Only the worker that removes the id promotes it
+      if (await redis.zrem(keys.delayed, id)) {
+        await redis.lpush(keys.waiting, id);
+      }
+    }
+  };
+
+  // Put a job whose worker died back on the waiting list. Returns false if it
+  // wasn't in the active list - someone else already dealt with it.
+  const requeue = async (id) => {
+    if (!(await redis.lrem(keys.active, 1, id))) return false;
+
+    const job = await getJob(id);
+    job.status = 'waiting';
+    job.requeuedAt = new Date().toISOString();
+    await saveJob(job);
+    await redis.lpush(keys.waiting, id);
+    return true;
+  };
+
+  // Dead-letter a job whose worker died, recording why. Returns false if it
+  // wasn't in the active list.
+  const bury = async (id, reason) => {
+    if (!(await redis.lrem(keys.active, 1, id))) return false;
+
+    const job = await getJob(id);
+    job.status = 'dead';
+    job.lastError = reason;
+    job.failedAt = new Date().toISOString();
+    await saveJob(job);
+    await redis.lpush(keys.dead, id);
+    return true;
+  };
+
+  const getDeadJobs = async () => {
+    const ids = await redis.lrange(keys.dead, 0, -1);
+    const jobs = await Promise.all(ids.map(getJob));
+    return jobs.filter(Boolean);
+  };
+
+  // Start consuming jobs. handler(job) does the work; a thrown error is retried
+  // with exponential backoff unless error.retryable === false.
+  // onFailed(job, error, willRetry) lets the caller react to each failed attempt.
+  const consume = (handler, { concurrency = 1, onFailed } = {}) => {
+    let stopping = false;
+    const connections = [];
+
+    const runJob = async (id) => {
+      const job = await getJob(id);
+      if (!job) {
+        await redis.lrem(keys.active, 1, id);
+        return;
+      }
+
+      job.attempts += 1;
+      job.status = 'active';
+      job.startedAt = new Date().toISOString();
+      await saveJob(job);
+
+      try {
+        job.result = await handler(job);
+        job.status = 'completed';
+        job.completedAt = new Date().toISOString();
+        await saveJob(job, COMPLETED_JOB_TTL);
+        await redis.lrem(keys.active, 1, id);
+      } catch (error) {
+        const willRetry = error.retryable !== false && job.attempts < job.maxAttempts;
+
+        job.lastError = error.message;
+        job.failedAt = new Date().toISOString();
+
+        if (willRetry) {
+          const delay = backoffMs * 2 ** (job.attempts - 1);
+          job.status = 'delayed';
+          job.retryAt = new Date(Date.now() + delay).toISOString();
+          await saveJob(job);
+          await redis.zadd(keys.delayed, Date.now() + delay, id);
+        } else {
+          job.status = 'dead';
+          await saveJob(job);
+          await redis.lpush(keys.dead, id);
+        }
+        await redis.lrem(keys.active, 1, id);
+
+        if (onFailed) {
+          try {
+            await onFailed(job, error, willRetry);
+          } catch (hookError) {
+            logger.error(`onFailed hook error for job ${id}`, { error: hookError });
+          }
+        }
+      }
+    };
+
+    const runSlot = async () => {
+      // Blocking commands need a dedicated connection per slot
+      const connection = redis.duplicate();
+      connections.push(connection);
+
+      while (!stopping) {
+        try {
+          const id = await connection.blmove(keys.waiting, keys.active, 'RIGHT', 'LEFT', POLL_TIMEOUT);
+          if (id) {
+            await runJob(id);
+          }
+        } catch (error) {
+          if (!stopping) {
+            logger.error(`Queue ${name} worker error`, { error });
+            await new Promise((resolve) => setTimeout(resolve, 1000));
+          }
+        }
+      }
+    };
+
+    const promoteTimer = setInterval(() => {
+      promoteDelayed().catch((error) => {
+        logger.error(`Queue ${name} failed to promote delayed jobs`, { error });
+      });
+    }, PROMOTE_INTERVAL);
+
+    const slots = Array.from({ length: concurrency }, runSlot);
+
+    // Stop taking new jobs and wait for in-flight ones to finish
+    return async () => {
+      stopping = true;
+      clearInterval(promoteTimer);
+      await Promise.all(slots);
+      connections.forEach((connection) => connection.disconnect());
+    };
+  };
+
+  return { name, add, getJob, getDeadJobs, requeue, bury, consume };
+};
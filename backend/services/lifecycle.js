@@ -0,0 +1,275 @@
+import storage, { deletePrefix } from './storage/index.js';
+import redis from '../config/redis.js';
+import retention from '../config/retention.js';
+import { getSession, saveSession, sessionKey } from './sessionStore.js';
+import { getVideo, removeVideo, listVideoIdsByStatus } from './catalog.js';
+import { publishStatus } from './progressEvents.js';
+import { releaseStorage, releaseJobSlot } from './quotas.js';
+import { analysisKey, analysisFinishedKey } from './chunkAnalysis.js';
+import { clipsKey, listBusyClips } from './clips.js';
+import { requestCancel } from './cancellation.js';
+import { checkpointKey } from './checkpoints.js';
+import { TEMP_DIR } from '../config/paths.js';
+import { writeManifest } from './manifest.js';
+import { acquireLock } from './locks.js';
+import logger from '../utils/logger.js';
+import fs from 'fs';
+import path from 'path';
+
+// Soft-deleted videos waiting to be purged (score = purge time in ms)
+const PURGE_QUEUE_KEY = 'videos:purge_queue';
+const SWEEP_LOCK_KEY = 'lifecycle:sweep:lock';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Statuses with work in flight - deleting under a running job would leave it writing to a purged prefix
+export const BUSY_STATUSES = ['queued', 'processing', 'analyzing'];
+
+// Thrown when a video can't be purged yet because clips are still being cut
+// from it - the clip jobs would write into the prefix after it is emptied
+export class VideoBusyError extends Error {
+  constructor(videoId, clipIds) {
+    super(`Video ${videoId} has clips being cut: ${clipIds.join(', ')}`);
+    this.name = 'VideoBusyError';
+    this.code = 'VIDEO_BUSY';
+    this.clipIds = clipIds;
+  }
+}
+
+// Statuses of uploads that never made it through processing
+const UNFINISHED_STATUSES = ['uploading', 'aborted', 'rejected', 'failed', 'cancelled'];
+// Statuses of videos whose chunks have been cut from the original
+const CHUNKED_STATUSES = ['chunked', 'completed', 'partially_completed', 'failed'];
+
+// Queue a soft-deleted video for purging at a time (ms)
+export const schedulePurge = (videoId, purgeAt) => redis.zadd(PURGE_QUEUE_KEY, purgeAt, videoId);
+
+// Mark a video deleted and schedule its purge after the grace period.
+// Until then restoreVideo puts it back exactly as it was.
+export const softDeleteVideo = async (uploadSession, { reason } = {}) => {
+  const purgeAt = Date.now() + retention.deleteGraceHours * HOUR_MS;
+
+  uploadSession.previousStatus = uploadSession.status;
+  uploadSession.status = 'deleted';
+  uploadSession.deletedAt = new Date().toISOString();
+  uploadSession.purgeAfter = new Date(purgeAt).toISOString();
+  if (reason) {
+    uploadSession.deleteReason = reason;
+  }
+
+  await writeManifest(uploadSession, 'deleted');
+  await saveSession(uploadSession);
+  await schedulePurge(uploadSession.videoId, purgeAt);
+  await publishStatus(uploadSession);
+
+  logger.info(`Video ${uploadSession.videoId} deleted, purging after ${uploadSession.purgeAfter}`);
+  return uploadSession;
+};
+
+// Undo a soft delete that hasn't been purged yet
+export const restoreVideo = async (uploadSession) => {
+  uploadSession.status = uploadSession.previousStatus;
+  uploadSession.restoredAt = new Date().toISOString();
+  delete uploadSession.previousStatus;
+  delete uploadSession.deletedAt;
+  delete uploadSession.purgeAfter;
+  delete uploadSession.deleteReason;
+
+  await writeManifest(uploadSession, 'restored');
+  await saveSession(uploadSession);
+  await redis.zrem(PURGE_QUEUE_KEY, uploadSession.videoId);
+  await publishStatus(uploadSession);
+
+  logger.info(`Video ${uploadSession.videoId} restored to ${uploadSession.status}`);
+  return uploadSession;
+};
+
+// Remove a video for good: every stored object under its prefix (clips included),
+// its Redis state and its catalog entries. Frees its storage quota.
+export const purgeVideo = async (videoId) => {
+  const uploadSession = await getSession(videoId);
+  if (!uploadSession) {
+    await redis.zrem(PURGE_QUEUE_KEY, videoId);
+    return { videoId, objectsDeleted: 0 };
+  }
+
+  const busyClips = await listBusyClips(videoId);
+  if (busyClips.length > 0) {
+    throw new VideoBusyError(videoId, busyClips.map((clip) => clip.clipId));
+  }
+
+  // Parts of an unfinished multipart upload aren't listed as objects
+  const uploadStatus = uploadSession.previousStatus || uploadSession.status;
+  if (uploadStatus === 'uploading' && uploadSession.uploadId) {
+    await storage.abortMultipartUpload(uploadSession.originalKey, uploadSession.uploadId);
+  }
+
+  const objectsDeleted = await deletePrefix(`videos/${videoId}/`);
+
+  await redis.del(
+    sessionKey(videoId),
+    `upload:${videoId}:parts`,
+    `upload:${videoId}:checksums`,
+    analysisKey(videoId),
+    analysisFinishedKey(videoId),
+    clipsKey(videoId),
+    checkpointKey(videoId)
+  );
+  await removeVideo(uploadSession);
+  await redis.zrem(PURGE_QUEUE_KEY, videoId);
+
+  if (uploadSession.ownerId) {
+    if (!uploadSession.storageReleased) {
+      await releaseStorage(uploadSession.ownerId, uploadSession.fileSize);
+    }
+    await releaseJobSlot(uploadSession.ownerId, videoId);
+  }
+
+  logger.info(`Purged video ${videoId} (${objectsDeleted} objects)`);
+  return { videoId, objectsDeleted };
+};
+
+// Delete the original upload, keeping everything derived from it
+const deleteOriginal = async (uploadSession) => {
+  await storage.deleteObject(uploadSession.originalKey);
+
+  if (uploadSession.ownerId && !uploadSession.storageReleased) {
+    await releaseStorage(uploadSession.ownerId, uploadSession.fileSize);
+  }
+  uploadSession.storageReleased = true;
+  uploadSession.originalDeletedAt = new Date().toISOString();
+  await writeManifest(uploadSession, 'original_deleted');
+  await saveSession(uploadSession);
+};
+
+// Work out what the retention rules call for right now. Each action is
+// { action: purge|delete|delete_original|remove_temp, videoId?, path?, reason }.
+const planSweep = async () => {
+  const now = Date.now();
+  const actions = [];
+
+  // Soft-deleted videos whose grace period is over
+  for (const videoId of await redis.zrangebyscore(PURGE_QUEUE_KEY, '-inf', now)) {
+    actions.push({ action: 'purge', videoId, reason: 'delete grace period ended' });
+  }
+
+  // Uploads that never finished processing and have sat untouched
+  if (retention.failedDays > 0) {
+    const cutoff = now - retention.failedDays * DAY_MS;
+    for (const status of UNFINISHED_STATUSES) {
+      for (const videoId of await listVideoIdsByStatus(status, { createdBefore: cutoff })) {
+        const video = await getVideo(videoId);
+        if (!video || video.processedAt) continue;
+        if (Date.parse(video.updatedAt || video.createdAt) > cutoff) continue;
+        actions.push({ action: 'delete', videoId, reason: `${status} for more than ${retention.failedDays} days` });
+      }
+    }
+  }
+
+  // Originals of videos chunked long enough ago
+  if (retention.originalDays > 0) {
+    const cutoff = now - retention.originalDays * DAY_MS;
+    for (const status of CHUNKED_STATUSES) {
+      for (const videoId of await listVideoIdsByStatus(status, { createdBefore: cutoff })) {
+        const video = await getVideo(videoId);
+        if (!video?.processedAt || video.originalDeletedAt) continue;
+        if (Date.parse(video.processedAt) > cutoff) continue;
+        actions.push({ action: 'delete_original', videoId, reason: `chunked more than ${retention.originalDays} days ago` });
+      }
+    }
+  }
+
+  // Temp files and chunk directories of jobs that crashed before cleaning up.
+  // Named <videoId>_input.<ext> or <videoId>/.
+  if (retention.tempMaxAgeHours > 0 && fs.existsSync(TEMP_DIR)) {
+    const cutoff = now - retention.tempMaxAgeHours * HOUR_MS;
+    for (const entry of fs.readdirSync(TEMP_DIR)) {
+      const entryPath = path.join(TEMP_DIR, entry);
+      if (fs.statSync(entryPath).mtimeMs > cutoff) continue;
+
+      const video = await getVideo(entry.split('_')[0]);
+      if (video?.status === 'processing') continue;
+
+      actions.push({ action: 'remove_temp', path: entryPath, reason: `older than ${retention.tempMaxAgeHours} hours` });
+    }
+  }
+
+  return actions;
+};
+
+const applyAction = async (action) => {
+  switch (action.action) {
+    case 'purge': {
+      try {
+        const { objectsDeleted } = await purgeVideo(action.videoId);
+        action.objectsDeleted = objectsDeleted;
+      } catch (error) {
+        if (!(error instanceof VideoBusyError)) throw error;
+        // Stop the clips and leave the purge to a later sweep
+        await requestCancel(action.videoId);
+        action.deferred = error.message;
+      }
+      break;
+    }
+    case 'delete': {
+      const uploadSession = await getSession(action.videoId);
+      if (uploadSession && uploadSession.status !== 'deleted') {
+        await softDeleteVideo(uploadSession, { reason: action.reason });
+      }
+      break;
+    }
+    case 'delete_original': {
+      const uploadSession = await getSession(action.videoId);
+      if (uploadSession && !uploadSession.originalDeletedAt) {
+        await deleteOriginal(uploadSession);
+      }
+      break;
+    }
+    case 'remove_temp':
+      fs.rmSync(action.path, { recursive: true, force: true });
+      break;
+  }
+};
+
+// Apply the retention rules once. With dryRun nothing is changed and the
+// report lists what would have been done. Only one sweep runs at a time.
+export const runSweep = async ({ dryRun = false } = {}) => {
+  const startedAt = new Date().toISOString();
+
+  // Held with a heartbeat and released only by its holder, so a sweep that
+  // outlasts an expiry can't free a lock another sweep has since taken
+  let lock = null;
+  if (!dryRun) {
+    lock = await acquireLock(SWEEP_LOCK_KEY);
+    if (!lock) {
+      return { dryRun, startedAt, skipped: 'Another sweep is already running', actions: [] };
+    }
+  }
+
+  try {
+    const actions = await planSweep();
+
+    if (!dryRun) {
+      for (const action of actions) {
+        try {
+          await applyAction(action);
+          action.applied = !action.deferred;
+        } catch (error) {
+          action.error = error.message;
+          logger.error(`Sweep ${action.action} failed for ${action.videoId || action.path}`, { error: error.message });
+        }
+      }
+    }
+
+    const counts = {};
+    for (const { action } of actions) {
+      counts[action] = (counts[action] || 0) + 1;
+    }
+
+    logger.info(`Sweep ${dryRun ? '(dry run) ' : ''}finished: ${actions.length} actions`);
+    return { dryRun, startedAt, finishedAt: new Date().toISOString(), counts, actions };
+  } finally {
+    await lock?.release();
+  }
+};
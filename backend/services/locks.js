@@ -0,0 +1,79 @@
+import redis from '../config/redis.js';
+import logger from '../utils/logger.js';
+import dotenv from 'dotenv';
+import crypto from 'crypto';
+
+dotenv.config();
+
+// Distributed locks: a key holding the holder's random token, set NX with a
+// short expiry that the holder keeps extending (a heartbeat). If the holder
+// dies the lock lapses within LOCK_TTL_MS - which is also how the reaper tells
+// a dead job from a live one.
+export const LOCK_TTL_MS = parseInt(process.env.LOCK_TTL_MS) || 30000;
+const HEARTBEAT_INTERVAL_MS = Math.floor(LOCK_TTL_MS / 3);
+const ACQUIRE_RETRY_MS = 250;
+
+// Held by the worker processing a video, briefly by /process while it queues the
+// job, and by /analyze and /analyze/retry while they start (or, in sync mode, run) analysis
+export const videoLockKey = (videoId) => `lock:video:${videoId}`;
+
+// Extend or delete the lock only if this holder still owns it
+const EXTEND_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('PEXPIRE', KEYS[1], ARGV[2])
+end
+return 0
+`;
+const RELEASE_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0
+`;
+
+// Raised through a lock's signal when a heartbeat finds the lock gone - the
+// holder stalled past the expiry and someone else may have taken over
+export class LockLostError extends Error {
+  constructor(key) {
+    super(`Lost lock ${key}`);
+    this.name = 'LockLostError';
+    this.code = 'LOCK_LOST';
+  }
+}
+
+// Take a lock, waiting up to waitMs for the current holder to let go.
+// Resolves { signal, release }, or null if the lock stayed held. signal aborts
+// with a LockLostError if the lock is lost; release() gives it up.
+export const acquireLock = async (key, { waitMs = 0 } = {}) => {
+  const token = crypto.randomUUID();
+  const deadline = Date.now() + waitMs;
+
+  while (!(await redis.set(key, token, 'PX', LOCK_TTL_MS, 'NX'))) {
+    if (Date.now() >= deadline) return null;
+    await new Promise((resolve) => setTimeout(resolve, ACQUIRE_RETRY_MS));
+  }
+
+  const controller = new AbortController();
+  const heartbeat = setInterval(async () => {
+    try {
+      const extended = await redis.eval(EXTEND_SCRIPT, 1, key, token, LOCK_TTL_MS);
+      if (!extended) {
+        clearInterval(heartbeat);
+        controller.abort(new LockLostError(key));
+      }
+    } catch (error) {
+      // A missed beat is fine; the lock only lapses after several
+      logger.error(`Lock heartbeat failed for ${key}`, { error: error.message });
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+
+  return {
+    signal: controller.signal,
+    release: async () => {
+      clearInterval(heartbeat);
+      await redis.eval(RELEASE_SCRIPT, 1, key, token);
+    },
+  };
+};
+
+export const isLocked = async (key) => (await redis.exists(key)) === 1;
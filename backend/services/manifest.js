@@ -0,0 +1,131 @@
+import storage, { ObjectNotFoundError, readObjectText } from './storage/index.js';
+import { sha256 } from '../utils/checksum.js';
+
+// Bump when the manifest layout changes in a way older readers can't handle
+export const MANIFEST_SCHEMA_VERSION = 1;
+
+// videos/{id}/manifest.json - everything needed to find and interpret a video's
+// artifacts without Redis. Rewritten in full after each pipeline stage; revision
+// counts the writes so a rehydrate can tell which copy is newer.
+export const manifestKey = (videoId) => `videos/${videoId}/manifest.json`;
+
+// Session fields describing the video itself. Transient fields (job ids,
+// presigned URLs, retry state) are left out.
+const VIDEO_FIELDS = [
+  'videoId',
+  'ownerId',
+  'fileName',
+  'fileSize',
+  'contentType',
+  'sha256',
+  's3Checksum',
+  'originalKey',
+  'uploadId',
+  'partSize',
+  'totalParts',
+  'status',
+  'error',
+  'duration',
+  'createdAt',
+  'uploadedAt',
+  'validatedAt',
+  'processedAt',
+  'completedAt',
+  'storageReleased',
+  'originalDeletedAt',
+  'previousStatus',
+  'deletedAt',
+  'purgeAfter',
+  'deleteReason',
+];
+
+const pick = (source, fields) =>
+  Object.fromEntries(fields.filter((field) => source[field] !== undefined).map((field) => [field, source[field]]));
+
+export const buildManifest = (uploadSession, stage) => ({
+  schemaVersion: MANIFEST_SCHEMA_VERSION,
+  revision: uploadSession.manifestRevision,
+  stage,
+  writtenAt: new Date().toISOString(),
+  video: pick(uploadSession, VIDEO_FIELDS),
+  probe: uploadSession.probe,
+  validationErrors: uploadSession.validationErrors,
+  integrity: uploadSession.integrity,
+  segmentation: uploadSession.segmentation,
+  renditionLadder: uploadSession.renditionLadder,
+  chunks: (uploadSession.chunks || []).map(({ index, key, start, end, duration, sha256: checksum }) => ({
+    index,
+    key,
+    start,
+    end,
+    duration,
+    sha256: checksum,
+  })),
+  hls: uploadSession.hls,
+  renditions: uploadSession.renditions,
+  thumbnails: uploadSession.thumbnails,
+  analysis: {
+    mode: uploadSession.analysisMode,
+    summary: uploadSession.analysisSummary,
+    results: uploadSession.analysisResults,
+    timeline: uploadSession.analysisTimeline,
+    runs: uploadSession.analysisRuns || [],
+  },
+});
+
+// Write the session's manifest for a stage (uploaded, validated, chunked, ...).
+// Bumps uploadSession.manifestRevision, so save the session afterwards.
+export const writeManifest = async (uploadSession, stage) => {
+  uploadSession.manifestRevision = (uploadSession.manifestRevision || 0) + 1;
+  const body = JSON.stringify(buildManifest(uploadSession, stage), null, 2);
+
+  await storage.putObject(manifestKey(uploadSession.videoId), body, {
+    contentType: 'application/json',
+    checksumSha256: sha256(body).base64,
+  });
+
+  uploadSession.manifestWrittenAt = new Date().toISOString();
+};
+
+// Read a video's manifest, or null if it has none
+export const readManifest = async (videoId) => {
+  try {
+    return JSON.parse(await readObjectText(manifestKey(videoId)));
+  } catch (error) {
+    if (error instanceof ObjectNotFoundError) return null;
+    throw error;
+  }
+};
+
+// Every video id with a prefix in the bucket
+export const listStoredVideoIds = async () =>
+  (await storage.listPrefixes('videos/')).map((prefix) => prefix.slice('videos/'.length, -1));
+
+// Rebuild an upload session from a manifest
+export const sessionFromManifest = (manifest) => {
+  const chunks = manifest.chunks || [];
+
+  return {
+    ...manifest.video,
+    probe: manifest.probe,
+    validationErrors: manifest.validationErrors,
+    integrity: manifest.integrity,
+    segmentation: manifest.segmentation,
+    renditionLadder: manifest.renditionLadder,
+    ...(chunks.length > 0 && {
+      chunks,
+      chunkKeys: chunks.map((chunk) => chunk.key),
+      totalChunks: chunks.length,
+    }),
+    hls: manifest.hls,
+    renditions: manifest.renditions,
+    thumbnails: manifest.thumbnails,
+    analysisMode: manifest.analysis?.mode,
+    analysisSummary: manifest.analysis?.summary,
+    analysisResults: manifest.analysis?.results,
+    analysisTimeline: manifest.analysis?.timeline,
+    analysisRuns: manifest.analysis?.runs,
+    manifestRevision: manifest.revision,
+    rehydratedAt: new Date().toISOString(),
+  };
+};
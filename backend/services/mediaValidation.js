@@ -0,0 +1,205 @@
+import mediaPolicy from '../config/mediaPolicy.js';
+import { probeMedia } from '../utils/ffmpeg.js';
+import path from 'path';
+
+// Content types by extension, used when the client doesn't send one
+const CONTENT_TYPES = {
+  '.mp4': 'video/mp4',
+  '.m4v': 'video/x-m4v',
+  '.mov': 'video/quicktime',
+  '.mkv': 'video/x-matroska',
+  '.webm': 'video/webm',
+  '.avi': 'video/x-msvideo',
+  '.ts': 'video/mp2t',
+};
+
+// Thrown when an upload breaks the media policy. Carries one entry per
+// violation ({ code, message }) so clients can show every problem at once.
+// Never retried: the same file will fail the same way.
+export class MediaValidationError extends Error {
+  constructor(errors) {
+    super(errors.map((e) => e.message).join('; '));
+    this.name = 'MediaValidationError';
+    this.code = errors[0].code;
+    this.errors = errors;
+    this.retryable = false;
+  }
+}
+
+// Check what we know before anything is uploaded: name, declared size and type.
+// Returns the content type to sign the upload with.
+export const validateUploadRequest = ({ fileName, fileSize, contentType }) => {
+  const errors = [];
+  const extension = path.extname(fileName).toLowerCase();
+
+  if (fileName.includes('/') || fileName.includes('\\') || fileName.length > 255) {
+    errors.push({ code: 'INVALID_FILE_NAME', message: 'fileName must be a plain file name of at most 255 characters' });
+  }
+
+  if (!Number.isInteger(fileSize) || fileSize <= 0) {
+    errors.push({ code: 'INVALID_FILE_SIZE', message: 'fileSize must be a positive integer' });
+  } else if (fileSize > mediaPolicy.maxFileSize) {
+    errors.push({
+      code: 'FILE_TOO_LARGE',
+      message: `File is ${fileSize} bytes; the limit is ${mediaPolicy.maxFileSize} bytes`,
+    });
+  }
+
+  if (!mediaPolicy.allowedExtensions.includes(extension.slice(1))) {
+    errors.push({
+      code: 'UNSUPPORTED_FILE_TYPE',
+      message: `Extension "${extension || '(none)'}" is not allowed; expected one of ${mediaPolicy.allowedExtensions.join(', ')}`,
+    });
+  }
+
+  if (contentType && !contentType.startsWith('video/')) {
+    errors.push({ code: 'UNSUPPORTED_FILE_TYPE', message: `Content type ${contentType} is not a video type` });
+  }
+
+  if (errors.length > 0) {
+    throw new MediaValidationError(errors);
+  }
+
+  return contentType || CONTENT_TYPES[extension] || 'application/octet-stream';
+};
+
+// WebM only carries these codecs; anything else in a Matroska file is plain Matroska
+const WEBM_CODECS = ['vp8', 'vp9', 'av1', 'opus', 'vorbis'];
+
+// Content type to serve a stored original with, from what ffprobe found inside
+// it rather than what the client declared. ffprobe reports MP4 and QuickTime as
+// the same format, so the extension tells those apart.
+export const playbackContentType = (probe, fileName) => {
+  const extension = path.extname(fileName || '').toLowerCase();
+  const containers = (probe?.container || '').split(',');
+
+  if (containers.includes('mp4')) {
+    return extension === '.mov' ? 'video/quicktime' : 'video/mp4';
+  }
+  if (containers.includes('matroska')) {
+    const codecs = [probe.video?.codec, probe.audio?.codec].filter(Boolean);
+    return codecs.every((codec) => WEBM_CODECS.includes(codec)) ? 'video/webm' : 'video/x-matroska';
+  }
+  if (containers.includes('avi')) return 'video/x-msvideo';
+  if (containers.includes('mpegts')) return 'video/mp2t';
+
+  return CONTENT_TYPES[extension] || 'application/octet-stream';
+};
+
+// Reduce ffprobe's output to the fields the pipeline and clients care about
+export const summarizeProbe = (probe) => {
+  const videoStream = probe.streams.find((stream) => stream.codec_type === 'video' && !stream.disposition?.attached_pic);
+  const audioStream = probe.streams.find((stream) => stream.codec_type === 'audio');
+
+  // r_frame_rate is a fraction such as "30000/1001"
+  const frameRate = (rate) => {
+    const [num, den] = (rate || '0/1').split('/').map(Number);
+    return den ? Math.round((num / den) * 100) / 100 : null;
+  };
+
+  return {
+    container: probe.format.format_name,
+    containerLongName: probe.format.format_long_name,
+    duration: parseFloat(probe.format.duration) || null,
+    size: parseInt(probe.format.size) || null,
+    bitrate: parseInt(probe.format.bit_rate) || null,
+    video: videoStream
+      ? {
+          codec: videoStream.codec_name,
+          profile: videoStream.profile,
+          width: videoStream.width,
+          height: videoStream.height,
+          frameRate: frameRate(videoStream.r_frame_rate),
+          pixelFormat: videoStream.pix_fmt,
+          bitrate: parseInt(videoStream.bit_rate) || null,
+        }
+      : null,
+    audio: audioStream
+      ? {
+          codec: audioStream.codec_name,
+          channels: audioStream.channels,
+          sampleRate: parseInt(audioStream.sample_rate) || null,
+          bitrate: parseInt(audioStream.bit_rate) || null,
+        }
+      : null,
+    hasAudio: Boolean(audioStream),
+  };
+};
+
+// Check a probe summary against the policy
+export const validateProbe = (summary) => {
+  const errors = [];
+
+  const containers = (summary.container || '').split(',');
+  if (!containers.some((name) => mediaPolicy.allowedContainers.includes(name))) {
+    errors.push({ code: 'UNSUPPORTED_CONTAINER', message: `Container ${summary.container} is not allowed` });
+  }
+
+  if (!summary.video) {
+    errors.push({ code: 'NO_VIDEO_STREAM', message: 'File has no video stream' });
+  } else {
+    if (!mediaPolicy.allowedVideoCodecs.includes(summary.video.codec)) {
+      errors.push({ code: 'UNSUPPORTED_VIDEO_CODEC', message: `Video codec ${summary.video.codec} is not allowed` });
+    }
+    if (summary.video.height > mediaPolicy.maxHeight) {
+      errors.push({
+        code: 'RESOLUTION_TOO_HIGH',
+        message: `Video is ${summary.video.height}p; the limit is ${mediaPolicy.maxHeight}p`,
+      });
+    }
+  }
+
+  if (summary.audio && !mediaPolicy.allowedAudioCodecs.includes(summary.audio.codec)) {
+    errors.push({ code: 'UNSUPPORTED_AUDIO_CODEC', message: `Audio codec ${summary.audio.codec} is not allowed` });
+  }
+  if (!summary.hasAudio && mediaPolicy.requireAudio) {
+    errors.push({ code: 'AUDIO_REQUIRED', message: 'File has no audio stream' });
+  }
+
+  if (!summary.duration) {
+    errors.push({ code: 'UNKNOWN_DURATION', message: 'Could not determine the video duration' });
+  } else if (summary.duration > mediaPolicy.maxDuration) {
+    errors.push({
+      code: 'DURATION_TOO_LONG',
+      message: `Video is ${Math.round(summary.duration)}s long; the limit is ${mediaPolicy.maxDuration}s`,
+    });
+  }
+
+  if (summary.size && summary.size > mediaPolicy.maxFileSize) {
+    errors.push({
+      code: 'FILE_TOO_LARGE',
+      message: `File is ${summary.size} bytes; the limit is ${mediaPolicy.maxFileSize} bytes`,
+    });
+  }
+
+  return errors;
+};
+
+// Probe the uploaded file (a local path or a signed URL - ffprobe only reads
+// the parts it needs) and enforce the policy. Resolves the probe summary.
+export const probeAndValidate = async (input, { signal } = {}) => {
+  let probe;
+  try {
+    probe = await probeMedia(input, { signal });
+  } catch (error) {
+
+    // Unreadable media fails for good; anything else (network, timeout) may be retried
+    const stderr = error.stderr?.toString() || '';
+    if (/Invalid data found|moov atom not found|could not find codec parameters|End of file/i.test(stderr)) {
+      throw new MediaValidationError([
+        { code: 'PROBE_FAILED', message: 'File could not be read as media (corrupt or not a video)' },
+      ]);
+    }
+    throw error;
+  }
+
+  const summary = summarizeProbe(probe);
+  const errors = validateProbe(summary);
+  if (errors.length > 0) {
+    const validationError = new MediaValidationError(errors);
+    validationError.probe = summary;
+    throw validationError;
+  }
+
+  return summary;
+};
@@ -0,0 +1,270 @@
+import client from 'prom-client';
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { TEMP_DIR } from '../config/paths.js';
+import { VIDEO_STATUSES, countVideosByStatus } from './catalog.js';
+import { getReservedTempBytes } from './tempSpace.js';
+import logger, { withLogContext } from '../utils/logger.js';
+
+// Prometheus metrics for the API and the worker. Each process keeps its own
+// registry - the API serves it at GET /metrics, the worker on METRICS_PORT -
+// so counters and histograms are per process and summed by Prometheus.
+export const registry = new client.Registry();
+
+client.collectDefaultMetrics({ register: registry });
+
+const httpRequestDuration = new client.Histogram({
+  name: 'video_http_request_duration_seconds',
+  help: 'API request duration',
+  labelNames: ['method', 'route', 'status_code'],
+  buckets: [0.005, 0.025, 0.1, 0.25, 0.5, 1, 2.5, 10, 30],
+  registers: [registry],
+});
+
+const stageDuration = new client.Histogram({
+  name: 'video_pipeline_stage_duration_seconds',
+  help: 'Duration of each pipeline stage run',
+  labelNames: ['stage', 'outcome'],
+  buckets: [0.5, 1, 5, 15, 30, 60, 120, 300, 600, 1800, 3600, 7200],
+  registers: [registry],
+});
+
+const uploadsStarted = new client.Counter({
+  name: 'video_uploads_started_total',
+  help: 'Uploads initiated',
+  registers: [registry],
+});
+
+const uploadedBytes = new client.Counter({
+  name: 'video_uploaded_bytes_total',
+  help: 'Bytes of completed uploads',
+  registers: [registry],
+});
+
+const uploadOutcomes = new client.Counter({
+  name: 'video_uploads_total',
+  help: 'Videos reaching the end of an upload, processing or analysis, by status',
+  labelNames: ['status'],
+  registers: [registry],
+});
+
+const ffmpegFailures = new client.Counter({
+  name: 'video_ffmpeg_failures_total',
+  help: 'ffmpeg and ffprobe runs that failed, by tool and reason',
+  labelNames: ['tool', 'reason'],
+  registers: [registry],
+});
+
+const fastapiDuration = new client.Histogram({
+  name: 'video_fastapi_request_duration_seconds',
+  help: 'FastAPI request duration',
+  labelNames: ['endpoint', 'outcome'],
+  buckets: [0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300],
+  registers: [registry],
+});
+
+const fastapiLastDuration = new client.Gauge({
+  name: 'video_fastapi_last_request_duration_seconds',
+  help: 'Duration of the most recent FastAPI request',
+  labelNames: ['endpoint'],
+  registers: [registry],
+});
+
+const fastapiErrors = new client.Counter({
+  name: 'video_fastapi_errors_total',
+  help: 'Failed FastAPI requests, by reason',
+  labelNames: ['endpoint', 'reason'],
+  registers: [registry],
+});
+
+const fastapiConsecutiveErrors = new client.Gauge({
+  name: 'video_fastapi_consecutive_errors',
+  help: 'FastAPI requests failed in a row since the last success',
+  labelNames: ['endpoint'],
+  registers: [registry],
+});
+
+const fastapiInFlight = new client.Gauge({
+  name: 'video_fastapi_requests_in_flight',
+  help: 'FastAPI requests currently running',
+  labelNames: ['endpoint'],
+  registers: [registry],
+});
+
+const analysisCallbacks = new client.Counter({
+  name: 'video_analysis_callbacks_total',
+  help: 'Analysis callbacks received, by outcome',
+  labelNames: ['outcome'],
+  registers: [registry],
+});
+
+// Read from the catalog at scrape time
+new client.Gauge({
+  name: 'video_sessions',
+  help: 'Videos in the catalog, by status',
+  labelNames: ['status'],
+  registers: [registry],
+  async collect() {
+    const counts = await countVideosByStatus();
+    for (const status of VIDEO_STATUSES) {
+      this.set({ status }, counts[status]);
+    }
+  },
+});
+
+// Total size of the files under a directory. Read asynchronously, so a big
+// temp directory doesn't hold up the event loop during a scrape.
+const directorySize = async (dir) => {
+  let total = 0;
+  for (const entry of await fs.promises.readdir(dir, { withFileTypes: true })) {
+    const entryPath = path.join(dir, entry.name);
+    try {
+      total += entry.isDirectory() ? await directorySize(entryPath) : (await fs.promises.stat(entryPath)).size;
+    } catch (error) {
+      // A job may remove its files while they are being counted
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+  return total;
+};
+
+new client.Gauge({
+  name: 'video_temp_dir_bytes',
+  help: 'Bytes of working files in the temp directory',
+  registers: [registry],
+  async collect() {
+    this.set(await directorySize(TEMP_DIR));
+  },
+});
+
+new client.Gauge({
+  name: 'video_temp_disk_free_bytes',
+  help: 'Free space on the temp directory\'s disk',
+  registers: [registry],
+  async collect() {
+    const { bavail, bsize } = await fs.promises.statfs(TEMP_DIR);
+    this.set(bavail * bsize);
+  },
+});
+
+new client.Gauge({
+  name: 'video_temp_reserved_bytes',
+  help: 'Temp disk claimed by this process\'s running jobs',
+  registers: [registry],
+  collect() {
+    this.set(getReservedTempBytes());
+  },
+});
+
+// How a stage run ended, for the outcome label
+const outcomeOf = (error) => (error.code === 'CANCELLED' ? 'cancelled' : 'failure');
+
+// Time a pipeline stage: runs fn and records its duration under the stage
+// name, labelled with how it ended. Lines logged during it carry the stage.
+export const timeStage = (stage, fn) => withLogContext({ stage }, async () => {
+  const end = stageDuration.startTimer({ stage });
+  try {
+    const result = await fn();
+    end({ outcome: 'success' });
+    return result;
+  } catch (error) {
+    end({ outcome: outcomeOf(error) });
+    throw error;
+  }
+});
+
+// Record a stage whose start and end happen in different places (analysis
+// runs across callbacks)
+export const observeStage = (stage, outcome, seconds) => {
+  stageDuration.observe({ stage, outcome }, seconds);
+};
+
+// Why a FastAPI request failed: timeout, network or the HTTP status class
+const fastapiErrorReason = (error) => {
+  if (error.name === 'TimeoutError' || error.name === 'CanceledError' || error.code === 'ECONNABORTED') return 'timeout';
+  const status = error.response?.status;
+  return status ? `http_${Math.floor(status / 100)}xx` : 'network';
+};
+
+// Time a request to FastAPI and track its errors
+export const timeFastapiRequest = async (endpoint, fn) => {
+  fastapiInFlight.inc({ endpoint });
+  const start = process.hrtime.bigint();
+  const elapsed = () => Number(process.hrtime.bigint() - start) / 1e9;
+
+  try {
+    const result = await fn();
+    const seconds = elapsed();
+    fastapiDuration.observe({ endpoint, outcome: 'success' }, seconds);
+    fastapiLastDuration.set({ endpoint }, seconds);
+    fastapiConsecutiveErrors.set({ endpoint }, 0);
+    return result;
+  } catch (error) {
+    const seconds = elapsed();
+    fastapiDuration.observe({ endpoint, outcome: 'failure' }, seconds);
+    fastapiLastDuration.set({ endpoint }, seconds);
+    fastapiErrors.inc({ endpoint, reason: fastapiErrorReason(error) });
+    fastapiConsecutiveErrors.inc({ endpoint });
+    throw error;
+  } finally {
+    fastapiInFlight.dec({ endpoint });
+  }
+};
+
+// Count a failed ffmpeg or ffprobe run
+export const recordFfmpegFailure = (tool, reason) => {
+  ffmpegFailures.inc({ tool, reason });
+};
+
+// Count a video reaching the status a stage of its pipeline ends in: aborted,
+// rejected, cancelled, chunked, failed, completed or partially_completed
+export const recordVideoOutcome = (status) => {
+  uploadOutcomes.inc({ status });
+};
+
+export const recordUploadStarted = () => {
+  uploadsStarted.inc();
+};
+
+export const recordUploadCompleted = (bytes) => {
+  uploadedBytes.inc(Number(bytes) || 0);
+};
+
+export const recordAnalysisCallback = (outcome) => {
+  analysisCallbacks.inc({ outcome });
+};
+
+// Time every API request, including streams the client hangs up on. The route
+// label is the matched route pattern, so ids in the path don't each become a
+// series of their own.
+export const httpMetrics = (req, res, next) => {
+  const end = httpRequestDuration.startTimer();
+  res.on('close', () => {
+    end({
+      method: req.method,
+      route: req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched',
+      status_code: res.statusCode,
+    });
+  });
+  next();
+};
+
+// Serve the registry on its own port, for processes without an API (the
+// worker). Returns a function that stops the server.
+export const startMetricsServer = (port) => {
+  const server = http.createServer(async (req, res) => {
+    if (req.url !== '/metrics') {
+      res.writeHead(404).end();
+      return;
+    }
+    try {
+      const body = await registry.metrics();
+      res.writeHead(200, { 'Content-Type': registry.contentType }).end(body);
+    } catch (error) {
+      res.writeHead(500).end(error.message);
+    }
+  });
+  server.listen(port, () => logger.info(`Metrics served on port ${port}`));
+  return () => new Promise((resolve) => server.close(resolve));
+};
@@ -0,0 +1,98 @@
+import storage from './storage/index.js';
+import { playbackContentType } from './mediaValidation.js';
+import { TEMP_DIR } from '../config/paths.js';
+import { spawnFfmpegStream } from '../utils/ffmpeg.js';
+import { sha256 } from '../utils/checksum.js';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+// Chunk URLs handed to ffmpeg never leave the server; they only need to
+// outlast a slow viewer working through a long video
+const CHUNK_URL_EXPIRY = 24 * 60 * 60;
+
+// What a video plays back from: the original upload, or once retention has
+// removed it, its chunks joined back together. Null if neither is stored yet.
+export const getPlaybackSource = (uploadSession) => {
+  if (uploadSession.uploadedAt && !uploadSession.originalDeletedAt) {
+    return {
+      type: 'original',
+      key: uploadSession.originalKey || `videos/${uploadSession.videoId}/original/${uploadSession.fileName}`,
+      contentType: playbackContentType(uploadSession.probe, uploadSession.fileName),
+    };
+  }
+
+  if (uploadSession.chunks?.length > 0) {
+    return {
+      type: 'chunks',
+      contentType: 'video/mp4',
+      // Changes whenever any chunk does
+      etag: `"chunks-${sha256(uploadSession.chunks.map((chunk) => chunk.sha256 || chunk.key).join(',')).hex.slice(0, 32)}"`,
+    };
+  }
+
+  return null;
+};
+
+// Write an ffconcat list of the chunks covering [start, end) seconds. With
+// trim, the first and last chunks are cut with inpoint/outpoint (keyframe
+// accurate under stream copy). Returns { listPath, startsAt }, startsAt being
+// the video time the list begins at. The caller removes the list. Throws,
+// never to be retried, if no chunk covers the range.
+export const writeConcatList = async (uploadSession, { start = 0, end = Infinity, trim = true } = {}) => {
+  const chunks = uploadSession.chunks.filter((chunk) => chunk.end > start && chunk.start < end);
+  if (chunks.length === 0) {
+    const error = new Error(`No chunks of ${uploadSession.videoId} cover ${start}s to ${end}s`);
+    error.code = 'NO_CHUNKS_IN_RANGE';
+    error.retryable = false;
+    throw error;
+  }
+
+  const lines = ['ffconcat version 1.0'];
+  for (const [position, chunk] of chunks.entries()) {
+    const url = await storage.getReadUrl(chunk.key, { expiresIn: CHUNK_URL_EXPIRY });
+    lines.push(`file '${url.replace(/'/g, "'\\''")}'`);
+    if (trim && position === 0 && start > chunk.start) {
+      lines.push(`inpoint ${start - chunk.start}`);
+    }
+    if (trim && position === chunks.length - 1 && end < chunk.end) {
+      lines.push(`outpoint ${end - chunk.start}`);
+    }
+  }
+
+  // <videoId>_... so the retention sweep can tell whose leftover it is
+  const listPath = path.join(TEMP_DIR, `${uploadSession.videoId}_concat_${crypto.randomUUID()}.txt`);
+  fs.writeFileSync(listPath, lines.join('\n'));
+  return { listPath, startsAt: trim ? Math.max(start, chunks[0].start) : chunks[0].start };
+};
+
+// ffmpeg input arguments that read a concat list of signed chunk URLs
+export const concatInputArgs = (listPath) => [
+  '-f', 'concat',
+  '-safe', '0',
+  '-protocol_whitelist', 'file,http,https,tcp,tls,crypto',
+  '-i', listPath,
+];
+
+// Join a video's chunks into one fragmented MP4 on the fly, starting `start`
+// seconds in. Each chunk is a standalone MP4, so their bytes can't just be
+// appended; ffmpeg's concat demuxer remuxes them (stream copy, no re-encode).
+// Returns the ffmpeg process - the video is its stdout.
+export const concatChunks = async (uploadSession, { start = 0 } = {}) => {
+  const { listPath } = await writeConcatList(uploadSession, { start });
+
+  const child = spawnFfmpegStream([
+    ...concatInputArgs(listPath),
+    '-map', '0',
+    '-c', 'copy',
+    // Fragmented, so playback can start before the whole file is written
+    '-movflags', 'frag_keyframe+empty_moov+default_base_moof',
+    '-f', 'mp4',
+    'pipe:1',
+  ]);
+  const removeList = () => fs.rmSync(listPath, { force: true });
+  child.on('close', removeList);
+  child.on('error', removeList);
+
+  return child;
+};
@@ -0,0 +1,104 @@
+import redis from '../config/redis.js';
+import { emitVideoEvent } from './webhooks.js';
+import logger from '../utils/logger.js';
+
+// Pipeline progress events, fanned out through Redis pub/sub so any backend
+// instance can serve the SSE stream for a video no matter which process
+// (API server or worker) produced the event.
+//
+// Event types:
+//   status   - the session status changed (uploaded, queued, processing, chunked, ...);
+//              also delivered to webhook subscribers as video.<status>
+//   progress - fine-grained progress within a stage (bytes, percent, chunk counts)
+
+const channel = (videoId) => `events:${videoId}`;
+
+const publish = async (videoId, type, data) => {
+  const event = {
+    type,
+    videoId,
+    ...data,
+    timestamp: new Date().toISOString(),
+  };
+
+  try {
+    await redis.publish(channel(videoId), JSON.stringify(event));
+  } catch (error) {
+    // Progress reporting must never break the pipeline itself
+    logger.error(`Failed to publish ${type} event for ${videoId}`, { error: error.message });
+  }
+};
+
+// Announce the session's current status to SSE listeners and webhook subscribers
+export const publishStatus = async (uploadSession) => {
+  await publish(uploadSession.videoId, 'status', {
+    status: uploadSession.status,
+    error: uploadSession.error,
+    validationErrors: uploadSession.validationErrors,
+    attempts: uploadSession.attempts,
+    totalChunks: uploadSession.totalChunks,
+  });
+
+  try {
+    await emitVideoEvent(uploadSession);
+  } catch (error) {
+    logger.error(`Failed to queue webhooks for ${uploadSession.videoId}`, { error: error.message });
+  }
+};
+
+// Announce progress within a pipeline stage
+export const publishProgress = (videoId, stage, progress) =>
+  publish(videoId, 'progress', { stage, ...progress });
+
+// Rate-limit a progress callback so tight loops (stream 'data', ffmpeg output)
+// don't flood Redis. The final call (done = true) is always delivered.
+export const throttleProgress = (callback, intervalMs = 500) => {
+  let lastSent = 0;
+  return (progress, done = false) => {
+    const now = Date.now();
+    if (done || now - lastSent >= intervalMs) {
+      lastSent = now;
+      callback(progress);
+    }
+  };
+};
+
+// One shared subscriber connection per process, with local listeners per video
+let subscriber = null;
+const listeners = new Map();
+
+const getSubscriber = () => {
+  if (!subscriber) {
+    subscriber = redis.duplicate();
+    subscriber.on('message', (eventChannel, message) => {
+      const videoId = eventChannel.slice('events:'.length);
+      const event = JSON.parse(message);
+      for (const listener of listeners.get(videoId) || []) {
+        listener(event);
+      }
+    });
+  }
+  return subscriber;
+};
+
+// Listen for a video's events; returns an unsubscribe function
+export const subscribeToVideo = async (videoId, listener) => {
+  const sub = getSubscriber();
+
+  if (!listeners.has(videoId)) {
+    listeners.set(videoId, new Set());
+    await sub.subscribe(channel(videoId));
+  }
+  listeners.get(videoId).add(listener);
+
+  return async () => {
+    const videoListeners = listeners.get(videoId);
+    if (!videoListeners) return;
+
+    videoListeners.delete(listener);
+    if (videoListeners.size === 0) {
+      listeners.delete(videoId);
+      await sub.unsubscribe(channel(videoId));
+    }
+  };
+};
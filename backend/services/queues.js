@@ -0,0 +1,22 @@
+import { createQueue } from './jobQueue.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Video processing: download, chunk with FFmpeg, upload chunks
+export const processingQueue = createQueue('process', {
+  maxAttempts: parseInt(process.env.PROCESS_MAX_ATTEMPTS) || 3,
+  backoffMs: parseInt(process.env.PROCESS_BACKOFF_MS) || 5000,
+});
+
+// Outbound webhook deliveries: retried with exponential backoff (10s, 20s, 40s, ...)
+export const webhookQueue = createQueue('webhook', {
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8,
+  backoffMs: parseInt(process.env.WEBHOOK_BACKOFF_MS) || 10000,
+});
+
+// Clip extraction: cut a time range of a video into its own MP4
+export const clipQueue = createQueue('clip', {
+  maxAttempts: parseInt(process.env.CLIP_MAX_ATTEMPTS) || 2,
+  backoffMs: parseInt(process.env.CLIP_BACKOFF_MS) || 5000,
+});
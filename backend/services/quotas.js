@@ -0,0 +1,159 @@
+import redis from '../config/redis.js';
+import limits from '../config/limits.js';
+
+// Per-owner quotas:
+//   quota:{ownerId}:storage                 - bytes of originals uploaded (reserved at initiate)
+//   quota:{ownerId}:jobs                    - sorted set of videoIds being processed (score = start ms)
+//   quota:{ownerId}:analysis:{YYYY-MM}      - seconds of video analyzed this month
+const storageKey = (ownerId) => `quota:${ownerId}:storage`;
+const jobsKey = (ownerId) => `quota:${ownerId}:jobs`;
+const analysisKey = (ownerId, month = currentMonth()) => `quota:${ownerId}:analysis:${month}`;
+
+// A slot held longer than this belongs to a job that died without releasing it
+const JOB_SLOT_MAX_AGE_MS = 6 * 60 * 60 * 1000;
+
+const currentMonth = () => new Date().toISOString().slice(0, 7);
+
+const secondsUntilNextMonth = () => {
+  const now = new Date();
+  const next = Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1);
+  return Math.ceil((next - now.getTime()) / 1000);
+};
+
+// Thrown when an owner is over a quota. status is 403 for hard limits and
+// 429 for ones that free up on their own (concurrent jobs).
+export class QuotaExceededError extends Error {
+  constructor(message, { quota, limit, used, status = 403, retryAfter }) {
+    super(message);
+    this.name = 'QuotaExceededError';
+    this.quota = quota;
+    this.limit = limit;
+    this.used = used;
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Add to a counter only if it stays within the limit. Returns the new value, or -1.
+const RESERVE_SCRIPT = `
+local current = tonumber(redis.call('GET', KEYS[1]) or '0')
+local amount = tonumber(ARGV[1])
+local limit = tonumber(ARGV[2])
+if limit > 0 and current + amount > limit then return -1 end
+return redis.call('INCRBY', KEYS[1], amount)
+`;
+
+// Reserve storage for an upload before it starts. Released by releaseStorage
+// if the upload is aborted.
+export const reserveStorage = async (ownerId, bytes) => {
+  const limit = limits.quotas.storageBytes;
+  const result = await redis.eval(RESERVE_SCRIPT, 1, storageKey(ownerId), bytes, limit);
+
+  if (result === -1) {
+    const used = parseInt(await redis.get(storageKey(ownerId))) || 0;
+    throw new QuotaExceededError(
+      `Storage quota exceeded: ${used} of ${limit} bytes used, upload needs ${bytes}`,
+      { quota: 'storage', limit, used }
+    );
+  }
+
+  return { quota: 'storage', limit, used: result };
+};
+
+export const releaseStorage = async (ownerId, bytes) => {
+  const remaining = await redis.decrby(storageKey(ownerId), bytes);
+  if (remaining < 0) {
+    await redis.set(storageKey(ownerId), 0);
+  }
+};
+
+// Claim one of the owner's concurrent processing slots for a video
+export const acquireJobSlot = async (ownerId, videoId) => {
+  const limit = limits.quotas.concurrentJobs;
+  const key = jobsKey(ownerId);
+
+  await redis.zremrangebyscore(key, '-inf', Date.now() - JOB_SLOT_MAX_AGE_MS);
+  await redis.zadd(key, Date.now(), videoId);
+  const used = await redis.zcard(key);
+
+  // Added first and backed out if over, so two racing requests can't both squeeze in
+  if (limit > 0 && used > limit) {
+    await redis.zrem(key, videoId);
+    throw new QuotaExceededError(
+      `Concurrent processing quota exceeded: ${limit} videos already processing`,
+      { quota: 'concurrent_jobs', limit, used: limit, status: 429, retryAfter: 60 }
+    );
+  }
+
+  return { quota: 'concurrent_jobs', limit, used };
+};
+
+export const releaseJobSlot = async (ownerId, videoId) => {
+  if (!ownerId) return;
+  await redis.zrem(jobsKey(ownerId), videoId);
+};
+
+// Refuse new analysis once the month's minutes are used up
+export const checkAnalysisMinutes = async (ownerId, durationSeconds = 0) => {
+  const limit = limits.quotas.analysisMinutesPerMonth;
+  const usedMinutes = (parseFloat(await redis.get(analysisKey(ownerId))) || 0) / 60;
+
+  if (limit > 0 && usedMinutes + durationSeconds / 60 > limit) {
+    throw new QuotaExceededError(
+      `Monthly analysis quota exceeded: ${Math.round(usedMinutes)} of ${limit} minutes used`,
+      { quota: 'analysis_minutes', limit, used: usedMinutes, retryAfter: secondsUntilNextMonth() }
+    );
+  }
+
+  return { quota: 'analysis_minutes', limit, used: usedMinutes };
+};
+
+export const recordAnalyzedSeconds = async (ownerId, seconds) => {
+  if (!ownerId || !seconds) return;
+  const key = analysisKey(ownerId);
+  await redis.incrbyfloat(key, seconds);
+  await redis.expire(key, 40 * 24 * 60 * 60);
+};
+
+export const getQuotaUsage = async (ownerId) => {
+  await redis.zremrangebyscore(jobsKey(ownerId), '-inf', Date.now() - JOB_SLOT_MAX_AGE_MS);
+
+  return {
+    storage: {
+      limit: limits.quotas.storageBytes,
+      used: parseInt(await redis.get(storageKey(ownerId))) || 0,
+    },
+    concurrentJobs: {
+      limit: limits.quotas.concurrentJobs,
+      used: await redis.zcard(jobsKey(ownerId)),
+    },
+    analysisMinutes: {
+      limit: limits.quotas.analysisMinutesPerMonth,
+      used: Math.round(((parseFloat(await redis.get(analysisKey(ownerId))) || 0) / 60) * 100) / 100,
+      month: currentMonth(),
+    },
+  };
+};
+
+// X-Quota-<Name>-Limit / -Remaining headers for a quota check result
+export const setQuotaHeaders = (res, { quota, limit, used }) => {
+  const name = quota.split('_').map((part) => part[0].toUpperCase() + part.slice(1)).join('-');
+  if (!limit) return;
+  res.set(`X-Quota-${name}-Limit`, String(limit));
+  res.set(`X-Quota-${name}-Remaining`, String(Math.max(0, Math.floor(limit - used))));
+};
+
+// Respond to a QuotaExceededError with its status, Retry-After and quota headers
+export const sendQuotaExceeded = (res, error) => {
+  setQuotaHeaders(res, error);
+  if (error.retryAfter) {
+    res.set('Retry-After', String(error.retryAfter));
+  }
+  return res.status(error.status).json({
+    success: false,
+    message: error.message,
+    quota: error.quota,
+    limit: error.limit,
+    used: error.used,
+  });
+};
@@ -0,0 +1,121 @@
+import { processingQueue } from './queues.js';
+import { getSession, saveSession } from './sessionStore.js';
+import { listVideoIdsByStatus } from './catalog.js';
+import { acquireLock, isLocked, videoLockKey } from './locks.js';
+import { publishStatus } from './progressEvents.js';
+import { releaseJobSlot } from './quotas.js';
+import { writeManifest } from './manifest.js';
+import { recordVideoOutcome } from './metrics.js';
+import { expireOverdueAnalysis } from './analysisCallbacks.js';
+import logger from '../utils/logger.js';
+
+const REAPER_LOCK_KEY = 'lock:reaper';
+
+// A job claimed this recently may still be waiting for its video lock
+const CLAIM_GRACE_MS = 60 * 1000;
+
+// Work out what to do with a video whose processing has no live worker:
+// { action: 'resumed' | 'failed', reason }, or null if it needs nothing
+const recoverJob = async (uploadSession) => {
+  const job = uploadSession.jobId ? await processingQueue.getJob(uploadSession.jobId) : null;
+
+  if (!job) {
+    return { action: 'failed', reason: `Processing job ${uploadSession.jobId} no longer exists` };
+  }
+
+  switch (job.status) {
+    case 'waiting':
+    case 'delayed':
+      return null;
+    case 'active': {
+      if (Date.now() - Date.parse(job.startedAt) < CLAIM_GRACE_MS) return null;
+
+      if (job.attempts < job.maxAttempts) {
+        if (!(await processingQueue.requeue(job.id))) return null;
+        return {
+          action: 'resumed',
+          reason: `Worker stopped during attempt ${job.attempts}/${job.maxAttempts}; requeued to resume from its last checkpoint`,
+        };
+      }
+
+      const reason = `Worker stopped during the last attempt (${job.attempts}/${job.maxAttempts})`;
+      if (!(await processingQueue.bury(job.id, reason))) return null;
+      return { action: 'failed', reason };
+    }
+    default:
+      // The job ended but its worker died before recording the outcome
+      return { action: 'failed', reason: `Processing job ended (${job.status}) without updating the video${job.lastError ? `: ${job.lastError}` : ''}` };
+  }
+};
+
+const reapVideo = async (videoId) => {
+  // A live worker keeps the video lock alive with its heartbeat
+  if (await isLocked(videoLockKey(videoId))) return null;
+
+  const uploadSession = await getSession(videoId);
+  if (!uploadSession || !['queued', 'processing'].includes(uploadSession.status)) return null;
+
+  const recovery = await recoverJob(uploadSession);
+  if (!recovery) return null;
+
+  uploadSession.recovery = { ...recovery, at: new Date().toISOString() };
+  if (recovery.action === 'resumed') {
+    uploadSession.status = 'queued';
+  } else {
+    uploadSession.status = 'failed';
+    uploadSession.error = recovery.reason;
+    delete uploadSession.retryAt;
+    try {
+      await writeManifest(uploadSession, 'failed');
+    } catch (manifestError) {
+      logger.error(`Failed to write manifest for ${videoId}`, { error: manifestError.message });
+    }
+  }
+
+  await saveSession(uploadSession);
+  if (recovery.action === 'failed') {
+    await releaseJobSlot(uploadSession.ownerId, videoId);
+    recordVideoOutcome('failed');
+  }
+  await publishStatus(uploadSession);
+
+  logger.warn(`Recovered stale processing of ${videoId} (${recovery.action}): ${recovery.reason}`);
+  return recovery;
+};
+
+// Find videos left queued or processing by a worker that died - no one holds
+// the video lock and the job is stuck in the active list, or gone - and either
+// requeue the job, if it has attempts left, or mark the video failed. The
+// reason is recorded on the session as `recovery` either way. Also settles
+// callback analyses whose results never arrived (see expireOverdueAnalysis).
+export const reapStaleSessions = async () => {
+  const lock = await acquireLock(REAPER_LOCK_KEY);
+  if (!lock) {
+    return { skipped: 'Another reaper is already running', recovered: [] };
+  }
+
+  const recovered = [];
+  try {
+    for (const status of ['queued', 'processing']) {
+      for (const videoId of await listVideoIdsByStatus(status)) {
+        const recovery = await reapVideo(videoId);
+        if (recovery) recovered.push({ videoId, ...recovery });
+      }
+    }
+
+    for (const videoId of await listVideoIdsByStatus('analyzing')) {
+      const uploadSession = await getSession(videoId);
+      if (!uploadSession) continue;
+      const failedChunks = await expireOverdueAnalysis(uploadSession);
+      if (failedChunks === null) continue;
+
+      const reason = `Analysis results overdue; failed ${failedChunks} outstanding chunks`;
+      logger.warn(`Expired overdue analysis of ${videoId}: ${reason}`);
+      recovered.push({ videoId, action: 'analysis_expired', reason });
+    }
+  } finally {
+    await lock.release();
+  }
+
+  return { recovered };
+};
@@ -0,0 +1,61 @@
+import { saveSession } from './sessionStore.js';
+import { getVideo } from './catalog.js';
+import { MANIFEST_SCHEMA_VERSION, listStoredVideoIds, readManifest, sessionFromManifest } from './manifest.js';
+import { schedulePurge } from './lifecycle.js';
+import logger from '../utils/logger.js';
+
+// Rebuild Redis state (sessions, catalog records and indexes, pending purges)
+// from the manifests in the bucket, e.g. after losing Redis. Videos whose
+// catalog record is at least as new as their manifest are left alone unless
+// force is set. With dryRun nothing is written and the report lists what would be.
+export const rehydrateFromManifests = async ({ dryRun = false, force = false } = {}) => {
+  const startedAt = new Date().toISOString();
+  const videos = [];
+
+  for (const videoId of await listStoredVideoIds()) {
+    const entry = { videoId };
+    videos.push(entry);
+
+    try {
+      const manifest = await readManifest(videoId);
+      if (!manifest) {
+        entry.outcome = 'no_manifest';
+        continue;
+      }
+      if (manifest.schemaVersion > MANIFEST_SCHEMA_VERSION) {
+        entry.outcome = 'unsupported_schema';
+        entry.schemaVersion = manifest.schemaVersion;
+        continue;
+      }
+
+      const existing = await getVideo(videoId);
+      if (existing && !force && (existing.manifestRevision || 0) >= manifest.revision) {
+        entry.outcome = 'up_to_date';
+        continue;
+      }
+
+      entry.outcome = existing ? 'updated' : 'restored';
+      entry.status = manifest.video.status;
+      entry.revision = manifest.revision;
+      if (dryRun) continue;
+
+      const uploadSession = sessionFromManifest(manifest);
+      await saveSession(uploadSession);
+      if (uploadSession.status === 'deleted') {
+        await schedulePurge(videoId, Date.parse(uploadSession.purgeAfter) || Date.now());
+      }
+    } catch (error) {
+      entry.outcome = 'error';
+      entry.error = error.message;
+      logger.error(`Failed to rehydrate ${videoId}`, { error: error.message });
+    }
+  }
+
+  const counts = {};
+  for (const { outcome } of videos) {
+    counts[outcome] = (counts[outcome] || 0) + 1;
+  }
+
+  logger.info(`Rehydrate ${dryRun ? '(dry run) ' : ''}finished: ${videos.length} video prefixes scanned`);
+  return { dryRun, force, startedAt, finishedAt: new Date().toISOString(), counts, videos };
+};
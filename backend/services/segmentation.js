@@ -0,0 +1,264 @@
+import { runFfmpeg } from '../utils/ffmpeg.js';
+import logger from '../utils/logger.js';
+import dotenv from 'dotenv';
+import fs from 'fs';
+import path from 'path';
+
+dotenv.config();
+
+// How often the segment list is checked for finished chunks
+const SEGMENT_POLL_INTERVAL = 500;
+
+// Segmentation spec, accepted per upload on initiate or process:
+//   { mode: 'fixed',    duration: 120 }
+//   { mode: 'scene',    threshold: 0.4 }            scene-change score, 0-1
+//   { mode: 'silence',  noiseDb: -30, minSilence: 0.5 } cut in the middle of each silence
+//   { mode: 'explicit', cutPoints: [30, 95.5, 200] }  seconds from the start
+// Every mode also takes minDuration / maxDuration limits on chunk length.
+const SEGMENTATION_MODES = ['fixed', 'scene', 'silence', 'explicit'];
+
+export const DEFAULT_SEGMENTATION = {
+  mode: 'fixed',
+  duration: parseFloat(process.env.SEGMENT_DURATION) || 120,
+  minDuration: parseFloat(process.env.SEGMENT_MIN_DURATION) || 10,
+  maxDuration: parseFloat(process.env.SEGMENT_MAX_DURATION) || 300,
+};
+
+const isPositiveNumber = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+// Validate a segmentation spec and fill in defaults.
+// Throws with a user-facing message if the spec is invalid.
+export const resolveSegmentationSpec = (spec) => {
+  if (spec === undefined || spec === null) {
+    return DEFAULT_SEGMENTATION;
+  }
+
+  if (typeof spec !== 'object' || !SEGMENTATION_MODES.includes(spec.mode)) {
+    throw new Error(`segmentation.mode must be one of: ${SEGMENTATION_MODES.join(', ')}`);
+  }
+
+  const resolved = {
+    mode: spec.mode,
+    minDuration: spec.minDuration ?? DEFAULT_SEGMENTATION.minDuration,
+    maxDuration: spec.maxDuration ?? DEFAULT_SEGMENTATION.maxDuration,
+  };
+
+  if (typeof resolved.minDuration !== 'number' || resolved.minDuration < 0) {
+    throw new Error('segmentation.minDuration must be a non-negative number');
+  }
+  if (!isPositiveNumber(resolved.maxDuration) || resolved.maxDuration <= resolved.minDuration) {
+    throw new Error('segmentation.maxDuration must be greater than minDuration');
+  }
+
+  switch (spec.mode) {
+    case 'fixed':
+      resolved.duration = spec.duration ?? DEFAULT_SEGMENTATION.duration;
+      if (!isPositiveNumber(resolved.duration)) {
+        throw new Error('segmentation.duration must be a positive number');
+      }
+      break;
+    case 'scene':
+      resolved.threshold = spec.threshold ?? 0.4;
+      if (!isPositiveNumber(resolved.threshold) || resolved.threshold > 1) {
+        throw new Error('segmentation.threshold must be between 0 and 1');
+      }
+      break;
+    case 'silence':
+      resolved.noiseDb = spec.noiseDb ?? -30;
+      resolved.minSilence = spec.minSilence ?? 0.5;
+      if (typeof resolved.noiseDb !== 'number' || resolved.noiseDb >= 0) {
+        throw new Error('segmentation.noiseDb must be a negative number (dB)');
+      }
+      if (!isPositiveNumber(resolved.minSilence)) {
+        throw new Error('segmentation.minSilence must be a positive number');
+      }
+      break;
+    case 'explicit':
+      if (!Array.isArray(spec.cutPoints) || spec.cutPoints.length === 0 || !spec.cutPoints.every(isPositiveNumber)) {
+        throw new Error('segmentation.cutPoints must be a non-empty array of positive numbers');
+      }
+      resolved.cutPoints = [...spec.cutPoints].sort((a, b) => a - b);
+      break;
+    default:
+      break;
+  }
+
+  return resolved;
+};
+
+// Scene changes: the select filter passes frames whose scene score exceeds the
+// threshold and showinfo logs their timestamps
+const detectSceneCuts = async (inputPath, threshold, signal) => {
+  const cuts = [];
+
+  await runFfmpeg([
+    '-i', inputPath,
+    '-an',
+    '-vf', `select='gt(scene,${threshold})',showinfo`,
+    '-f', 'null',
+    '-',
+  ], {
+    signal,
+    onStderrLine: (line) => {
+      const match = line.match(/Parsed_showinfo.*pts_time:\s*([\d.]+)/);
+      if (match) cuts.push(parseFloat(match[1]));
+    },
+  });
+
+  return cuts;
+};
+
+// Silences: cut halfway through each detected silent interval
+const detectSilenceCuts = async (inputPath, noiseDb, minSilence, signal) => {
+  const cuts = [];
+  let silenceStart = null;
+
+  await runFfmpeg([
+    '-i', inputPath,
+    '-vn',
+    '-af', `silencedetect=noise=${noiseDb}dB:d=${minSilence}`,
+    '-f', 'null',
+    '-',
+  ], {
+    signal,
+    onStderrLine: (line) => {
+      const start = line.match(/silence_start:\s*(-?[\d.]+)/);
+      if (start) silenceStart = Math.max(0, parseFloat(start[1]));
+
+      const end = line.match(/silence_end:\s*([\d.]+)/);
+      if (end && silenceStart !== null) {
+        cuts.push((silenceStart + parseFloat(end[1])) / 2);
+        silenceStart = null;
+      }
+    },
+  });
+
+  return cuts;
+};
+
+// Turn candidate cut points into final cuts that respect the chunk length limits:
+// candidates closer than minDuration to the previous cut are dropped, and
+// forced cuts are inserted wherever a chunk would exceed maxDuration.
+export const applyChunkLimits = (candidates, duration, { minDuration, maxDuration }) => {
+  const sorted = [...new Set(candidates)]
+    .filter((t) => t > 0 && t < duration)
+    .sort((a, b) => a - b);
+
+  const cuts = [];
+  let chunkStart = 0;
+
+  const fillUpTo = (limit) => {
+    while (limit - chunkStart > maxDuration) {
+      chunkStart += maxDuration;
+      cuts.push(chunkStart);
+    }
+  };
+
+  for (const candidate of sorted) {
+    fillUpTo(candidate);
+    if (candidate - chunkStart >= minDuration) {
+      cuts.push(candidate);
+      chunkStart = candidate;
+    }
+  }
+  fillUpTo(duration);
+
+  // A too-short final chunk is merged into the previous one, if that stays within the max
+  if (cuts.length > 0 && duration - chunkStart < minDuration) {
+    const previousStart = cuts.length > 1 ? cuts[cuts.length - 2] : 0;
+    if (duration - previousStart <= maxDuration) {
+      cuts.pop();
+    }
+  }
+
+  return cuts.map((t) => Math.round(t * 1000) / 1000);
+};
+
+// Work out where to cut the video according to the spec
+export const computeCutPoints = async ({ inputPath, spec, duration, hasAudio, signal }) => {
+  let candidates;
+
+  switch (spec.mode) {
+    case 'scene':
+      logger.info(`Detecting scene changes (threshold ${spec.threshold})...`);
+      candidates = await detectSceneCuts(inputPath, spec.threshold, signal);
+      break;
+    case 'silence':
+      if (!hasAudio) {
+        const error = new Error('Silence segmentation requires an audio stream');
+        error.retryable = false;
+        throw error;
+      }
+      logger.info(`Detecting silences (${spec.noiseDb}dB, ${spec.minSilence}s)...`);
+      candidates = await detectSilenceCuts(inputPath, spec.noiseDb, spec.minSilence, signal);
+      break;
+    case 'explicit':
+      candidates = spec.cutPoints;
+      break;
+    case 'fixed':
+    default:
+      candidates = [];
+      for (let t = spec.duration; t < duration; t += spec.duration) {
+        candidates.push(t);
+      }
+      break;
+  }
+
+  const cuts = applyChunkLimits(candidates, duration, spec);
+  logger.info(`${candidates.length} candidate cuts -> ${cuts.length} cuts`);
+  return cuts;
+};
+
+// Split the video at the given cut points with the segment muxer. Stream copy
+// can only cut on keyframes, so each chunk's actual start/end is read back from
+// the segment list rather than assumed from the requested cuts.
+// onSegment({ index, fileName, start, end }) is called for each finished chunk
+// while later ones are still being cut, so they can be uploaded straight away.
+export const segmentVideo = async ({ inputPath, chunksDir, cutPoints, duration, onProgress, onSegment, signal }) => {
+  const listPath = path.join(chunksDir, 'segments.csv');
+  const segments = [];
+
+  // Each CSV row: file name, start time, end time. The muxer appends a row as
+  // it finishes a chunk but only closes the file afterwards, so while ffmpeg
+  // runs the newest row is held back until the next one appears.
+  const collectSegments = (finished) => {
+    if (!fs.existsSync(listPath)) return;
+
+    const rows = fs.readFileSync(listPath, 'utf8').split('\n').filter(Boolean);
+    const ready = finished ? rows.length : rows.length - 1;
+    for (const row of rows.slice(segments.length, ready)) {
+      const [fileName, start, end] = row.split(',');
+      const segment = {
+        index: segments.length,
+        fileName,
+        start: parseFloat(start),
+        end: parseFloat(end),
+      };
+      segments.push(segment);
+      onSegment?.(segment);
+    }
+  };
+
+  const poll = onSegment ? setInterval(() => collectSegments(false), SEGMENT_POLL_INTERVAL) : null;
+  try {
+    await runFfmpeg([
+      '-y',
+      '-i', inputPath,
+      '-map', '0',
+      '-c', 'copy',
+      '-f', 'segment',
+      ...(cutPoints.length > 0
+        ? ['-segment_times', cutPoints.join(',')]
+        : ['-segment_time', String(Math.ceil(duration) + 1)]),
+      '-reset_timestamps', '1',
+      '-segment_list', listPath,
+      '-segment_list_type', 'csv',
+      path.join(chunksDir, 'chunk_%03d.mp4'),
+    ], { duration, onProgress, signal });
+  } finally {
+    clearInterval(poll);
+  }
+
+  collectSegments(true);
+  return segments;
+};
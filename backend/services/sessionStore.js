@@ -0,0 +1,36 @@
+import redis from '../config/redis.js';
+import { getVideo, saveVideo } from './catalog.js';
+
+export const SESSION_TTL = 7200; // 2 hours, refreshed on every session write
+
+export const sessionKey = (videoId) => `upload:${videoId}`;
+
+// Load an upload session, or null if the video doesn't exist. An expired
+// session is rebuilt from the video's catalog record.
+export const getSession = async (videoId) => {
+  const sessionData = await redis.get(sessionKey(videoId));
+  if (sessionData) {
+    return JSON.parse(sessionData);
+  }
+
+  const video = await getVideo(videoId);
+  if (!video) return null;
+
+  await redis.setex(sessionKey(videoId), SESSION_TTL, JSON.stringify(video));
+  return video;
+};
+
+// Persist an upload session, reset its expiry and record it in the catalog
+export const saveSession = async (uploadSession) => {
+  await redis.setex(
+    sessionKey(uploadSession.videoId),
+    SESSION_TTL,
+    JSON.stringify(uploadSession)
+  );
+  await saveVideo(uploadSession);
+};
+
+// Reset a session's expiry without rewriting it
+export const touchSession = async (videoId) => {
+  await redis.expire(sessionKey(videoId), SESSION_TTL);
+};
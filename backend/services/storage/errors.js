@@ -0,0 +1,8 @@
+// Thrown by every storage driver when an object (or multipart upload) doesn't exist
+export class ObjectNotFoundError extends Error {
+  constructor(key) {
+    super(`Object not found: ${key}`);
+    this.name = 'ObjectNotFoundError';
+    this.key = key;
+  }
+}
@@ -0,0 +1,58 @@
+import storageConfig from '../../config/storage.js';
+import { createS3Driver } from './s3Driver.js';
+import { createLocalDriver } from './localDriver.js';
+import { hashFile } from '../../utils/checksum.js';
+import fs from 'fs';
+
+export { ObjectNotFoundError } from './errors.js';
+
+// Object storage used by the whole pipeline, picked by STORAGE_DRIVER. Every driver provides:
+//   putObject(key, body, { contentType, checksumSha256, contentLength })
+//                                  body is a Buffer, string or readable stream (streams need contentLength)
+//   getObject(key, { range })      -> { body (readable stream), contentLength, contentType }
+//                                     range is { start, end }, inclusive byte offsets
+//   headObject(key)                -> { contentLength, contentType, checksumSha256, etag, lastModified }
+//   deleteObject(key), deleteObjects(keys)
+//   listObjects(prefix)            -> [{ key, size }]
+//   listPrefixes(prefix)           -> the "directories" directly under prefix
+//   getReadUrl(key, { expiresIn }), getWriteUrl(key, { expiresIn, contentType, checksumSha256 })
+//   createMultipartUpload, getPartUploadUrl, listParts, completeMultipartUpload, abortMultipartUpload
+// Checksums are base64 SHA-256. Missing objects throw ObjectNotFoundError.
+const storage = storageConfig.driver === 'local'
+  ? createLocalDriver(storageConfig.local)
+  : createS3Driver({ bucket: storageConfig.bucket });
+
+// Read a whole object as text
+export const readObjectText = async (key) => {
+  const { body } = await storage.getObject(key);
+  const chunks = [];
+  for await (const chunk of body) {
+    chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+// Upload a local file as a stream, so it is never held in memory whole. The
+// checksum is computed up front (or passed in, from hashFile) so storage
+// rejects the PUT if the bytes change on the way. Returns { size, sha256 } (hex).
+export const putFile = async (key, filePath, { contentType, checksum: knownChecksum } = {}) => {
+  const checksum = knownChecksum || await hashFile(filePath);
+  const { size } = fs.statSync(filePath);
+  await storage.putObject(key, fs.createReadStream(filePath), {
+    contentType,
+    checksumSha256: checksum.base64,
+    contentLength: size,
+  });
+  return { size, sha256: checksum.hex };
+};
+
+// Delete every object under a prefix. Returns the number deleted.
+export const deletePrefix = async (prefix) => {
+  const keys = (await storage.listObjects(prefix)).map(({ key }) => key);
+  for (let i = 0; i < keys.length; i += 1000) {
+    await storage.deleteObjects(keys.slice(i, i + 1000));
+  }
+  return keys.length;
+};
+
+export default storage;
@@ -0,0 +1,320 @@
+import { ObjectNotFoundError } from './errors.js';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+
+// Thrown when uploaded bytes don't match the checksum they were sent with (S3's BadDigest)
+export class BadDigestError extends Error {
+  constructor(expected, actual) {
+    super(`Checksum mismatch: expected ${expected}, got ${actual}`);
+    this.name = 'BadDigestError';
+    this.expected = expected;
+    this.actual = actual;
+  }
+}
+
+// Objects on local disk, for development and tests without AWS. Layout under rootDir:
+//   objects/{key}                      - object bytes
+//   meta/{key}.json                    - { contentType, checksumSha256, etag, size, lastModified }
+//   multipart/{uploadId}/upload.json   - { key, contentType }
+//   multipart/{uploadId}/{n}           - part bytes, with {n}.json holding { etag, checksumSha256, size }
+//
+// Signed URLs point at routes/storageRoutes.js on this API and carry an
+// HMAC-SHA256 signature and expiry, like S3 presigned URLs.
+export const createLocalDriver = ({ rootDir, publicUrl, signingSecret }) => {
+  if (!signingSecret) {
+    throw new Error('STORAGE_SIGNING_SECRET must be set to use the local storage driver');
+  }
+
+  const objectsDir = path.resolve(rootDir, 'objects');
+  const metaDir = path.resolve(rootDir, 'meta');
+  const multipartDir = path.resolve(rootDir, 'multipart');
+
+  // Resolve a path under a base directory, refusing keys that would escape it
+  const resolveUnder = (baseDir, relativePath) => {
+    const resolved = path.resolve(baseDir, relativePath);
+    if (!resolved.startsWith(`${baseDir}${path.sep}`)) {
+      throw new Error(`Invalid object key: ${relativePath}`);
+    }
+    return resolved;
+  };
+
+  const objectPath = (key) => resolveUnder(objectsDir, key);
+  const metaPath = (key) => resolveUnder(metaDir, `${key}.json`);
+  const uploadDir = (uploadId) => {
+    if (!/^[0-9a-f-]{36}$/.test(uploadId)) {
+      throw new ObjectNotFoundError(`multipart upload ${uploadId}`);
+    }
+    return path.join(multipartDir, uploadId);
+  };
+
+  const readJson = (filePath) => JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+  const writeJson = (filePath, data) => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(data));
+  };
+
+  // Remove directories left empty by a delete, up to (not including) stopDir
+  const pruneEmptyDirs = (dir, stopDir) => {
+    while (dir.startsWith(`${stopDir}${path.sep}`)) {
+      try {
+        fs.rmdirSync(dir);
+      } catch {
+        return;
+      }
+      dir = path.dirname(dir);
+    }
+  };
+
+  // Stream bytes into a file, hashing them on the way. The file only appears
+  // (atomically, by rename) once the bytes match the expected checksum.
+  const writeFileChecked = async (filePath, source, expectedChecksum) => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${crypto.randomUUID()}.tmp`;
+    const sha256 = crypto.createHash('sha256');
+    const md5 = crypto.createHash('md5');
+    let size = 0;
+
+    const sources = typeof source === 'string' || Buffer.isBuffer(source) ? [source] : source;
+    try {
+      await pipeline(
+        sources,
+        async function* (chunks) {
+          for await (const chunk of chunks) {
+            const data = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+            sha256.update(data);
+            md5.update(data);
+            size += data.length;
+            yield data;
+          }
+        },
+        fs.createWriteStream(tempPath)
+      );
+    } catch (error) {
+      fs.rmSync(tempPath, { force: true });
+      throw error;
+    }
+
+    const digest = sha256.digest();
+    const checksumSha256 = digest.toString('base64');
+    if (expectedChecksum && expectedChecksum !== checksumSha256) {
+      fs.rmSync(tempPath, { force: true });
+      throw new BadDigestError(expectedChecksum, checksumSha256);
+    }
+
+    fs.renameSync(tempPath, filePath);
+    return { checksumSha256, digest, etag: `"${md5.digest('hex')}"`, size };
+  };
+
+  const writeObject = async (key, source, { contentType, checksumSha256 } = {}) => {
+    const written = await writeFileChecked(objectPath(key), source, checksumSha256);
+    writeJson(metaPath(key), {
+      contentType: contentType || 'application/octet-stream',
+      checksumSha256: written.checksumSha256,
+      etag: written.etag,
+      size: written.size,
+      lastModified: new Date().toISOString(),
+    });
+    return written;
+  };
+
+  const listFiles = (dir) => {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+      const entryPath = path.join(dir, entry.name);
+      return entry.isDirectory() ? listFiles(entryPath) : [entryPath];
+    });
+  };
+
+  const sign = (payload) => crypto.createHmac('sha256', signingSecret).update(payload).digest('hex');
+
+  // What a URL's signature covers: method, resource, expiry, and for writes the
+  // checksum header the client must send and the content type to store
+  const signingPayload = ({ method, resource, expires, checksumSha256 = '', contentType = '' }) =>
+    [method, resource, expires, checksumSha256, contentType].join('\n');
+
+  const signedUrl = (urlPath, { method, resource, expiresIn, contentType }, checksumSha256) => {
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    const params = new URLSearchParams({ expires: String(expires) });
+    if (contentType) params.set('contentType', contentType);
+    params.set('signature', sign(signingPayload({ method, resource, expires, checksumSha256, contentType })));
+    return `${publicUrl}/storage/${urlPath}?${params}`;
+  };
+
+  const encodeKey = (key) => key.split('/').map(encodeURIComponent).join('/');
+
+  return {
+    name: 'local',
+
+    async putObject(key, body, options = {}) {
+      await writeObject(key, body, options);
+    },
+
+    async getObject(key, { range } = {}) {
+      const head = await this.headObject(key);
+      return {
+        body: fs.createReadStream(objectPath(key), range && { start: range.start, end: range.end }),
+        contentLength: range ? range.end - range.start + 1 : head.contentLength,
+        contentType: head.contentType,
+      };
+    },
+
+    async headObject(key) {
+      const filePath = objectPath(key);
+      if (!fs.existsSync(filePath)) {
+        throw new ObjectNotFoundError(key);
+      }
+      const meta = fs.existsSync(metaPath(key)) ? readJson(metaPath(key)) : {};
+      const stats = fs.statSync(filePath);
+      return {
+        contentLength: stats.size,
+        contentType: meta.contentType || 'application/octet-stream',
+        checksumSha256: meta.checksumSha256 || null,
+        etag: meta.etag || `"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`,
+        lastModified: stats.mtime,
+      };
+    },
+
+    async deleteObject(key) {
+      fs.rmSync(objectPath(key), { force: true });
+      fs.rmSync(metaPath(key), { force: true });
+      pruneEmptyDirs(path.dirname(objectPath(key)), objectsDir);
+      pruneEmptyDirs(path.dirname(metaPath(key)), metaDir);
+    },
+
+    async deleteObjects(keys) {
+      for (const key of keys) {
+        await this.deleteObject(key);
+      }
+    },
+
+    async listObjects(prefix) {
+      // Only walk the deepest directory the prefix names
+      const baseDir = path.join(objectsDir, prefix.slice(0, prefix.lastIndexOf('/') + 1));
+      return listFiles(baseDir)
+        .filter((filePath) => !filePath.endsWith('.tmp'))
+        .map((filePath) => ({
+          key: path.relative(objectsDir, filePath).split(path.sep).join('/'),
+          size: fs.statSync(filePath).size,
+        }))
+        .filter(({ key }) => key.startsWith(prefix))
+        .sort((a, b) => a.key.localeCompare(b.key));
+    },
+
+    async listPrefixes(prefix) {
+      const dir = path.join(objectsDir, prefix);
+      if (!fs.existsSync(dir)) return [];
+      return fs.readdirSync(dir, { withFileTypes: true })
+        .filter((entry) => entry.isDirectory())
+        .map((entry) => `${prefix}${entry.name}/`)
+        .sort();
+    },
+
+    async getReadUrl(key, { expiresIn }) {
+      return signedUrl(`objects/${encodeKey(key)}`, { method: 'GET', resource: key, expiresIn });
+    },
+
+    async getWriteUrl(key, { expiresIn, contentType, checksumSha256 }) {
+      return signedUrl(`objects/${encodeKey(key)}`, { method: 'PUT', resource: key, expiresIn, contentType }, checksumSha256);
+    },
+
+    async createMultipartUpload(key, { contentType }) {
+      objectPath(key);
+      const uploadId = crypto.randomUUID();
+      writeJson(path.join(multipartDir, uploadId, 'upload.json'), {
+        key,
+        contentType,
+        createdAt: new Date().toISOString(),
+      });
+      return uploadId;
+    },
+
+    async getPartUploadUrl(key, uploadId, partNumber, { checksumSha256, expiresIn }) {
+      return signedUrl(
+        `uploads/${uploadId}/parts/${partNumber}`,
+        { method: 'PUT', resource: `${uploadId}/${partNumber}`, expiresIn },
+        checksumSha256
+      );
+    },
+
+    async listParts(key, uploadId) {
+      const dir = uploadDir(uploadId);
+      if (!fs.existsSync(path.join(dir, 'upload.json'))) {
+        throw new ObjectNotFoundError(key);
+      }
+      return fs.readdirSync(dir)
+        .filter((name) => /^\d+\.json$/.test(name))
+        .map((name) => ({ partNumber: parseInt(name), ...readJson(path.join(dir, name)) }))
+        .map(({ partNumber, etag, checksumSha256 }) => ({ partNumber, etag, checksumSha256 }))
+        .sort((a, b) => a.partNumber - b.partNumber);
+    },
+
+    async completeMultipartUpload(key, uploadId, parts) {
+      const dir = uploadDir(uploadId);
+      if (!fs.existsSync(path.join(dir, 'upload.json'))) {
+        throw new ObjectNotFoundError(key);
+      }
+      const upload = readJson(path.join(dir, 'upload.json'));
+      const ordered = [...parts].sort((a, b) => a.partNumber - b.partNumber);
+
+      const digests = ordered.map(({ partNumber, etag }) => {
+        const partMeta = path.join(dir, `${partNumber}.json`);
+        if (!fs.existsSync(partMeta) || readJson(partMeta).etag !== etag) {
+          throw new Error(`InvalidPart: part ${partNumber} was not uploaded or its ETag doesn't match`);
+        }
+        return Buffer.from(readJson(partMeta).checksumSha256, 'base64');
+      });
+
+      const partStreams = async function* () {
+        for (const { partNumber } of ordered) {
+          yield* fs.createReadStream(path.join(dir, String(partNumber)));
+        }
+      };
+      await writeObject(key, partStreams(), { contentType: upload.contentType });
+
+      // Like S3: a checksum of the part checksums, suffixed with the part count
+      const checksumSha256 = `${crypto.createHash('sha256').update(Buffer.concat(digests)).digest('base64')}-${ordered.length}`;
+      writeJson(metaPath(key), { ...readJson(metaPath(key)), checksumSha256 });
+
+      fs.rmSync(dir, { recursive: true, force: true });
+      return { checksumSha256 };
+    },
+
+    async abortMultipartUpload(key, uploadId) {
+      fs.rmSync(uploadDir(uploadId), { recursive: true, force: true });
+    },
+
+    // Used by the storage routes that serve signed URLs
+
+    // Check a signed URL's signature and expiry. checksumSha256 is the header the client sent.
+    verifySignedRequest({ method, resource, expires, signature, checksumSha256, contentType }) {
+      if (!expires || Number(expires) < Date.now() / 1000) return false;
+      const expected = Buffer.from(sign(signingPayload({ method, resource, expires, checksumSha256, contentType })));
+      const received = Buffer.from(String(signature || ''));
+      return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+    },
+
+    objectFilePath: objectPath,
+
+    async writeObjectStream(key, stream, options) {
+      const { etag } = await writeObject(key, stream, options);
+      return etag;
+    },
+
+    async writePartStream(uploadId, partNumber, stream, { checksumSha256 }) {
+      const dir = uploadDir(uploadId);
+      if (!fs.existsSync(path.join(dir, 'upload.json'))) {
+        throw new ObjectNotFoundError(`multipart upload ${uploadId}`);
+      }
+      const written = await writeFileChecked(path.join(dir, String(partNumber)), stream, checksumSha256);
+      writeJson(path.join(dir, `${partNumber}.json`), {
+        etag: written.etag,
+        checksumSha256: written.checksumSha256,
+        size: written.size,
+      });
+      return written.etag;
+    },
+  };
+};
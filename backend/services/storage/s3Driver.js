@@ -0,0 +1,218 @@
+import {
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  DeleteObjectsCommand,
+  ListObjectsV2Command,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  ListPartsCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand,
+} from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+import s3Client from '../../config/s3.js';
+import { ObjectNotFoundError } from './errors.js';
+
+const NOT_FOUND_ERRORS = ['NoSuchKey', 'NotFound', 'NoSuchUpload'];
+
+// Run an S3 call, turning "doesn't exist" errors into ObjectNotFoundError
+const send = async (command, key) => {
+  try {
+    return await s3Client.send(command);
+  } catch (error) {
+    if (NOT_FOUND_ERRORS.includes(error.name)) {
+      throw new ObjectNotFoundError(key);
+    }
+    throw error;
+  }
+};
+
+// AWS S3 or any S3-compatible store (MinIO via S3_ENDPOINT)
+export const createS3Driver = ({ bucket }) => ({
+  name: 's3',
+
+  async putObject(key, body, { contentType, checksumSha256, contentLength } = {}) {
+    await s3Client.send(new PutObjectCommand({
+      Bucket: bucket,
+      Key: key,
+      Body: body,
+      ContentType: contentType,
+      // Required when the body is a stream
+      ContentLength: contentLength,
+      // S3 rejects the PUT if the bytes don't match the checksum
+      ChecksumSHA256: checksumSha256,
+    }));
+  },
+
+  // range is { start, end } (inclusive byte offsets)
+  async getObject(key, { range } = {}) {
+    const response = await send(new GetObjectCommand({
+      Bucket: bucket,
+      Key: key,
+      Range: range ? `bytes=${range.start}-${range.end}` : undefined,
+    }), key);
+    return {
+      body: response.Body,
+      contentLength: response.ContentLength,
+      contentType: response.ContentType,
+    };
+  },
+
+  async headObject(key) {
+    const head = await send(new HeadObjectCommand({
+      Bucket: bucket,
+      Key: key,
+      ChecksumMode: 'ENABLED',
+    }), key);
+    return {
+      contentLength: head.ContentLength,
+      contentType: head.ContentType,
+      checksumSha256: head.ChecksumSHA256 || null,
+      etag: head.ETag,
+      lastModified: head.LastModified,
+    };
+  },
+
+  async deleteObject(key) {
+    await s3Client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+  },
+
+  // Delete up to 1000 keys in one request
+  async deleteObjects(keys) {
+    const result = await s3Client.send(new DeleteObjectsCommand({
+      Bucket: bucket,
+      Delete: { Objects: keys.map((key) => ({ Key: key })), Quiet: true },
+    }));
+    if (result.Errors?.length) {
+      throw new Error(`Failed to delete ${result.Errors.length} objects: ${result.Errors[0].Message}`);
+    }
+  },
+
+  async listObjects(prefix) {
+    const objects = [];
+    let continuationToken;
+
+    do {
+      const listing = await s3Client.send(new ListObjectsV2Command({
+        Bucket: bucket,
+        Prefix: prefix,
+        ContinuationToken: continuationToken,
+      }));
+      objects.push(...(listing.Contents || []).map(({ Key, Size }) => ({ key: Key, size: Size })));
+      continuationToken = listing.IsTruncated ? listing.NextContinuationToken : undefined;
+    } while (continuationToken);
+
+    return objects;
+  },
+
+  // The "directories" directly under a prefix, e.g. videos/{id}/ under videos/
+  async listPrefixes(prefix) {
+    const prefixes = [];
+    let continuationToken;
+
+    do {
+      const listing = await s3Client.send(new ListObjectsV2Command({
+        Bucket: bucket,
+        Prefix: prefix,
+        Delimiter: '/',
+        ContinuationToken: continuationToken,
+      }));
+      prefixes.push(...(listing.CommonPrefixes || []).map(({ Prefix }) => Prefix));
+      continuationToken = listing.IsTruncated ? listing.NextContinuationToken : undefined;
+    } while (continuationToken);
+
+    return prefixes;
+  },
+
+  getReadUrl(key, { expiresIn }) {
+    return getSignedUrl(s3Client, new GetObjectCommand({ Bucket: bucket, Key: key }), { expiresIn });
+  },
+
+  // URL for a single PUT. With a checksum, the client must send it as x-amz-checksum-sha256.
+  getWriteUrl(key, { expiresIn, contentType, checksumSha256 }) {
+    return getSignedUrl(s3Client, new PutObjectCommand({
+      Bucket: bucket,
+      Key: key,
+      ContentType: contentType,
+      ChecksumSHA256: checksumSha256,
+    }), {
+      expiresIn,
+      unhoistableHeaders: new Set(['x-amz-checksum-sha256']),
+    });
+  },
+
+  async createMultipartUpload(key, { contentType }) {
+    const { UploadId } = await s3Client.send(new CreateMultipartUploadCommand({
+      Bucket: bucket,
+      Key: key,
+      ContentType: contentType,
+      ChecksumAlgorithm: 'SHA256',
+    }));
+    return UploadId;
+  },
+
+  getPartUploadUrl(key, uploadId, partNumber, { checksumSha256, expiresIn }) {
+    const command = new UploadPartCommand({
+      Bucket: bucket,
+      Key: key,
+      UploadId: uploadId,
+      PartNumber: partNumber,
+      ChecksumAlgorithm: 'SHA256',
+      ChecksumSHA256: checksumSha256,
+    });
+
+    // Keep the checksum a signed header (not a query parameter) so the client must send it
+    return getSignedUrl(s3Client, command, {
+      expiresIn,
+      unhoistableHeaders: new Set(['x-amz-checksum-sha256']),
+    });
+  },
+
+  async listParts(key, uploadId) {
+    const parts = [];
+    let partNumberMarker;
+
+    do {
+      const response = await send(new ListPartsCommand({
+        Bucket: bucket,
+        Key: key,
+        UploadId: uploadId,
+        PartNumberMarker: partNumberMarker,
+      }), key);
+      parts.push(...(response.Parts || []).map((part) => ({
+        partNumber: part.PartNumber,
+        etag: part.ETag,
+        checksumSha256: part.ChecksumSHA256,
+      })));
+      partNumberMarker = response.IsTruncated ? response.NextPartNumberMarker : undefined;
+    } while (partNumberMarker);
+
+    return parts;
+  },
+
+  async completeMultipartUpload(key, uploadId, parts) {
+    const completed = await send(new CompleteMultipartUploadCommand({
+      Bucket: bucket,
+      Key: key,
+      UploadId: uploadId,
+      MultipartUpload: {
+        Parts: parts.map(({ partNumber, etag, checksumSha256 }) => ({
+          PartNumber: partNumber,
+          ETag: etag,
+          ChecksumSHA256: checksumSha256,
+        })),
+      },
+    }), key);
+    return { checksumSha256: completed.ChecksumSHA256 };
+  },
+
+  async abortMultipartUpload(key, uploadId) {
+    try {
+      await send(new AbortMultipartUploadCommand({ Bucket: bucket, Key: key, UploadId: uploadId }), key);
+    } catch (error) {
+      if (!(error instanceof ObjectNotFoundError)) throw error;
+    }
+  },
+});
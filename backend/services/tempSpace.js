@@ -0,0 +1,48 @@
+import dotenv from 'dotenv';
+import fs from 'fs';
+
+dotenv.config();
+
+// Most temp disk this process's jobs may claim at once; 0 disables the cap.
+// Reservations are kept in memory, so the cap is per process: workers sharing
+// a temp disk each get the full cap, and should be sized with that in mind.
+// TEMP_MIN_FREE_BYTES, read from the disk itself, still guards the total.
+const TEMP_MAX_BYTES = parseInt(process.env.TEMP_MAX_BYTES) || 0;
+// Free space always left on the temp disk, whatever the cap
+const TEMP_MIN_FREE_BYTES = parseInt(process.env.TEMP_MIN_FREE_BYTES ?? 1024 * 1024 * 1024);
+
+let reservedBytes = 0;
+
+// Claim temp disk space for a job's working files before writing any of them.
+// Throws if the claim would break the cap or leave too little free space -
+// retryably, since other jobs will finish and free it, unless the job alone
+// is bigger than the cap. Returns a function that gives the space back.
+export const reserveTempSpace = (dir, bytes) => {
+  if (TEMP_MAX_BYTES > 0 && reservedBytes + bytes > TEMP_MAX_BYTES) {
+    const error = new Error(`Not enough temp space: needs ${bytes} bytes, ${TEMP_MAX_BYTES - reservedBytes} of ${TEMP_MAX_BYTES} available`);
+    error.code = 'TEMP_SPACE_EXCEEDED';
+    error.retryable = bytes <= TEMP_MAX_BYTES;
+    throw error;
+  }
+
+  // Jobs already running have claimed space they may not have written yet
+  const { bavail, bsize } = fs.statfsSync(dir);
+  const freeBytes = bavail * bsize - reservedBytes;
+  if (freeBytes - bytes < TEMP_MIN_FREE_BYTES) {
+    const error = new Error(`Not enough free disk for temp files: needs ${bytes} bytes, ${freeBytes} free after running jobs' claims`);
+    error.code = 'TEMP_SPACE_EXCEEDED';
+    throw error;
+  }
+
+  reservedBytes += bytes;
+
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    reservedBytes -= bytes;
+  };
+};
+
+// Temp disk currently claimed by this process's jobs
+export const getReservedTempBytes = () => reservedBytes;
@@ -0,0 +1,124 @@
+import { putFile } from './storage/index.js';
+import { runFfmpeg } from '../utils/ffmpeg.js';
+import logger from '../utils/logger.js';
+import dotenv from 'dotenv';
+import fs from 'fs';
+import path from 'path';
+
+dotenv.config();
+
+const THUMBNAIL_INTERVAL = parseInt(process.env.THUMBNAIL_INTERVAL) || 10; // seconds between thumbnails
+const THUMBNAIL_WIDTH = parseInt(process.env.THUMBNAIL_WIDTH) || 160;
+const SPRITE_COLUMNS = parseInt(process.env.SPRITE_COLUMNS) || 10;
+const SPRITE_ROWS = parseInt(process.env.SPRITE_ROWS) || 10;
+const POSTER_MAX_WIDTH = 1280;
+
+export const POSTER_NAME = 'poster.jpg';
+export const THUMBNAIL_TRACK_NAME = 'thumbnails.vtt';
+
+export const thumbnailsPrefix = (videoId) => `videos/${videoId}/thumbnails`;
+
+const formatVttTime = (seconds) => {
+  const ms = Math.round(seconds * 1000);
+  const h = String(Math.floor(ms / 3600000)).padStart(2, '0');
+  const m = String(Math.floor((ms % 3600000) / 60000)).padStart(2, '0');
+  const s = String(Math.floor((ms % 60000) / 1000)).padStart(2, '0');
+  return `${h}:${m}:${s}.${String(ms % 1000).padStart(3, '0')}`;
+};
+
+// WebVTT thumbnail track: one cue per thumbnail pointing at its tile in a sprite
+// sheet with a media fragment (sprite_001.jpg#xywh=x,y,w,h)
+const buildThumbnailTrack = ({ count, duration, spriteNames, width, height }) => {
+  const perSprite = SPRITE_COLUMNS * SPRITE_ROWS;
+  const cues = ['WEBVTT', ''];
+
+  for (let i = 0; i < count; i++) {
+    const start = i * THUMBNAIL_INTERVAL;
+    const end = Math.min((i + 1) * THUMBNAIL_INTERVAL, duration);
+    const tile = i % perSprite;
+    const x = (tile % SPRITE_COLUMNS) * width;
+    const y = Math.floor(tile / SPRITE_COLUMNS) * height;
+
+    cues.push(`${formatVttTime(start)} --> ${formatVttTime(end)}`);
+    cues.push(`${spriteNames[Math.floor(i / perSprite)]}#xywh=${x},${y},${width},${height}`);
+    cues.push('');
+  }
+
+  return cues.join('\n');
+};
+
+const uploadImageAsset = async (videoId, filePath, contentType) => {
+  const key = `${thumbnailsPrefix(videoId)}/${path.basename(filePath)}`;
+
+  await putFile(key, filePath, { contentType });
+  return key;
+};
+
+// Extract a poster frame and periodic thumbnails tiled into sprite sheets,
+// write a WebVTT thumbnail track, and upload everything under videos/{id}/thumbnails/.
+// source: { width, height } of the input video stream.
+export const generateThumbnails = async ({ videoId, inputPath, workDir, duration, source, onProgress, signal }) => {
+  const thumbsDir = path.join(workDir, 'thumbnails');
+  fs.rmSync(thumbsDir, { recursive: true, force: true });
+  fs.mkdirSync(thumbsDir, { recursive: true });
+
+  // Explicit even height so the VTT tile coordinates match the sprite exactly
+  const width = THUMBNAIL_WIDTH;
+  const height = source.width && source.height
+    ? Math.max(2, Math.round((width * source.height) / source.width / 2) * 2)
+    : Math.round((width * 9) / 16 / 2) * 2;
+
+  // 1. Poster frame - 10% in (capped at 10s) skips black intro frames
+  logger.info(`Extracting poster frame...`);
+  const posterPath = path.join(thumbsDir, POSTER_NAME);
+  await runFfmpeg([
+    '-y',
+    '-ss', String(Math.min(duration * 0.1, 10)),
+    '-i', inputPath,
+    '-frames:v', '1',
+    '-vf', `scale='min(${POSTER_MAX_WIDTH},iw)':-2`,
+    '-q:v', '2',
+    posterPath,
+  ], { signal });
+
+  // 2. Periodic thumbnails tiled straight into sprite sheets in one pass
+  logger.info(`Generating thumbnail sprites (every ${THUMBNAIL_INTERVAL}s, ${SPRITE_COLUMNS}x${SPRITE_ROWS} per sheet)...`);
+  await runFfmpeg([
+    '-y',
+    '-i', inputPath,
+    '-an',
+    '-vf', `fps=1/${THUMBNAIL_INTERVAL},scale=${width}:${height},tile=${SPRITE_COLUMNS}x${SPRITE_ROWS}`,
+    '-q:v', '5',
+    path.join(thumbsDir, 'sprite_%03d.jpg'),
+  ], { duration, onProgress, signal });
+
+  const spriteNames = fs.readdirSync(thumbsDir)
+    .filter((f) => f.startsWith('sprite_') && f.endsWith('.jpg'))
+    .sort();
+
+  const count = Math.max(1, Math.ceil(duration / THUMBNAIL_INTERVAL));
+  const trackPath = path.join(thumbsDir, THUMBNAIL_TRACK_NAME);
+  fs.writeFileSync(trackPath, buildThumbnailTrack({ count, duration, spriteNames, width, height }));
+
+  // 3. Upload poster, sprites and track
+  const posterKey = await uploadImageAsset(videoId, posterPath, 'image/jpeg');
+  const spriteKeys = [];
+  for (const spriteName of spriteNames) {
+    spriteKeys.push(await uploadImageAsset(videoId, path.join(thumbsDir, spriteName), 'image/jpeg'));
+  }
+  const trackKey = await uploadImageAsset(videoId, trackPath, 'text/vtt');
+
+  fs.rmSync(thumbsDir, { recursive: true, force: true });
+
+  logger.info(`Thumbnails generated: ${count} thumbnails in ${spriteKeys.length} sprites`);
+
+  return {
+    posterKey,
+    spriteKeys,
+    trackKey,
+    interval: THUMBNAIL_INTERVAL,
+    width,
+    height,
+    count,
+  };
+};
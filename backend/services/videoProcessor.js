@@ -0,0 +1,441 @@
+import storage, { putFile, ObjectNotFoundError } from './storage/index.js';
+import { getSession, saveSession } from './sessionStore.js';
+import { publishStatus, publishProgress, throttleProgress } from './progressEvents.js';
+import { packageHls } from './hlsPackager.js';
+import { generateThumbnails } from './thumbnailGenerator.js';
+import { DEFAULT_SEGMENTATION, computeCutPoints, segmentVideo } from './segmentation.js';
+import { RENDITION_LADDER } from '../config/renditions.js';
+import { TEMP_DIR } from '../config/paths.js';
+import { MediaValidationError, probeAndValidate } from './mediaValidation.js';
+import { IntegrityError } from './integrity.js';
+import { hashStream, hashFile } from '../utils/checksum.js';
+import { releaseJobSlot } from './quotas.js';
+import { writeManifest } from './manifest.js';
+import { CancelledError, trackCancellable, isJobCancelled } from './cancellation.js';
+import { reserveTempSpace } from './tempSpace.js';
+import { acquireLock, videoLockKey } from './locks.js';
+import { processingFingerprint, loadCheckpoint, saveCheckpoint, clearCheckpoint } from './checkpoints.js';
+import { timeStage, recordVideoOutcome } from './metrics.js';
+import logger from '../utils/logger.js';
+import dotenv from 'dotenv';
+import fs from 'fs';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+
+dotenv.config();
+
+// Temp disk a job needs, as a multiple of the original's size: the download
+// plus the HLS variant being written and any chunks not yet uploaded
+const TEMP_SPACE_FACTOR = 3;
+// How long a job waits for the video lock - /process holds it only while queueing
+const LOCK_WAIT_MS = 10000;
+
+// Process video - download, chunk with FFmpeg, upload chunks to storage.
+// Runs inside a worker process; throws on failure so the queue can retry.
+// Holds the video's lock throughout, so no other worker processes it at the
+// same time, and checkpoints each stage so a retry picks up where it stopped.
+// Temp files are removed whether the job succeeds, fails or is cancelled.
+export const processVideoJob = async (job) => {
+  const { videoId } = job.data;
+
+  let uploadSession = await getSession(videoId);
+  if (!uploadSession) {
+    const error = new Error('Upload session not found');
+    error.retryable = false;
+    throw error;
+  }
+
+  const tempInputPath = path.join(TEMP_DIR, `${videoId}_input${path.extname(uploadSession.fileName) || '.mp4'}`);
+  const chunksDir = path.join(TEMP_DIR, videoId);
+  const cancellable = trackCancellable(videoId);
+  let lock = null;
+  let releaseTempSpace = null;
+
+  try {
+    // Registered before checking, so a cancel can't slip in between
+    if (await isJobCancelled(videoId, job)) {
+      throw new CancelledError();
+    }
+
+    lock = await acquireLock(videoLockKey(videoId), { waitMs: LOCK_WAIT_MS });
+    if (!lock) {
+      // A duplicate of a job another worker is running; that one reports the outcome
+      const error = new Error('Video is being processed by another worker');
+      error.code = 'VIDEO_LOCKED';
+      error.retryable = false;
+      throw error;
+    }
+
+    // Re-read under the lock: the previous holder may have moved the video on,
+    // leaving this job a leftover (say, a retry that raced a resumed run)
+    uploadSession = await getSession(videoId);
+    if (!uploadSession) {
+      // Purged while this job waited for the lock
+      const error = new Error('Upload session not found');
+      error.retryable = false;
+      throw error;
+    }
+    if (!['queued', 'processing'].includes(uploadSession.status) || uploadSession.jobId !== job.id) {
+      const error = new Error(`Job is stale: video is ${uploadSession.status} under job ${uploadSession.jobId}`);
+      error.code = 'STALE_JOB';
+      error.retryable = false;
+      throw error;
+    }
+
+    releaseTempSpace = reserveTempSpace(TEMP_DIR, (uploadSession.fileSize || 0) * TEMP_SPACE_FACTOR);
+
+    return await runProcessing({
+      job,
+      uploadSession,
+      tempInputPath,
+      chunksDir,
+      signal: AbortSignal.any([cancellable.signal, lock.signal]),
+    });
+  } catch (error) {
+    // Whatever broke when work was cancelled or the lock lost, report that instead
+    const aborted = [cancellable.signal, lock?.signal].find((signal) => signal?.aborted);
+    throw aborted ? aborted.reason : error;
+  } finally {
+    cancellable.release();
+    releaseTempSpace?.();
+    fs.rmSync(tempInputPath, { force: true });
+    fs.rmSync(chunksDir, { recursive: true, force: true });
+    await lock?.release();
+  }
+};
+
+// Whether storage already holds an object with this checksum
+const isStored = async (key, checksumSha256) => {
+  try {
+    const head = await storage.headObject(key);
+    return head.checksumSha256 === checksumSha256;
+  } catch (error) {
+    if (error instanceof ObjectNotFoundError) return false;
+    throw error;
+  }
+};
+
+// Download the original to the temp directory, checking it against the
+// checksum the client sent at upload
+const downloadOriginal = async ({ uploadSession, tempInputPath, signal }) => {
+  const { videoId, originalKey } = uploadSession;
+
+  logger.info(`Downloading video from storage...`);
+  const { body: videoStream, contentLength: totalBytes } = await storage.getObject(originalKey);
+
+  const reportDownload = throttleProgress((progress) => publishProgress(videoId, 'downloading', progress));
+  const downloadHash = hashStream(videoStream);
+  let bytesDownloaded = 0;
+  videoStream.on('data', (data) => {
+    bytesDownloaded += data.length;
+    reportDownload({
+      bytesDownloaded,
+      totalBytes,
+      percent: totalBytes ? Math.round((bytesDownloaded / totalBytes) * 100) : null,
+    });
+  });
+
+  // Write to temp file
+  await pipeline(videoStream, fs.createWriteStream(tempInputPath), { signal });
+
+  reportDownload({ bytesDownloaded, totalBytes, percent: 100 }, true);
+
+  logger.info(`Video downloaded: ${tempInputPath}`);
+
+  // The stored original must be byte-for-byte the file the client hashed
+  const downloadedSha256 = downloadHash.digest();
+  if (uploadSession.sha256 && downloadedSha256 !== uploadSession.sha256) {
+    throw new IntegrityError('Stored video does not match the checksum sent at upload', {
+      key: originalKey,
+      expected: uploadSession.sha256,
+      actual: downloadedSha256,
+    });
+  }
+  uploadSession.integrity = { originalVerifiedAt: new Date().toISOString() };
+  await saveSession(uploadSession);
+};
+
+// Cut the video into chunks and store each one as soon as ffmpeg has finished
+// it, one at a time and in order, deleting the local copy once it is stored.
+// Chunks a previous attempt already stored (same bytes) aren't uploaded again.
+// Returns [{ index, fileName, start, end, key, sha256 }].
+const chunkAndUpload = async ({ uploadSession, checkpoint, segmentation, probe, tempInputPath, chunksDir, signal }) => {
+  const { videoId } = uploadSession;
+  const totalDuration = probe.duration;
+
+  // Start from an empty directory - a previous attempt may have left chunks behind
+  fs.rmSync(chunksDir, { recursive: true, force: true });
+  fs.mkdirSync(chunksDir, { recursive: true });
+
+  let { cutPoints } = checkpoint;
+  if (!cutPoints) {
+    cutPoints = await timeStage('cut_detection', () => computeCutPoints({
+      inputPath: tempInputPath,
+      spec: segmentation,
+      duration: totalDuration,
+      hasAudio: probe.hasAudio,
+      signal,
+    }));
+    await saveCheckpoint(videoId, 'cutPoints', cutPoints);
+  }
+  const plannedChunks = cutPoints.length + 1;
+
+  logger.info(`Chunking video with FFmpeg (${segmentation.mode}, ${plannedChunks} chunks planned)...`);
+
+  const storedChunks = [];
+  let chunksUploaded = 0;
+
+  const uploadChunk = async (segment) => {
+    signal.throwIfAborted();
+    const chunkPath = path.join(chunksDir, segment.fileName);
+    const chunkKey = `videos/${videoId}/chunks/${segment.fileName}`;
+    const checksum = await hashFile(chunkPath);
+
+    if (checkpoint.chunks[segment.index]?.sha256 === checksum.hex && await isStored(chunkKey, checksum.base64)) {
+      logger.info(`Chunk ${segment.index + 1} already stored: ${chunkKey}`);
+    } else {
+      logger.info(`Uploading chunk ${segment.index + 1}: ${segment.fileName}`);
+
+      // Storage rejects the PUT if the bytes don't match the checksum
+      await timeStage('chunk_upload', () => putFile(chunkKey, chunkPath, { contentType: 'video/mp4', checksum }));
+      logger.info(`Chunk ${segment.index + 1} uploaded: ${chunkKey}`);
+    }
+    fs.rmSync(chunkPath, { force: true });
+
+    const storedChunk = { ...segment, key: chunkKey, sha256: checksum.hex };
+    storedChunks[segment.index] = storedChunk;
+    await saveCheckpoint(videoId, `chunk:${segment.index}`, storedChunk);
+    chunksUploaded += 1;
+
+    await publishProgress(videoId, 'uploading_chunks', {
+      chunksUploaded,
+      // Keyframe cuts can merge planned chunks, so the plan is only an upper bound
+      totalChunks: Math.max(plannedChunks, chunksUploaded),
+    });
+  };
+
+  // A failed upload stops segmentation rather than cutting chunks nobody will store
+  const segmenting = new AbortController();
+  let uploads = Promise.resolve();
+
+  // Segment video at keyframes, each chunk is valid MP4
+  const reportSegmenting = throttleProgress((progress) => publishProgress(videoId, 'segmenting', progress));
+  let segments;
+  try {
+    segments = await timeStage('segment', () => segmentVideo({
+      inputPath: tempInputPath,
+      chunksDir,
+      cutPoints,
+      duration: totalDuration,
+      signal: AbortSignal.any([signal, segmenting.signal]),
+      onProgress: (progress) => reportSegmenting(progress, progress.percent === 100),
+      onSegment: (segment) => {
+        uploads = uploads.then(() => uploadChunk(segment));
+        uploads.catch((error) => segmenting.abort(error));
+      },
+    }));
+  } catch (error) {
+    // Let the upload in flight settle before the chunks directory is removed
+    await uploads.catch(() => {});
+    throw error;
+  }
+
+  logger.info(`Video chunked successfully`);
+
+  await uploads;
+  await saveCheckpoint(videoId, 'segments', storedChunks);
+
+  logger.info(`Created and stored ${segments.length} chunks`);
+  return storedChunks;
+};
+
+const runProcessing = async ({ job, uploadSession, tempInputPath, chunksDir, signal }) => {
+  const { videoId } = uploadSession;
+  const segmentation = uploadSession.segmentation || DEFAULT_SEGMENTATION;
+  const renditions = uploadSession.renditionLadder || RENDITION_LADDER;
+  const checkpoint = await loadCheckpoint(videoId, processingFingerprint(uploadSession, segmentation, renditions));
+
+  // Update status
+  uploadSession.status = 'processing';
+  uploadSession.attempts = job.attempts;
+  await saveSession(uploadSession);
+  await publishStatus(uploadSession);
+
+  logger.info(`Starting video processing for ${videoId} (attempt ${job.attempts}/${job.maxAttempts})...`);
+
+  // 1. Validate - probe the original in place (ffprobe reads only the ranges it
+  // needs) so a bad file is rejected before we download gigabytes of it
+  let { probe } = checkpoint;
+  if (probe) {
+    logger.info(`Media already validated`);
+  } else {
+    logger.info(`Probing and validating media...`);
+    await publishProgress(videoId, 'validating', {});
+
+    const probeUrl = await storage.getReadUrl(uploadSession.originalKey, { expiresIn: 600 });
+
+    probe = await timeStage('probe', () => probeAndValidate(probeUrl, { signal }));
+    uploadSession.probe = probe;
+    uploadSession.validatedAt = new Date().toISOString();
+    await writeManifest(uploadSession, 'validated');
+    await saveSession(uploadSession);
+    await saveCheckpoint(videoId, 'probe', probe);
+
+    logger.info(`Media valid: ${probe.container}, ${probe.video.codec} ${probe.video.width}x${probe.video.height}, ${probe.duration}s`);
+  }
+
+  // Duration and dimensions come from the validation probe
+  const totalDuration = probe.duration;
+  const source = {
+    width: probe.video.width,
+    height: probe.video.height,
+    bitrate: probe.bitrate || Math.round((uploadSession.fileSize * 8) / totalDuration),
+    videoCodec: probe.video.codec,
+    audioCodec: probe.audio?.codec,
+  };
+
+  // 2. Download video from storage to temp directory - unless every stage
+  // that reads it was finished by an earlier attempt
+  if (!(checkpoint.segments && checkpoint.hls && checkpoint.thumbnails)) {
+    await timeStage('download', () => downloadOriginal({ uploadSession, tempInputPath, signal }));
+  }
+
+  // 3. Chunk video using FFmpeg according to the upload's segmentation spec,
+  // uploading each chunk to storage as it is cut
+  let chunks = checkpoint.segments;
+  if (chunks) {
+    logger.info(`${chunks.length} chunks already stored`);
+  } else {
+    chunks = await chunkAndUpload({ uploadSession, checkpoint, segmentation, probe, tempInputPath, chunksDir, signal });
+  }
+
+  // 4. Package HLS for playback: source copy plus the transcoded rendition ladder
+  let { hls } = checkpoint;
+  if (hls) {
+    logger.info(`HLS already packaged`);
+  } else {
+    const reportPackaging = throttleProgress((progress) => publishProgress(videoId, 'packaging_hls', progress));
+    hls = await timeStage('hls', () => packageHls({
+      videoId,
+      inputPath: tempInputPath,
+      workDir: chunksDir,
+      duration: totalDuration,
+      source,
+      renditions,
+      signal,
+      onProgress: (progress) => reportPackaging(progress, progress.percent === 100),
+    }));
+    await saveCheckpoint(videoId, 'hls', hls);
+  }
+
+  // 5. Poster frame, thumbnail sprites and WebVTT track for seek previews
+  let { thumbnails } = checkpoint;
+  if (thumbnails) {
+    logger.info(`Thumbnails already generated`);
+  } else {
+    const reportThumbnails = throttleProgress((progress) => publishProgress(videoId, 'thumbnails', progress));
+    thumbnails = await timeStage('thumbnails', () => generateThumbnails({
+      videoId,
+      inputPath: tempInputPath,
+      workDir: chunksDir,
+      duration: totalDuration,
+      source,
+      signal,
+      onProgress: (progress) => reportThumbnails(progress, progress.percent === 100),
+    }));
+    await saveCheckpoint(videoId, 'thumbnails', thumbnails);
+  }
+
+  // 6. Update session with chunk, HLS and thumbnail info
+  uploadSession.status = 'chunked';
+  uploadSession.duration = totalDuration;
+  uploadSession.totalChunks = chunks.length;
+  uploadSession.chunkKeys = chunks.map((chunk) => chunk.key);
+  uploadSession.chunks = chunks.map((chunk) => ({
+    index: chunk.index,
+    key: chunk.key,
+    start: chunk.start,
+    end: chunk.end,
+    duration: Math.round((chunk.end - chunk.start) * 1000) / 1000,
+    sha256: chunk.sha256,
+  }));
+  uploadSession.segmentation = segmentation;
+  // Presigned URLs for each chunk (for FastAPI)
+  uploadSession.chunkUrls = await Promise.all(
+    chunks.map((chunk) => storage.getReadUrl(chunk.key, { expiresIn: 3600 }))
+  );
+  uploadSession.hls = {
+    masterPlaylistKey: hls.masterPlaylistKey,
+    segmentType: hls.segmentType,
+  };
+  uploadSession.renditions = hls.renditions;
+  uploadSession.thumbnails = thumbnails;
+  uploadSession.processedAt = new Date().toISOString();
+  delete uploadSession.error;
+  delete uploadSession.retryAt;
+
+  // The manifest is the durable record of where every artifact lives, so the
+  // video only counts as chunked once it has been written
+  await writeManifest(uploadSession, 'chunked');
+  await saveSession(uploadSession);
+  await clearCheckpoint(videoId);
+  await releaseJobSlot(uploadSession.ownerId, videoId);
+  await publishStatus(uploadSession);
+  recordVideoOutcome('chunked');
+
+  logger.info(`Video processing complete: ${chunks.length} chunks ready`);
+
+  return { totalChunks: chunks.length };
+};
+
+// Record a failed processing attempt on the session
+export const handleProcessingFailure = async (job, error, willRetry) => {
+  const { videoId } = job.data;
+  logger.error(`Processing attempt ${job.attempts}/${job.maxAttempts} failed for ${videoId}`, { error: error.message });
+
+  // The session belongs to another job, which reports its own outcome
+  if (error.code === 'VIDEO_LOCKED' || error.code === 'STALE_JOB') return;
+
+  const uploadSession = await getSession(videoId);
+  if (!uploadSession) return;
+
+  if (error instanceof CancelledError) {
+    uploadSession.status = 'cancelled';
+  } else if (error instanceof MediaValidationError) {
+    // Policy violations are final and reported with their codes
+    uploadSession.status = 'rejected';
+    uploadSession.validationErrors = error.errors;
+    if (error.probe) {
+      uploadSession.probe = error.probe;
+    }
+  } else {
+    // Back to 'queued' while a retry is pending; 'failed' once the job is dead-lettered
+    uploadSession.status = willRetry ? 'queued' : 'failed';
+  }
+  if (error instanceof IntegrityError) {
+    uploadSession.integrity = {
+      ok: false,
+      mismatches: [{ key: error.key, expected: error.expected, actual: error.actual }],
+    };
+  }
+  uploadSession.error = error.message;
+  uploadSession.attempts = job.attempts;
+  if (willRetry) {
+    uploadSession.retryAt = job.retryAt;
+  } else {
+    delete uploadSession.retryAt;
+    try {
+      await writeManifest(uploadSession, uploadSession.status);
+    } catch (manifestError) {
+      logger.error(`Failed to write manifest for ${videoId}`, { error: manifestError.message });
+    }
+  }
+
+  await saveSession(uploadSession);
+  // The owner's processing slot is held across retries and freed once the job is done for good
+  if (!willRetry) {
+    await releaseJobSlot(uploadSession.ownerId, videoId);
+    recordVideoOutcome(uploadSession.status);
+  }
+  await publishStatus(uploadSession);
+};
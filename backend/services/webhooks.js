@@ -0,0 +1,335 @@
+import redis from '../config/redis.js';
+import { webhookQueue } from './queues.js';
+import axios from 'axios';
+import { v4 as uuidv4 } from 'uuid';
+import dotenv from 'dotenv';
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+
+dotenv.config();
+
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+const DELIVERY_TTL = parseInt(process.env.WEBHOOK_DELIVERY_TTL) || 7 * 24 * 60 * 60; // 7 days
+const DELIVERY_LOG_LENGTH = 200; // deliveries kept per subscription
+// Allow loopback and private network targets, e.g. a receiver on localhost in development
+const ALLOW_PRIVATE_TARGETS = process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS === 'true';
+
+// Keys:
+//   webhooks                     - set of subscription ids
+//   webhook:{id}                 - JSON subscription { id, url, events, secret, ... }
+//   webhook:{id}:deliveries      - list of delivery ids, newest first
+//   webhook:delivery:{id}        - JSON delivery record with every attempt
+const SUBSCRIPTIONS_KEY = 'webhooks';
+const subscriptionKey = (id) => `webhook:${id}`;
+const deliveryLogKey = (id) => `webhook:${id}:deliveries`;
+const deliveryKey = (id) => `webhook:delivery:${id}`;
+
+// One event per session status a subscriber might care about
+export const WEBHOOK_EVENTS = [
+  'video.uploaded',
+  'video.aborted',
+  'video.queued',
+  'video.processing',
+  'video.rejected',
+  'video.chunked',
+  'video.analyzing',
+  'video.completed',
+  'video.partially_completed',
+  'video.failed',
+  'video.cancelled',
+  'video.deleted',
+];
+
+// Addresses webhooks may not be sent to: this host, private networks, link-local
+// (cloud metadata endpoints such as 169.254.169.254 included) and other
+// non-public ranges. IPv4-mapped IPv6 addresses are matched against the IPv4 rules.
+const blockedAddresses = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+]) {
+  blockedAddresses.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+]) {
+  blockedAddresses.addSubnet(network, prefix, 'ipv6');
+}
+
+const isBlockedAddress = (address) =>
+  !ALLOW_PRIVATE_TARGETS && blockedAddresses.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+// Raised when a webhook URL points at a blocked address. Never retried.
+class BlockedTargetError extends Error {
+  constructor(host, address) {
+    super(`Webhook target ${host} resolves to ${address}, which is not a public address`);
+    this.name = 'BlockedTargetError';
+    this.code = 'WEBHOOK_TARGET_BLOCKED';
+    this.retryable = false;
+  }
+}
+
+// dns.lookup that refuses blocked addresses. Used for the delivery connection
+// itself, so a name that resolved to a public address when it was checked
+// can't be re-pointed at a private one before the request goes out.
+const guardedLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find((entry) => isBlockedAddress(entry.address));
+    if (blocked) return callback(new BlockedTargetError(hostname, blocked.address));
+    callback(null, address, family);
+  });
+};
+
+const deliveryAgents = {
+  httpAgent: new http.Agent({ lookup: guardedLookup }),
+  httpsAgent: new https.Agent({ lookup: guardedLookup }),
+};
+
+// Resolve a webhook URL's host and throw a BlockedTargetError if any address
+// it resolves to is blocked. Literal IPs are checked as they are.
+const checkTarget = async (url) => {
+  const host = new URL(url).hostname.replace(/^\[(.*)\]$/, '$1');
+  const addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true });
+
+  const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+  if (blocked) {
+    throw new BlockedTargetError(host, blocked.address);
+  }
+};
+
+// Validate a subscription request. Returns an error message, or null if valid.
+export const validateSubscription = async ({ url, events }) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return 'url must be an absolute http(s) URL';
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return 'url must be an absolute http(s) URL';
+  }
+
+  try {
+    await checkTarget(url);
+  } catch (error) {
+    if (error instanceof BlockedTargetError) return error.message;
+    return `url host ${parsed.hostname} could not be resolved`;
+  }
+
+  if (events !== undefined) {
+    if (!Array.isArray(events) || events.length === 0) {
+      return 'events must be a non-empty array';
+    }
+    const unknown = events.find((event) => event !== '*' && !WEBHOOK_EVENTS.includes(event));
+    if (unknown) {
+      return `Unknown event ${unknown}; expected * or one of ${WEBHOOK_EVENTS.join(', ')}`;
+    }
+  }
+
+  return null;
+};
+
+// The signing secret is only ever returned when the subscription is created
+const withoutSecret = ({ secret, ...subscription }) => subscription;
+
+export const createSubscription = async ({ url, events = ['*'], description }) => {
+  const subscription = {
+    id: uuidv4(),
+    url,
+    events,
+    description,
+    secret: `whsec_${crypto.randomBytes(24).toString('hex')}`,
+    createdAt: new Date().toISOString(),
+  };
+
+  await redis.set(subscriptionKey(subscription.id), JSON.stringify(subscription));
+  await redis.sadd(SUBSCRIPTIONS_KEY, subscription.id);
+  return subscription;
+};
+
+const getSubscriptionWithSecret = async (id) => {
+  const data = await redis.get(subscriptionKey(id));
+  return data ? JSON.parse(data) : null;
+};
+
+export const getSubscription = async (id) => {
+  const subscription = await getSubscriptionWithSecret(id);
+  return subscription ? withoutSecret(subscription) : null;
+};
+
+export const listSubscriptions = async () => {
+  const ids = await redis.smembers(SUBSCRIPTIONS_KEY);
+  const subscriptions = await Promise.all(ids.map(getSubscription));
+  return subscriptions
+    .filter(Boolean)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+};
+
+// Returns false if there was no such subscription. Its delivery log expires on its own.
+export const deleteSubscription = async (id) => {
+  const removed = await redis.srem(SUBSCRIPTIONS_KEY, id);
+  await redis.del(subscriptionKey(id));
+  return removed > 0;
+};
+
+export const getDelivery = async (id) => {
+  const data = await redis.get(deliveryKey(id));
+  return data ? JSON.parse(data) : null;
+};
+
+const saveDelivery = (delivery) =>
+  redis.setex(deliveryKey(delivery.id), DELIVERY_TTL, JSON.stringify(delivery));
+
+export const listDeliveries = async (subscriptionId, limit = 50) => {
+  const ids = await redis.lrange(deliveryLogKey(subscriptionId), 0, limit - 1);
+  const deliveries = await Promise.all(ids.map(getDelivery));
+  return deliveries.filter(Boolean);
+};
+
+// Record a delivery and queue it for sending
+const enqueueDelivery = async (subscription, event, payload, extra = {}) => {
+  const delivery = {
+    id: uuidv4(),
+    subscriptionId: subscription.id,
+    url: subscription.url,
+    event,
+    payload,
+    status: 'pending',
+    attempts: [],
+    createdAt: new Date().toISOString(),
+    ...extra,
+  };
+
+  await saveDelivery(delivery);
+  await redis.lpush(deliveryLogKey(subscription.id), delivery.id);
+  await redis.ltrim(deliveryLogKey(subscription.id), 0, DELIVERY_LOG_LENGTH - 1);
+  await redis.expire(deliveryLogKey(subscription.id), DELIVERY_TTL);
+  await webhookQueue.add({ deliveryId: delivery.id });
+
+  return delivery;
+};
+
+const subscribesTo = (subscription, event) =>
+  subscription.events.includes('*') || subscription.events.includes(event);
+
+// Fan a session status change out to every matching subscription
+export const emitVideoEvent = async (uploadSession) => {
+  const event = `video.${uploadSession.status}`;
+  if (!WEBHOOK_EVENTS.includes(event)) return;
+
+  const ids = await redis.smembers(SUBSCRIPTIONS_KEY);
+  if (ids.length === 0) return;
+
+  const payload = {
+    event,
+    videoId: uploadSession.videoId,
+    ownerId: uploadSession.ownerId,
+    status: uploadSession.status,
+    fileName: uploadSession.fileName,
+    error: uploadSession.error,
+    totalChunks: uploadSession.totalChunks,
+    duration: uploadSession.duration,
+    analysisSummary: uploadSession.analysisSummary,
+    occurredAt: new Date().toISOString(),
+  };
+
+  for (const id of ids) {
+    const subscription = await getSubscriptionWithSecret(id);
+    if (subscription && subscribesTo(subscription, event)) {
+      await enqueueDelivery(subscription, event, payload);
+    }
+  }
+};
+
+// Send a delivery again as a new delivery, e.g. after fixing the receiving end
+export const replayDelivery = async (deliveryId) => {
+  const original = await getDelivery(deliveryId);
+  if (!original) return null;
+
+  const subscription = await getSubscriptionWithSecret(original.subscriptionId);
+  if (!subscription) return null;
+
+  return enqueueDelivery(subscription, original.event, original.payload, { replayOf: original.id });
+};
+
+// Signature over "<timestamp>.<body>" with the subscription's secret, sent as "sha256=<hex>"
+export const signWebhook = (secret, timestamp, body) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+// Queue handler: POST one delivery and record the attempt. Throws on failure
+// so the queue retries with exponential backoff.
+export const sendDelivery = async (job) => {
+  const delivery = await getDelivery(job.data.deliveryId);
+  if (!delivery) return { skipped: 'delivery expired' };
+
+  const subscription = await getSubscriptionWithSecret(delivery.subscriptionId);
+  if (!subscription) {
+    delivery.status = 'failed';
+    delivery.attempts.push({ at: new Date().toISOString(), error: 'Subscription was deleted' });
+    await saveDelivery(delivery);
+    return { skipped: 'subscription deleted' };
+  }
+
+  const body = JSON.stringify({ id: delivery.id, ...delivery.payload });
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const attempt = { at: new Date().toISOString() };
+  const startedAt = Date.now();
+
+  try {
+    // Checked again at every delivery: DNS may have changed since registration
+    await checkTarget(subscription.url);
+
+    const response = await axios.post(subscription.url, body, {
+      ...deliveryAgents,
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Webhook-Id': delivery.id,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Timestamp': timestamp,
+        'X-Webhook-Signature': signWebhook(subscription.secret, timestamp, body),
+      },
+      timeout: WEBHOOK_TIMEOUT_MS,
+      validateStatus: () => true,
+      maxRedirects: 0,
+    });
+
+    attempt.statusCode = response.status;
+    if (response.status < 200 || response.status >= 300) {
+      throw new Error(`Endpoint responded with ${response.status}`);
+    }
+  } catch (error) {
+    attempt.error = error.message;
+    attempt.durationMs = Date.now() - startedAt;
+    delivery.attempts.push(attempt);
+    delivery.status = error.retryable !== false && job.attempts < job.maxAttempts ? 'retrying' : 'failed';
+    await saveDelivery(delivery);
+    throw error;
+  }
+
+  attempt.durationMs = Date.now() - startedAt;
+  delivery.attempts.push(attempt);
+  delivery.status = 'delivered';
+  delivery.deliveredAt = new Date().toISOString();
+  await saveDelivery(delivery);
+
+  return { statusCode: attempt.statusCode };
+};
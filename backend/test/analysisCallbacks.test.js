@@ -0,0 +1,227 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import crypto from 'crypto';
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Callback analysis end to end: the API submits a video's chunk URLs to the
+// stub analysis server, which fetches each chunk and posts a signed result
+// back. Needs a Redis at REDIS_HOST:REDIS_PORT (docker compose up -d redis).
+// Skipped without one locally; under CI a missing Redis fails the run, so it
+// can't pass having tested nothing.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const REDIS_HOST = process.env.REDIS_HOST || 'localhost';
+const REDIS_PORT = parseInt(process.env.REDIS_PORT) || 6379;
+
+const SECRET = 'test-callback-secret';
+const API_KEY = 'test-api-key';
+const OWNER_ID = `test-owner-${crypto.randomUUID()}`;
+const CHUNK_COUNT = 2;
+
+const canReach = (host, port) => new Promise((resolve) => {
+  const socket = net.connect({ host, port, timeout: 1000 });
+  socket.once('connect', () => {
+    socket.destroy();
+    resolve(true);
+  });
+  socket.once('timeout', () => {
+    socket.destroy();
+    resolve(false);
+  });
+  socket.once('error', () => resolve(false));
+});
+
+const freePort = () => new Promise((resolve, reject) => {
+  const server = net.createServer();
+  server.once('error', reject);
+  server.listen(0, () => {
+    const { port } = server.address();
+    server.close(() => resolve(port));
+  });
+});
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const redisReachable = await canReach(REDIS_HOST, REDIS_PORT);
+if (!redisReachable && process.env.CI) {
+  throw new Error(`Redis is not reachable at ${REDIS_HOST}:${REDIS_PORT}; these tests need one in CI`);
+}
+const skip = redisReachable ? false : `Redis is not reachable at ${REDIS_HOST}:${REDIS_PORT}`;
+
+let apiServer;
+let stub;
+let storageDir;
+let apiUrl;
+let modules;
+const videoId = crypto.randomUUID();
+
+// Start the stub and resolve once it is listening
+const startStub = (port) => new Promise((resolve, reject) => {
+  const child = spawn(process.execPath, [path.join(__dirname, '../scripts/stubAnalysisServer.js')], {
+    env: {
+      ...process.env,
+      STUB_ANALYSIS_PORT: String(port),
+      ANALYSIS_CALLBACK_SECRET: SECRET,
+      STUB_DELAY_MS: '50',
+      STUB_FAIL_RATE: '0',
+    },
+    stdio: ['ignore', 'pipe', 'inherit'],
+  });
+  child.once('error', reject);
+  child.once('exit', (code) => reject(new Error(`Stub analysis server exited with code ${code}`)));
+  child.stdout.setEncoding('utf8');
+  child.stdout.on('data', (data) => {
+    if (data.includes('listening')) resolve(child);
+  });
+});
+
+// POST a callback to the API, signed with the shared secret unless a signature is given
+const sendCallback = async (payload, { timestamp = Math.floor(Date.now() / 1000), signature } = {}) => {
+  const body = JSON.stringify(payload);
+  const { signCallback, SIGNATURE_HEADER, TIMESTAMP_HEADER } = modules.analysisCallbacks;
+  const headers = {
+    'Content-Type': 'application/json',
+    [TIMESTAMP_HEADER]: String(timestamp),
+    [SIGNATURE_HEADER]: signature ?? signCallback(String(timestamp), body, SECRET),
+  };
+
+  const response = await fetch(`${apiUrl}/api/upload/analysis/callback`, { method: 'POST', headers, body });
+  return { status: response.status, body: await response.json(), headers };
+};
+
+const waitForStatus = async (status, timeoutMs = 15000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const uploadSession = await modules.sessionStore.getSession(videoId);
+    if (uploadSession?.status === status) return uploadSession;
+    await sleep(100);
+  }
+  const uploadSession = await modules.sessionStore.getSession(videoId);
+  assert.fail(`Video stayed ${uploadSession?.status}, expected ${status}`);
+};
+
+before(async () => {
+  if (skip) return;
+
+  const [apiPort, stubPort] = [await freePort(), await freePort()];
+  apiUrl = `http://127.0.0.1:${apiPort}`;
+  storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'analysis-callbacks-'));
+
+  // Set before the app is imported - modules read their config at load
+  Object.assign(process.env, {
+    PORT: String(apiPort),
+    API_KEYS: `${API_KEY}:${OWNER_ID}`,
+    STORAGE_DRIVER: 'local',
+    STORAGE_LOCAL_DIR: storageDir,
+    STORAGE_PUBLIC_URL: apiUrl,
+    STORAGE_SIGNING_SECRET: 'test-storage-secret',
+    FASTAPI_URL: `http://127.0.0.1:${stubPort}`,
+    ANALYSIS_CALLBACK_URL: apiUrl,
+    ANALYSIS_CALLBACK_SECRET: SECRET,
+    LOG_LEVEL: 'warn',
+  });
+
+  stub = await startStub(stubPort);
+
+  const { default: app } = await import('../app.js');
+  modules = {
+    storage: (await import('../services/storage/index.js')).default,
+    sessionStore: await import('../services/sessionStore.js'),
+    analysisCallbacks: await import('../services/analysisCallbacks.js'),
+    lifecycle: await import('../services/lifecycle.js'),
+    redis: (await import('../config/redis.js')).default,
+  };
+  await new Promise((resolve) => {
+    apiServer = app.listen(apiPort, resolve);
+  });
+
+  // A processed video: its chunks stored and recorded on the session
+  const chunks = [];
+  for (let index = 0; index < CHUNK_COUNT; index++) {
+    const key = `videos/${videoId}/chunks/chunk_${String(index).padStart(3, '0')}.mp4`;
+    await modules.storage.putObject(key, crypto.randomBytes(1024), { contentType: 'video/mp4' });
+    chunks.push({ index, key, start: index * 10, end: (index + 1) * 10, duration: 10 });
+  }
+  await modules.sessionStore.saveSession({
+    videoId,
+    ownerId: OWNER_ID,
+    fileName: 'test.mp4',
+    fileSize: 2048,
+    storageReleased: true,
+    status: 'chunked',
+    duration: CHUNK_COUNT * 10,
+    totalChunks: CHUNK_COUNT,
+    chunks,
+    createdAt: new Date().toISOString(),
+  });
+});
+
+after(async () => {
+  if (skip) return;
+
+  stub?.removeAllListeners('exit');
+  stub?.kill();
+  await new Promise((resolve) => (apiServer ? apiServer.close(resolve) : resolve()));
+  if (modules) {
+    await modules.lifecycle.purgeVideo(videoId);
+    await modules.redis.quit();
+  }
+  fs.rmSync(storageDir, { recursive: true, force: true });
+});
+
+test('callback analysis settles the video from signed stub callbacks', { skip }, async () => {
+  const response = await fetch(`${apiUrl}/api/upload/analyze`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-API-Key': API_KEY },
+    body: JSON.stringify({ videoId, mode: 'callback' }),
+  });
+  assert.equal(response.status, 202);
+  assert.equal((await response.json()).submittedChunks, CHUNK_COUNT);
+
+  const uploadSession = await waitForStatus('completed');
+  assert.deepEqual(uploadSession.analysisSummary, { status: 'completed', total: CHUNK_COUNT, completed: CHUNK_COUNT, failed: 0 });
+  assert.equal(uploadSession.analysisRuns.length, 1);
+});
+
+test('a valid callback for an already completed chunk is acknowledged as a duplicate', { skip }, async () => {
+  const { status, body } = await sendCallback({ videoId, chunkIndex: 0, status: 'completed', result: { labels: ['late'] } });
+
+  assert.equal(status, 200);
+  assert.equal(body.duplicate, true);
+});
+
+test('a replayed callback is rejected', { skip }, async () => {
+  const payload = { videoId, chunkIndex: 1, status: 'completed', result: { labels: ['replayed'] } };
+  const first = await sendCallback(payload);
+  assert.equal(first.status, 200);
+
+  const { SIGNATURE_HEADER, TIMESTAMP_HEADER } = modules.analysisCallbacks;
+  const replay = await sendCallback(payload, {
+    timestamp: first.headers[TIMESTAMP_HEADER],
+    signature: first.headers[SIGNATURE_HEADER],
+  });
+  assert.equal(replay.status, 401);
+  assert.match(replay.body.message, /already been received/);
+});
+
+test('a callback with a stale timestamp is rejected', { skip }, async () => {
+  const { status, body } = await sendCallback(
+    { videoId, chunkIndex: 0, status: 'completed', result: {} },
+    { timestamp: Math.floor(Date.now() / 1000) - 3600 }
+  );
+
+  assert.equal(status, 401);
+  assert.match(body.message, /outside the allowed window/);
+});
+
+test('the video stays completed and was finished once', { skip }, async () => {
+  const uploadSession = await modules.sessionStore.getSession(videoId);
+
+  assert.equal(uploadSession.status, 'completed');
+  assert.equal(uploadSession.analysisRuns.length, 1);
+});
@@ -0,0 +1,30 @@
+import crypto from 'crypto';
+import fs from 'fs';
+
+export const isSha256Hex = (value) => typeof value === 'string' && /^[0-9a-f]{64}$/i.test(value);
+
+// S3 checksum headers carry base64; we record hex everywhere else
+export const hexToBase64 = (hex) => Buffer.from(hex, 'hex').toString('base64');
+export const base64ToHex = (base64) => Buffer.from(base64, 'base64').toString('hex');
+
+export const sha256 = (buffer) => {
+  const digest = crypto.createHash('sha256').update(buffer).digest();
+  return { hex: digest.toString('hex'), base64: digest.toString('base64') };
+};
+
+// Hash a readable stream as it is consumed. Call digest() once it has ended.
+export const hashStream = (stream) => {
+  const hash = crypto.createHash('sha256');
+  stream.on('data', (data) => hash.update(data));
+  return { digest: () => hash.digest('hex') };
+};
+
+// Hash a file without reading it into memory
+export const hashFile = async (filePath) => {
+  const hash = crypto.createHash('sha256');
+  for await (const data of fs.createReadStream(filePath)) {
+    hash.update(data);
+  }
+  const digest = hash.digest();
+  return { hex: digest.toString('hex'), base64: digest.toString('base64') };
+};
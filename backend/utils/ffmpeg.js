@@ -0,0 +1,159 @@
+import { spawn, execFile } from 'child_process';
+import dotenv from 'dotenv';
+import { recordFfmpegFailure } from '../services/metrics.js';
+
+dotenv.config();
+
+const STDERR_TAIL_LINES = 20;
+// Longest a single ffmpeg run may take before it is killed; 0 disables the limit
+const FFMPEG_TIMEOUT_MS = parseInt(process.env.FFMPEG_TIMEOUT_MS ?? 2 * 60 * 60 * 1000);
+
+// Run ffmpeg with an argument list (no shell).
+// If onProgress and duration are given, ffmpeg's -progress output is parsed
+// and onProgress({ percent, outTime }) is called as encoding advances.
+// onStderrLine(line) receives every log line, for filters that report through
+// the log (showinfo, silencedetect).
+// ffmpeg is killed if signal aborts (rejecting with signal.reason) or after
+// timeoutMs (rejecting with code FFMPEG_TIMEOUT).
+export const runFfmpeg = (args, { duration, onProgress, onStderrLine, signal, timeoutMs = FFMPEG_TIMEOUT_MS } = {}) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const ffmpegArgs = onProgress
+      ? ['-hide_banner', '-nostats', '-progress', 'pipe:1', ...args]
+      : ['-hide_banner', ...args];
+
+    const child = spawn('ffmpeg', ffmpegArgs, { stdio: ['ignore', 'pipe', 'pipe'] });
+
+    // Why ffmpeg was killed, if it was - reported instead of its exit code
+    let killReason = null;
+    const kill = (reason) => {
+      if (killReason) return;
+      killReason = reason;
+      child.kill('SIGKILL');
+    };
+
+    const onAbort = () => kill(signal.reason);
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    const timer = timeoutMs > 0
+      ? setTimeout(() => {
+        const error = new Error(`ffmpeg timed out after ${Math.round(timeoutMs / 1000)}s`);
+        error.code = 'FFMPEG_TIMEOUT';
+        kill(error);
+      }, timeoutMs)
+      : null;
+
+    const cleanup = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    };
+
+    const stderrLines = [];
+    let stderrBuffered = '';
+    child.stderr.setEncoding('utf8');
+    child.stderr.on('data', (data) => {
+      stderrBuffered += data;
+      const lines = stderrBuffered.split('\n');
+      stderrBuffered = lines.pop();
+
+      for (const line of lines.filter(Boolean)) {
+        onStderrLine?.(line);
+        stderrLines.push(line);
+      }
+      stderrLines.splice(0, Math.max(0, stderrLines.length - STDERR_TAIL_LINES));
+    });
+
+    let buffered = '';
+    child.stdout.setEncoding('utf8');
+    child.stdout.on('data', (data) => {
+      if (!onProgress) return;
+
+      buffered += data;
+      const lines = buffered.split('\n');
+      buffered = lines.pop();
+
+      for (const line of lines) {
+        // out_time_us is in microseconds (older builds misname it out_time_ms)
+        const match = line.match(/^out_time_(?:us|ms)=(\d+)/);
+        if (match && duration > 0) {
+          const outTime = parseInt(match[1]) / 1e6;
+          onProgress({
+            outTime,
+            percent: Math.min(100, Math.round((outTime / duration) * 100)),
+          });
+        }
+      }
+    });
+
+    child.on('error', (error) => {
+      cleanup();
+      recordFfmpegFailure('ffmpeg', 'spawn_error');
+      reject(error);
+    });
+    child.on('close', (code) => {
+      cleanup();
+      if (killReason) {
+        // Cancellations aren't failures of ffmpeg
+        if (killReason.code === 'FFMPEG_TIMEOUT') {
+          recordFfmpegFailure('ffmpeg', 'timeout');
+        }
+        reject(killReason);
+        return;
+      }
+
+      if (stderrBuffered) {
+        onStderrLine?.(stderrBuffered);
+        stderrLines.push(stderrBuffered);
+      }
+
+      if (code === 0) {
+        onProgress?.({ outTime: duration, percent: 100 });
+        resolve();
+      } else {
+        recordFfmpegFailure('ffmpeg', 'exit_code');
+        reject(new Error(`ffmpeg exited with code ${code}: ${stderrLines.join('\n')}`));
+      }
+    });
+  });
+
+const PROBE_TIMEOUT = 60000;
+
+// Why an ffprobe run failed, for metrics
+const probeFailureReason = (error) => {
+  if (error.killed) return 'timeout';
+  return typeof error.code === 'number' ? 'exit_code' : 'spawn_error';
+};
+
+// Probe a media file (local path or URL) with ffprobe and resolve its parsed
+// format and streams. Failures carry ffprobe's output in error.stderr; an
+// aborted signal rejects with signal.reason.
+export const probeMedia = (input, { signal } = {}) =>
+  new Promise((resolve, reject) => {
+    execFile('ffprobe', [
+      '-v', 'error',
+      '-print_format', 'json',
+      '-show_format',
+      '-show_streams',
+      input,
+    ], { timeout: PROBE_TIMEOUT, killSignal: 'SIGKILL', maxBuffer: 16 * 1024 * 1024, signal }, (error, stdout, stderr) => {
+      if (signal?.aborted) {
+        reject(signal.reason);
+      } else if (error) {
+        error.stderr = stderr;
+        recordFfmpegFailure('ffprobe', probeFailureReason(error));
+        reject(error);
+      } else {
+        resolve(JSON.parse(stdout));
+      }
+    });
+  });
+
+// Start ffmpeg writing its output to stdout (args end in e.g. "-f mp4 pipe:1")
+// and return the child process. The caller reads child.stdout and kills the
+// process if the consumer goes away.
+export const spawnFfmpegStream = (args) =>
+  spawn('ffmpeg', ['-hide_banner', '-loglevel', 'error', ...args], { stdio: ['ignore', 'pipe', 'pipe'] });
@@ -0,0 +1,30 @@
+// Parse a Range header against a resource of `size` bytes.
+// Returns null when there's no usable single byte range (serve the whole
+// resource), { unsatisfiable: true } when it starts past the end, or
+// { start, end } with inclusive offsets. Multi-range requests get the whole
+// resource, which RFC 9110 allows.
+export const parseRange = (header, size) => {
+  const match = typeof header === 'string' && header.match(/^bytes=(\d*)-(\d*)$/);
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+
+  // bytes=-N is the last N bytes
+  if (match[1] === '') {
+    const length = parseInt(match[2]);
+    if (length === 0) return { unsatisfiable: true };
+    return { start: Math.max(0, size - length), end: size - 1 };
+  }
+
+  const start = parseInt(match[1]);
+  const end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2]), size - 1);
+  if (start >= size) return { unsatisfiable: true };
+  if (end < start) return null;
+  return { start, end };
+};
+
+// Whether an If-None-Match / If-Range header lists the given ETag. Weak
+// comparison, as If-None-Match requires; "*" matches anything.
+export const etagMatches = (header, etag) => {
+  if (!header || !etag) return false;
+  const strip = (tag) => tag.trim().replace(/^W\//, '');
+  return header.split(',').some((tag) => tag.trim() === '*' || strip(tag) === strip(etag));
+};
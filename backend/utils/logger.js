@@ -0,0 +1,84 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import dotenv from 'dotenv';
+import os from 'os';
+
+dotenv.config();
+
+// Structured logger. Every line has a level and a message, plus the fields
+// passed with it and the fields bound to the context it runs in - request id,
+// video id, pipeline stage, job id - so one video can be followed through
+// initiate, process and analyze across API instances and workers.
+//   LOG_LEVEL   debug | info | warn | error (default info)
+//   LOG_FORMAT  json (one object per line) | pretty (default json in production)
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const LOG_LEVEL = LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info';
+export const LOG_FORMAT = ['json', 'pretty'].includes(process.env.LOG_FORMAT)
+  ? process.env.LOG_FORMAT
+  : process.env.NODE_ENV === 'production' ? 'json' : 'pretty';
+
+const HOSTNAME = os.hostname();
+
+const context = new AsyncLocalStorage();
+
+// Run fn with fields bound to every line logged while it runs, async work included
+export const withLogContext = (fields, fn) => context.run({ ...context.getStore(), ...fields }, fn);
+
+// Bind more fields to the current context, e.g. the video id once a request handler knows it
+export const bindLogContext = (fields) => {
+  Object.assign(context.getStore() ?? {}, fields);
+};
+
+// Fields bound to the current context
+export const getLogContext = () => context.getStore() ?? {};
+
+// Errors have no enumerable fields, so JSON.stringify would drop them
+const serialize = (value) => (value instanceof Error
+  ? { name: value.name, message: value.message, code: value.code, stack: value.stack }
+  : value);
+
+const formatPretty = ({ time, level, msg, ...fields }) => {
+  const stacks = [];
+  const pairs = Object.entries(fields)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => {
+      if (value?.stack) {
+        stacks.push(value.stack);
+        return `${key}=${JSON.stringify(value.message)}`;
+      }
+      const text = typeof value === 'string' ? value : JSON.stringify(value);
+      return `${key}=${/\s/.test(text) ? JSON.stringify(text) : text}`;
+    });
+
+  return [
+    `${time.slice(11, 23)} ${level.toUpperCase().padEnd(5)} ${msg}${pairs.length ? `  ${pairs.join(' ')}` : ''}`,
+    ...stacks,
+  ].join('\n');
+};
+
+const write = (level, message, fields = {}) => {
+  if (LEVELS[level] < LEVELS[LOG_LEVEL]) return;
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: message,
+    ...getLogContext(),
+    ...Object.fromEntries(Object.entries(fields).map(([key, value]) => [key, serialize(value)])),
+  };
+
+  const line = LOG_FORMAT === 'json'
+    ? JSON.stringify({ ...entry, pid: process.pid, hostname: HOSTNAME })
+    : formatPretty(entry);
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+};
+
+// logger.info(message, { ...fields })
+const logger = {
+  debug: (message, fields) => write('debug', message, fields),
+  info: (message, fields) => write('info', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  error: (message, fields) => write('error', message, fields),
+};
+
+export default logger;
@@ -0,0 +1,84 @@
+import dotenv from 'dotenv';
+import redis from './config/redis.js';
+import { processingQueue, webhookQueue, clipQueue } from './services/queues.js';
+import { processVideoJob, handleProcessingFailure } from './services/videoProcessor.js';
+import { processClipJob, handleClipFailure } from './services/clips.js';
+import { startCancelListener } from './services/cancellation.js';
+import { reapStaleSessions } from './services/reaper.js';
+import { sendDelivery } from './services/webhooks.js';
+import { startMetricsServer } from './services/metrics.js';
+import { runSweep } from './services/lifecycle.js';
+import retention from './config/retention.js';
+import logger, { withLogContext } from './utils/logger.js';
+
+dotenv.config();
+
+const CONCURRENCY = parseInt(process.env.WORKER_CONCURRENCY) || 1;
+const WEBHOOK_CONCURRENCY = parseInt(process.env.WEBHOOK_CONCURRENCY) || 4;
+const CLIP_CONCURRENCY = parseInt(process.env.CLIP_CONCURRENCY) || 1;
+const REAPER_INTERVAL_SECONDS = parseInt(process.env.REAPER_INTERVAL_SECONDS) || 60;
+// Port the worker serves GET /metrics on; 0 disables it
+const METRICS_PORT = parseInt(process.env.METRICS_PORT ?? 9464);
+
+// Cancel requests from the API abort this worker's jobs for the video
+const stopCancelListener = await startCancelListener();
+
+const stopMetricsServer = METRICS_PORT > 0 ? startMetricsServer(METRICS_PORT) : null;
+
+// Bind the job, its video and the request that queued it to every line a
+// job handler logs
+const inJobContext = (stage, handler) => (job, ...args) => withLogContext({
+  requestId: job.data.requestId,
+  videoId: job.data.videoId,
+  jobId: job.id,
+  stage,
+}, () => handler(job, ...args));
+
+const stopProcessing = processingQueue.consume(inJobContext('process', processVideoJob), {
+  concurrency: CONCURRENCY,
+  onFailed: inJobContext('process', handleProcessingFailure),
+});
+
+const stopWebhooks = webhookQueue.consume(inJobContext('webhook', sendDelivery), {
+  concurrency: WEBHOOK_CONCURRENCY,
+  onFailed: inJobContext('webhook', (job, error, willRetry) => {
+    logger.warn(`Webhook delivery ${job.data.deliveryId} attempt ${job.attempts} failed${willRetry ? ', will retry' : ''}: ${error.message}`);
+  }),
+});
+
+const stopClips = clipQueue.consume(inJobContext('clip', processClipJob), {
+  concurrency: CLIP_CONCURRENCY,
+  onFailed: inJobContext('clip', handleClipFailure),
+});
+
+// Recover videos a dead worker left queued or processing - once at startup,
+// then on a timer to catch workers that die while this one runs
+const reap = () => {
+  reapStaleSessions().catch((error) => logger.error('Stale session reaper failed', { error: error.message }));
+};
+reap();
+const reaperTimer = setInterval(reap, REAPER_INTERVAL_SECONDS * 1000);
+
+// Apply retention rules on a timer; the sweep lock keeps workers from overlapping
+const sweepTimer = retention.sweepIntervalMinutes > 0
+  ? setInterval(() => {
+    runSweep().catch((error) => logger.error('Scheduled sweep failed', { error: error.message }));
+  }, retention.sweepIntervalMinutes * 60 * 1000)
+  : null;
+
+logger.info(`Video worker started (pid ${process.pid}, concurrency ${CONCURRENCY}, webhook concurrency ${WEBHOOK_CONCURRENCY}, clip concurrency ${CLIP_CONCURRENCY})`);
+
+// Finish in-flight jobs before exiting
+const shutdown = async (signal) => {
+  logger.info(`${signal} received, waiting for in-flight jobs...`);
+  clearInterval(sweepTimer);
+  clearInterval(reaperTimer);
+  await Promise.all([stopProcessing(), stopWebhooks(), stopClips()]);
+  stopCancelListener();
+  await stopMetricsServer?.();
+  await redis.quit();
+  process.exit(0);
+};
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
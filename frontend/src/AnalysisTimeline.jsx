@@ -0,0 +1,82 @@
+import { useState } from 'react';
+
+const formatTime = (seconds) => {
+  const m = Math.floor(seconds / 60);
+  const s = Math.floor(seconds % 60);
+  return `${m}:${String(s).padStart(2, '0')}`;
+};
+
+// Analysis events in absolute video time, filterable by label. Clicking an
+// event seeks the player to it.
+function AnalysisTimeline({ timeline, videoRef }) {
+  const [selectedLabel, setSelectedLabel] = useState(null);
+
+  const events = selectedLabel
+    ? timeline.events.filter((event) => event.label === selectedLabel)
+    : timeline.events;
+
+  const seekTo = (seconds) => {
+    if (videoRef.current) {
+      videoRef.current.currentTime = seconds;
+      videoRef.current.play().catch(() => {});
+    }
+  };
+
+  return (
+    <div className="analysis-timeline">
+      <div className="timeline-labels">
+        <button
+          className={`timeline-label ${selectedLabel === null ? 'active' : ''}`}
+          onClick={() => setSelectedLabel(null)}
+        >
+          All ({timeline.events.length})
+        </button>
+        {timeline.labels.map(({ label, count }) => (
+          <button
+            key={label}
+            className={`timeline-label ${selectedLabel === label ? 'active' : ''}`}
+            onClick={() => setSelectedLabel(label)}
+          >
+            {label} ({count})
+          </button>
+        ))}
+      </div>
+
+      {timeline.missingChunks?.length > 0 && (
+        <p className="timeline-note">
+          ⚠️ Chunks {timeline.missingChunks.join(', ')} were not analyzed; their time ranges have no events.
+        </p>
+      )}
+
+      {events.length === 0 ? (
+        <p className="timeline-note">No events detected.</p>
+      ) : (
+        <table className="timeline-table">
+          <thead>
+            <tr>
+              <th>Time</th>
+              <th>Label</th>
+              <th>Confidence</th>
+              <th>Chunk</th>
+            </tr>
+          </thead>
+          <tbody>
+            {events.map((event) => (
+              <tr key={event.id} onClick={() => seekTo(event.start)}>
+                <td>
+                  {formatTime(event.start)}
+                  {event.end > event.start && ` – ${formatTime(event.end)}`}
+                </td>
+                <td>{event.label}</td>
+                <td>{event.confidence === null ? '—' : `${Math.round(event.confidence * 100)}%`}</td>
+                <td>{event.chunkIndexes.join(', ')}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+export default AnalysisTimeline;
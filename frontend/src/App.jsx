@@ -1,7 +1,48 @@
-import { useState, useRef } from 'react';
+import { useState, useRef, useEffect } from 'react';
 import axios from 'axios';
+import Hls from 'hls.js';
+import { getResumableVideoId, rememberUpload, forgetUpload, uploadParts, hashFile } from './multipartUpload';
+import ThumbnailScrubber, { parseThumbnailTrack } from './ThumbnailScrubber';
+import AnalysisTimeline from './AnalysisTimeline';
 
 const API_BASE_URL = 'http://localhost:3000/api';
+const API_KEY = import.meta.env.VITE_API_KEY;
+
+// Every backend call is authenticated; S3 requests use presigned URLs instead.
+// The key ends up in the bundle, so it is for local development only.
+if (API_KEY) {
+  axios.defaults.headers.common['X-API-Key'] = API_KEY;
+}
+
+// EventSource and native HLS playback can't send headers, so those URLs carry
+// a short-lived token that only opens this one video - never the API key
+const withVideoToken = async (videoId, url) => {
+  const response = await axios.post(`${API_BASE_URL}/upload/token/${videoId}`);
+  return `${url}?token=${encodeURIComponent(response.data.token)}`;
+};
+
+// Progress bar range [start, end] for each pipeline stage
+const STAGE_PROGRESS = {
+  uploading: [0, 25],
+  downloading: [25, 35],
+  segmenting: [35, 42],
+  uploading_chunks: [42, 46],
+  packaging_hls: [46, 58],
+  thumbnails: [58, 60],
+  analyzing: [60, 95],
+};
+
+// Chunking strategies offered in the UI (sent as the segmentation spec)
+const SEGMENTATION_OPTIONS = {
+  fixed: { label: 'Fixed length (120s)', spec: { mode: 'fixed', duration: 120 } },
+  scene: { label: 'Scene changes', spec: { mode: 'scene', threshold: 0.4 } },
+  silence: { label: 'Silences in audio', spec: { mode: 'silence', noiseDb: -30, minSilence: 0.5 } },
+};
+
+const stageToPercent = (stage, fraction) => {
+  const [start, end] = STAGE_PROGRESS[stage];
+  return Math.round(start + (end - start) * Math.min(Math.max(fraction, 0), 1));
+};
 
 function App() {
   const [selectedFile, setSelectedFile] = useState(null);
@@ -11,11 +52,47 @@ function App() {
   const [progress, setProgress] = useState(0);
   const [uploadStatus, setUploadStatus] = useState('');
   const [analysisResults, setAnalysisResults] = useState(null);
+  const [analysisSummary, setAnalysisSummary] = useState(null);
+  const [analysisTimeline, setAnalysisTimeline] = useState(null);
   const [videoUrl, setVideoUrl] = useState(null);
   const [error, setError] = useState(null);
   const [videoId, setVideoId] = useState(null);
   const [chunkCount, setChunkCount] = useState(0);
+  const [thumbnails, setThumbnails] = useState(null);
+  const [segmentationMode, setSegmentationMode] = useState('fixed');
   const videoRef = useRef(null);
+  const eventSourceRef = useRef(null);
+
+  // Close the event stream when the component unmounts
+  useEffect(() => () => eventSourceRef.current?.close(), []);
+
+  // Attach the HLS playlist to the player: hls.js where MSE is available,
+  // native playback otherwise (Safari/iOS)
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!videoUrl || !video) return undefined;
+
+    if (Hls.isSupported()) {
+      const hls = new Hls();
+      hls.loadSource(videoUrl);
+      hls.attachMedia(video);
+      hls.on(Hls.Events.ERROR, (event, data) => {
+        if (data.fatal) {
+          console.error('HLS playback error:', data);
+          setError(`Playback error: ${data.details}`);
+        }
+      });
+      return () => hls.destroy();
+    }
+
+    if (video.canPlayType('application/vnd.apple.mpegurl')) {
+      video.src = videoUrl;
+      return () => video.removeAttribute('src');
+    }
+
+    setError('This browser cannot play HLS video');
+    return undefined;
+  }, [videoUrl]);
 
   // Handle file selection
   const handleFileSelect = (event) => {
@@ -24,50 +101,110 @@ function App() {
       setSelectedFile(file);
       setError(null);
       setAnalysisResults(null);
+      setAnalysisSummary(null);
+      setAnalysisTimeline(null);
       setVideoUrl(null);
       setProgress(0);
       setUploadStatus('');
       setChunkCount(0);
+      setThumbnails(null);
     } else {
       setError('Please select a valid video file');
     }
   };
 
-  // Fetch and stitch chunks into a playable blob
-  const stitchChunksForPlayback = async (chunkUrlsArray) => {
-    try {
-      setUploadStatus('Preparing video for playback...');
-      
-      const chunks = [];
-      
-      // Fetch all chunks
-      for (let i = 0; i < chunkUrlsArray.length; i++) {
-        console.log(`📥 Downloading chunk ${i + 1}/${chunkUrlsArray.length}...`);
-        const response = await fetch(chunkUrlsArray[i]);
-        if (!response.ok) {
-          throw new Error(`Failed to fetch chunk ${i}`);
-        }
-        const blob = await response.blob();
-        chunks.push(blob);
-        
-        // Update progress
-        const downloadProgress = 90 + ((i + 1) / chunkUrlsArray.length) * 10;
-        setProgress(Math.round(downloadProgress));
-      }
-      
-      // Concatenate all chunks into single blob
-      const stitchedBlob = new Blob(chunks, { type: 'video/mp4' });
-      const blobUrl = URL.createObjectURL(stitchedBlob);
-      
-      console.log(`✅ Video stitched successfully: ${(stitchedBlob.size / (1024 * 1024)).toFixed(2)} MB`);
-      setUploadStatus('Video ready for playback!');
-      return blobUrl;
-    } catch (err) {
-      console.error('Error stitching chunks:', err);
-      throw err;
+  // Map a server progress event onto the progress bar and status text
+  const handleProgressEvent = (event) => {
+    switch (event.stage) {
+      case 'validating':
+        setUploadStatus('Checking video format...');
+        break;
+      case 'downloading':
+        setUploadStatus(`Worker downloading video... (${(event.bytesDownloaded / (1024 * 1024)).toFixed(1)} MB)`);
+        setProgress(stageToPercent('downloading', (event.percent || 0) / 100));
+        break;
+      case 'segmenting':
+        setUploadStatus(`Chunking video with FFmpeg... (${event.percent}%)`);
+        setProgress(stageToPercent('segmenting', event.percent / 100));
+        break;
+      case 'uploading_chunks':
+        setUploadStatus(`Uploading chunks to S3... (${event.chunksUploaded}/${event.totalChunks})`);
+        setProgress(stageToPercent('uploading_chunks', event.chunksUploaded / event.totalChunks));
+        break;
+      case 'packaging_hls':
+        setUploadStatus(`Packaging HLS ${event.rendition} (${event.renditionIndex + 1}/${event.totalRenditions})... (${event.percent}%)`);
+        setProgress(stageToPercent('packaging_hls', (event.renditionIndex + event.percent / 100) / event.totalRenditions));
+        break;
+      case 'thumbnails':
+        setUploadStatus(`Generating thumbnails... (${event.percent}%)`);
+        setProgress(stageToPercent('thumbnails', event.percent / 100));
+        break;
+      case 'analyzing':
+        setUploadStatus(
+          `Analyzing chunks... (${event.chunksAnalyzed}/${event.totalChunks} analyzed` +
+          `${event.chunksFailed ? `, ${event.chunksFailed} failed` : ''})`
+        );
+        setProgress(stageToPercent('analyzing', (event.chunksAnalyzed + event.chunksFailed) / event.totalChunks));
+        break;
+      default:
+        break;
     }
   };
 
+  // Fetch the poster, sprite URLs and parsed WebVTT thumbnail cues
+  const loadThumbnails = async (id) => {
+    const response = await axios.get(`${API_BASE_URL}/upload/thumbnails/${id}`);
+    const { posterUrl, trackUrl, sprites } = response.data;
+
+    const trackResponse = await fetch(trackUrl);
+    if (!trackResponse.ok) {
+      throw new Error(`Failed to fetch thumbnail track (${trackResponse.status})`);
+    }
+
+    setThumbnails({
+      posterUrl,
+      sprites,
+      cues: parseThumbnailTrack(await trackResponse.text()),
+    });
+  };
+
+  // Subscribe to the backend's live pipeline events for a video
+  const openEventStream = async (id) => {
+    eventSourceRef.current?.close();
+
+    const source = new EventSource(await withVideoToken(id, `${API_BASE_URL}/upload/events/${id}`));
+    source.addEventListener('progress', (e) => handleProgressEvent(JSON.parse(e.data)));
+    eventSourceRef.current = source;
+    return source;
+  };
+
+  // Resolve once the stream reports the target status; reject if the pipeline fails
+  const waitForStatus = (source, targetStatuses) =>
+    new Promise((resolve, reject) => {
+      const onStatus = (e) => {
+        const event = JSON.parse(e.data);
+
+        if ([].concat(targetStatuses).includes(event.status)) {
+          source.removeEventListener('status', onStatus);
+          resolve(event);
+        } else if (event.status === 'failed') {
+          source.removeEventListener('status', onStatus);
+          reject(new Error(event.error || 'Video processing failed'));
+        } else if (event.status === 'cancelled') {
+          source.removeEventListener('status', onStatus);
+          reject(new Error('Video processing was cancelled'));
+        } else if (event.status === 'rejected') {
+          source.removeEventListener('status', onStatus);
+          const reasons = (event.validationErrors || []).map((e) => e.message).join('; ');
+          reject(new Error(`Video rejected: ${reasons || event.error}`));
+        } else if (event.status === 'queued' && event.attempts) {
+          setUploadStatus(`Processing failed, retrying (attempt ${event.attempts + 1})...`);
+        }
+      };
+
+      source.addEventListener('status', onStatus);
+    });
+
   // Upload and process video
   const handleUpload = async () => {
     if (!selectedFile) {
@@ -78,82 +215,123 @@ function App() {
     try {
       setError(null);
       
-      // Step 1: Initiate upload
+      // Step 1: Resume an interrupted upload of this file, or initiate a new one
       setUploading(true);
       setUploadStatus('Getting upload URL...');
       setProgress(5);
 
-      const initiateResponse = await axios.post(`${API_BASE_URL}/upload/initiate`, {
-        fileName: selectedFile.name,
-        fileSize: selectedFile.size,
-      });
+      let upload = null;
+      const resumableVideoId = getResumableVideoId(selectedFile);
+      if (resumableVideoId) {
+        try {
+          const partsResponse = await axios.get(`${API_BASE_URL}/upload/parts/${resumableVideoId}`);
+          upload = { videoId: resumableVideoId, ...partsResponse.data };
+          console.log(`🔁 Resuming upload ${resumableVideoId}: ${upload.completedParts.length}/${upload.totalParts} parts done`);
+        } catch (resumeErr) {
+          // Session expired or upload no longer in progress - start over
+          forgetUpload(selectedFile);
+        }
+      }
 
-      const { videoId: newVideoId, uploadUrl } = initiateResponse.data;
+      if (!upload) {
+        // The backend checks the stored video against this checksum before processing it
+        const sha256 = await hashFile(selectedFile, (hashed, total) => {
+          setUploadStatus(`Computing checksum... (${Math.round((hashed / total) * 100)}%)`);
+        });
+
+        const initiateResponse = await axios.post(`${API_BASE_URL}/upload/initiate`, {
+          fileName: selectedFile.name,
+          fileSize: selectedFile.size,
+          contentType: selectedFile.type,
+          sha256,
+          segmentation: SEGMENTATION_OPTIONS[segmentationMode].spec,
+        });
+        upload = { ...initiateResponse.data, completedParts: [] };
+        rememberUpload(selectedFile, upload.videoId);
+      }
+
+      const newVideoId = upload.videoId;
       setVideoId(newVideoId);
       console.log(`🆔 Video ID: ${newVideoId}`);
 
-      // Step 2: Upload full video to S3
+      // Step 2: Upload parts to S3 in parallel, then complete the multipart upload
       setUploadStatus('Uploading video to S3...');
-      console.log(`📤 Uploading ${(selectedFile.size / (1024 * 1024)).toFixed(2)} MB video...`);
+      console.log(`📤 Uploading ${(selectedFile.size / (1024 * 1024)).toFixed(2)} MB video in ${upload.totalParts} parts...`);
 
-      const uploadResponse = await fetch(uploadUrl, {
-        method: 'PUT',
-        body: selectedFile,
-        headers: {
-          'Content-Type': 'video/mp4',
+      await uploadParts({
+        apiBaseUrl: API_BASE_URL,
+        file: selectedFile,
+        videoId: newVideoId,
+        partSize: upload.partSize,
+        totalParts: upload.totalParts,
+        completedParts: upload.completedParts,
+        onProgress: (done, total) => {
+          setUploadStatus(`Uploading video to S3... (${done}/${total} parts)`);
+          setProgress(stageToPercent('uploading', done / total));
         },
       });
 
-      if (!uploadResponse.ok) {
-        throw new Error(`Upload failed with status ${uploadResponse.status}`);
-      }
+      await axios.post(`${API_BASE_URL}/upload/complete`, { videoId: newVideoId });
+      forgetUpload(selectedFile);
 
       console.log('✅ Video uploaded to S3');
       setUploading(false);
-      setProgress(25);
+      setProgress(stageToPercent('uploading', 1));
+
+      const events = await openEventStream(newVideoId);
 
       // Step 3: Process video (backend downloads, chunks with FFmpeg, uploads chunks)
       setProcessing(true);
       setUploadStatus('Processing video with FFmpeg (chunking)...');
       console.log('✂️  Backend is chunking video with FFmpeg...');
 
+      const chunked = waitForStatus(events, 'chunked');
       const processResponse = await axios.post(`${API_BASE_URL}/upload/process`, {
         videoId: newVideoId,
       });
+      console.log(`📋 Processing job queued: ${processResponse.data.jobId}`);
 
-      const { totalChunks } = processResponse.data;
+      const { totalChunks } = await chunked;
       setChunkCount(totalChunks);
       console.log(`✅ Video chunked into ${totalChunks} valid MP4 segments`);
       setProcessing(false);
-      setProgress(50);
+      setProgress(stageToPercent('thumbnails', 1));
+
+      // Poster and seek-preview sprites are ready once the video is chunked
+      loadThumbnails(newVideoId).catch((thumbErr) => {
+        console.error('Failed to load thumbnails:', thumbErr);
+      });
 
       // Step 4: Trigger analysis
       setAnalyzing(true);
       setUploadStatus(`Analyzing ${totalChunks} chunks...`);
       console.log(`🚀 Sending ${totalChunks} chunk URLs to FastAPI...`);
 
-      const analyzeResponse = await axios.post(`${API_BASE_URL}/upload/analyze`, {
-        videoId: newVideoId,
-      });
-
-      const { analysisResults: results } = analyzeResponse.data;
+      const { analysisResults: results, analysisSummary: summary, analysisTimeline: timeline } = await runAnalysis(
+        events,
+        newVideoId,
+        () => axios.post(`${API_BASE_URL}/upload/analyze`, { videoId: newVideoId })
+      );
       setAnalysisResults(results);
-      console.log('✅ Analysis completed');
-      setProgress(80);
-
-      // Step 5: Set video URL to playback endpoint (returns presigned URL to original video)
-      // Backend returns the presigned URL for the original video in S3
-      setUploadStatus('Getting playback URL...');
-      const playbackResponse = await axios.get(`${API_BASE_URL}/upload/playback/${newVideoId}`);
-      const { playbackUrl } = playbackResponse.data;
-      
-      setVideoUrl(playbackUrl);
+      setAnalysisSummary(summary);
+      setAnalysisTimeline(timeline);
+      console.log(`✅ Analysis ${summary.status}: ${summary.completed}/${summary.total} chunks`);
+      setProgress(stageToPercent('analyzing', 1));
+
+      // Step 5: Play back through the HLS playlist (segment URLs are signed by the backend)
+      setVideoUrl(await withVideoToken(newVideoId, `${API_BASE_URL}/upload/hls/${newVideoId}/playlist.m3u8`));
 
       setAnalyzing(false);
-      setUploadStatus('Complete! Video ready to play.');
+      setUploadStatus(
+        summary.failed
+          ? `Complete, but ${summary.failed} chunks could not be analyzed. Video ready to play.`
+          : 'Complete! Video ready to play.'
+      );
       setProgress(100);
+      events.close();
     } catch (err) {
       console.error('Upload error:', err);
+      eventSourceRef.current?.close();
       setError(err.response?.data?.message || err.message || 'Upload failed');
       setUploading(false);
       setProcessing(false);
@@ -161,6 +339,67 @@ function App() {
     }
   };
 
+  // Start analysis and return its results. In callback mode the backend answers
+  // 202 straight away and the results are fetched once the event stream says
+  // analysis has finished.
+  const runAnalysis = async (source, id, submit) => {
+    const finished = waitForStatus(source, ['completed', 'partially_completed']);
+    finished.catch(() => {}); // in sync mode failures surface through the response
+
+    const response = await submit();
+    if (response.status !== 202) {
+      return response.data;
+    }
+
+    setUploadStatus('Analysis submitted, waiting for results...');
+    await finished;
+    const analysisResponse = await axios.get(`${API_BASE_URL}/upload/analysis/${id}`);
+    return analysisResponse.data;
+  };
+
+  // Stop the backend's processing; the event stream then reports 'cancelled'
+  const handleCancel = async () => {
+    try {
+      setUploadStatus('Cancelling...');
+      await axios.post(`${API_BASE_URL}/upload/cancel/${videoId}`);
+    } catch (err) {
+      console.error('Cancel error:', err);
+      setError(err.response?.data?.message || err.message || 'Cancel failed');
+    }
+  };
+
+  // Re-run analysis for the chunks that failed, keeping the ones that succeeded
+  const handleRetryFailed = async () => {
+    let events;
+
+    try {
+      events = await openEventStream(videoId);
+      setError(null);
+      setAnalyzing(true);
+      setUploadStatus(`Retrying ${analysisSummary.failed} failed chunks...`);
+
+      const retried = await runAnalysis(
+        events,
+        videoId,
+        () => axios.post(`${API_BASE_URL}/upload/analyze/retry`, { videoId })
+      );
+      setAnalysisResults(retried.analysisResults);
+      setAnalysisSummary(retried.analysisSummary);
+      setAnalysisTimeline(retried.analysisTimeline);
+      setUploadStatus(
+        retried.analysisSummary.failed
+          ? `${retried.analysisSummary.failed} chunks still failed`
+          : 'All chunks analyzed'
+      );
+    } catch (err) {
+      console.error('Retry error:', err);
+      setError(err.response?.data?.message || err.message || 'Retry failed');
+    } finally {
+      setAnalyzing(false);
+      events?.close();
+    }
+  };
+
   return (
     <div className="app">
       <div className="header">
@@ -190,12 +429,26 @@ function App() {
             <p><strong>Name:</strong> {selectedFile.name}</p>
             <p><strong>Size:</strong> {(selectedFile.size / (1024 * 1024)).toFixed(2)} MB</p>
             <p><strong>Type:</strong> {selectedFile.type}</p>
+            <p>
+              <strong>Chunking:</strong>{' '}
+              <select
+                value={segmentationMode}
+                onChange={(e) => setSegmentationMode(e.target.value)}
+                disabled={uploading || processing || analyzing}
+              >
+                {Object.entries(SEGMENTATION_OPTIONS).map(([mode, option]) => (
+                  <option key={mode} value={mode}>{option.label}</option>
+                ))}
+              </select>
+            </p>
             <p><strong>Processing:</strong></p>
             <ul style={{ marginLeft: '20px', marginTop: '5px' }}>
-              <li>✅ Upload full video to S3</li>
-              <li>✅ Backend chunks with FFmpeg (120s segments)</li>
+              <li>✅ Upload to S3 in parallel parts (resumable)</li>
+              <li>✅ Backend chunks with FFmpeg ({SEGMENTATION_OPTIONS[segmentationMode].label.toLowerCase()})</li>
               <li>✅ Each chunk = valid MP4 with correct metadata</li>
-              <li>✅ FastAPI gets all chunk URLs (parallel processing)</li>
+              <li>✅ HLS packaging with a 1080p/720p/480p adaptive ladder</li>
+              <li>✅ Poster frame and seek-preview thumbnail sprites</li>
+              <li>✅ FastAPI analyzes chunks in parallel, retrying failures</li>
             </ul>
           </div>
         )}
@@ -228,15 +481,18 @@ function App() {
               <p style={{ color: '#999', fontSize: '0.9rem', marginTop: '10px' }}>
                 This ensures each chunk is playable with correct duration
               </p>
+              <button className="upload-button" onClick={handleCancel}>
+                Cancel processing
+              </button>
             </div>
           )}
 
           {analyzing && (
             <div className="spinner">
               <div className="spinner-animation"></div>
-              <p>🔍 Analyzing {chunkCount} chunks... This may take up to 5 minutes.</p>
+              <p>🔍 Analyzing {chunkCount} chunks...</p>
               <p style={{ color: '#999', fontSize: '0.9rem', marginTop: '10px' }}>
-                FastAPI is processing all chunks in parallel
+                Chunks are analyzed in parallel; failed chunks are retried
               </p>
             </div>
           )}
@@ -252,20 +508,38 @@ function App() {
       )}
 
       {/* Success Message */}
-      {analysisResults && !analyzing && (
+      {analysisResults && !analyzing && !analysisSummary?.failed && (
         <div className="success-message">
           <h3>✅ Success</h3>
           <p>Video chunked into {chunkCount} valid MP4 segments and analyzed successfully!</p>
         </div>
       )}
 
+      {/* Partial results - some chunks failed analysis */}
+      {analysisResults && !analyzing && analysisSummary?.failed > 0 && (
+        <div className="error-message">
+          <h3>⚠️ Partially analyzed</h3>
+          <p>
+            {analysisSummary.completed} of {analysisSummary.total} chunks were analyzed;{' '}
+            {analysisSummary.failed} failed.
+          </p>
+          <button className="upload-button" onClick={handleRetryFailed}>
+            Retry failed chunks
+          </button>
+        </div>
+      )}
+
       {/* Analysis Results */}
       {analysisResults && (
         <div className="results-section">
           <h2>📊 Analysis Results</h2>
-          <div className="results-content">
-            <pre>{JSON.stringify(analysisResults, null, 2)}</pre>
-          </div>
+          {analysisTimeline && <AnalysisTimeline timeline={analysisTimeline} videoRef={videoRef} />}
+          <details>
+            <summary>Raw per-chunk results</summary>
+            <div className="results-content">
+              <pre>{JSON.stringify(analysisResults, null, 2)}</pre>
+            </div>
+          </details>
         </div>
       )}
 
@@ -274,13 +548,15 @@ function App() {
         <div className="video-player-section">
           <h2>▶️ Video Playback</h2>
           <div className="video-container">
-            <video ref={videoRef} controls>
-              <source src={videoUrl} type="video/mp4" />
+            <video ref={videoRef} controls poster={thumbnails?.posterUrl}>
               Your browser does not support the video tag.
             </video>
           </div>
+          {thumbnails && (
+            <ThumbnailScrubber cues={thumbnails.cues} sprites={thumbnails.sprites} videoRef={videoRef} />
+          )}
           <p style={{ textAlign: 'center', marginTop: '10px', color: '#999', fontSize: '0.9rem' }}>
-            ✅ Streaming all {chunkCount} chunks server-side (backend does the stitching!)
+            ✅ Adaptive HLS streaming with signed segment URLs
           </p>
         </div>
       )}
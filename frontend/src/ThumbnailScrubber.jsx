@@ -0,0 +1,96 @@
+import { useState } from 'react';
+
+// Parse a WebVTT thumbnail track into cues:
+// { start, end, sprite, x, y, width, height } (times in seconds)
+export const parseThumbnailTrack = (vttText) => {
+  const toSeconds = (timestamp) => {
+    const parts = timestamp.split(':').map(parseFloat);
+    return parts.reduce((total, part) => total * 60 + part, 0);
+  };
+
+  const cues = [];
+  const lines = vttText.split(/\r?\n/);
+
+  for (let i = 0; i < lines.length; i++) {
+    const timing = lines[i].match(/^([\d:.]+)\s+-->\s+([\d:.]+)/);
+    if (!timing) continue;
+
+    const target = lines[i + 1]?.match(/^(.+)#xywh=(\d+),(\d+),(\d+),(\d+)$/);
+    if (!target) continue;
+
+    cues.push({
+      start: toSeconds(timing[1]),
+      end: toSeconds(timing[2]),
+      sprite: target[1],
+      x: parseInt(target[2]),
+      y: parseInt(target[3]),
+      width: parseInt(target[4]),
+      height: parseInt(target[5]),
+    });
+  }
+
+  return cues;
+};
+
+// Seek bar that previews the frame under the cursor using the sprite sheets
+function ThumbnailScrubber({ cues, sprites, videoRef }) {
+  const [hover, setHover] = useState(null);
+
+  if (!cues.length) return null;
+
+  const duration = cues[cues.length - 1].end;
+
+  const timeAt = (event) => {
+    const rect = event.currentTarget.getBoundingClientRect();
+    const fraction = Math.min(Math.max((event.clientX - rect.left) / rect.width, 0), 1);
+    return { time: fraction * duration, offset: event.clientX - rect.left };
+  };
+
+  const handleMouseMove = (event) => {
+    const { time, offset } = timeAt(event);
+    const cue = cues.find((c) => time >= c.start && time < c.end) || cues[cues.length - 1];
+    setHover({ time, offset, cue });
+  };
+
+  const handleClick = (event) => {
+    if (videoRef.current) {
+      videoRef.current.currentTime = timeAt(event).time;
+    }
+  };
+
+  const formatTime = (seconds) => {
+    const m = Math.floor(seconds / 60);
+    const s = Math.floor(seconds % 60);
+    return `${m}:${String(s).padStart(2, '0')}`;
+  };
+
+  return (
+    <div
+      className="thumbnail-scrubber"
+      onMouseMove={handleMouseMove}
+      onMouseLeave={() => setHover(null)}
+      onClick={handleClick}
+    >
+      <div className="thumbnail-scrubber-track" />
+      {hover && (
+        <div
+          className="thumbnail-preview"
+          style={{ left: hover.offset, width: hover.cue.width }}
+        >
+          <div
+            className="thumbnail-preview-image"
+            style={{
+              width: hover.cue.width,
+              height: hover.cue.height,
+              backgroundImage: `url(${sprites[hover.cue.sprite]})`,
+              backgroundPosition: `-${hover.cue.x}px -${hover.cue.y}px`,
+            }}
+          />
+          <span>{formatTime(hover.time)}</span>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ThumbnailScrubber;
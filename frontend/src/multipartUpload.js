@@ -0,0 +1,178 @@
+import axios from 'axios';
+import { createSHA256 } from 'hash-wasm';
+
+const PART_CONCURRENCY = 4;
+const MAX_PART_RETRIES = 3;
+const SIGN_BATCH_SIZE = 20;
+// Re-sign a part URL this long before it expires, so it can't lapse mid-request
+const URL_EXPIRY_MARGIN_MS = 5 * 60 * 1000;
+const HASH_SLICE_SIZE = 8 * 1024 * 1024;
+
+const RESUME_PREFIX = 'multipart-upload:';
+
+// Identify a file across page reloads so an interrupted upload can be resumed
+const resumeKey = (file) => `${RESUME_PREFIX}${file.name}:${file.size}:${file.lastModified}`;
+
+export const getResumableVideoId = (file) => localStorage.getItem(resumeKey(file));
+
+export const rememberUpload = (file, videoId) => {
+  localStorage.setItem(resumeKey(file), videoId);
+};
+
+export const forgetUpload = (file) => {
+  localStorage.removeItem(resumeKey(file));
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// SHA-256 (hex) of the whole file, read in slices so large files never sit in memory
+export const hashFile = async (file, onProgress) => {
+  const hasher = await createSHA256();
+  hasher.init();
+
+  for (let offset = 0; offset < file.size; offset += HASH_SLICE_SIZE) {
+    const slice = file.slice(offset, Math.min(offset + HASH_SLICE_SIZE, file.size));
+    hasher.update(new Uint8Array(await slice.arrayBuffer()));
+    onProgress?.(Math.min(offset + HASH_SLICE_SIZE, file.size), file.size);
+  }
+
+  return hasher.digest('hex');
+};
+
+// SHA-256 of a part, base64-encoded as S3 checksum headers expect
+const hashPart = async (blob) => {
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', await blob.arrayBuffer()));
+  return btoa(String.fromCharCode(...digest));
+};
+
+// PUT a single part, retrying with exponential backoff. S3 rejects the part
+// if its bytes don't match the checksum signed into the URL. getSignedUrl is
+// asked for a fresh URL after S3 refuses one (403), e.g. because it expired.
+const uploadPart = async (getSignedUrl, blob) => {
+  let lastError;
+  let refresh = false;
+
+  for (let attempt = 0; attempt <= MAX_PART_RETRIES; attempt++) {
+    if (attempt > 0) {
+      await sleep(1000 * 2 ** (attempt - 1));
+    }
+
+    try {
+      const { url, checksum } = await getSignedUrl({ refresh });
+      refresh = false;
+      const response = await fetch(url, {
+        method: 'PUT',
+        body: blob,
+        // Requires the bucket CORS config to allow this header
+        headers: { 'x-amz-checksum-sha256': checksum },
+      });
+      if (!response.ok) {
+        refresh = response.status === 403;
+        throw new Error(`Part upload failed with status ${response.status}`);
+      }
+
+      // Requires the bucket CORS config to expose the ETag header
+      const etag = response.headers.get('ETag');
+      if (!etag) {
+        throw new Error('S3 did not return an ETag (check bucket CORS ExposeHeaders)');
+      }
+      return etag;
+    } catch (err) {
+      lastError = err;
+    }
+  }
+
+  throw lastError;
+};
+
+// Upload every missing part of a multipart upload in parallel
+export const uploadParts = async ({
+  apiBaseUrl,
+  file,
+  videoId,
+  partSize,
+  totalParts,
+  completedParts = [],
+  onProgress,
+}) => {
+  const done = new Set(completedParts);
+  const pending = [];
+  for (let partNumber = 1; partNumber <= totalParts; partNumber++) {
+    if (!done.has(partNumber)) {
+      pending.push(partNumber);
+    }
+  }
+
+  const partBlob = (partNumber) => {
+    const start = (partNumber - 1) * partSize;
+    return file.slice(start, Math.min(start + partSize, file.size));
+  };
+
+  // URLs are signed a window ahead, so the later ones in a window wait a while
+  // before use - treat them as expired a little early and sign them again
+  const signedUrls = new Map();
+  const signing = new Map();
+  const isFresh = (partNumber) => Date.now() < (signedUrls.get(partNumber)?.expiresAt ?? 0);
+
+  // Sign a set of parts in one request. Workers reaching any of them while it
+  // is in flight wait on the same request rather than signing again.
+  const signParts = (partNumbers) => {
+    const request = (async () => {
+      const checksums = {};
+      for (const partNumber of partNumbers) {
+        checksums[partNumber] = signedUrls.get(partNumber)?.checksum ?? await hashPart(partBlob(partNumber));
+      }
+
+      const response = await axios.post(`${apiBaseUrl}/upload/parts/sign`, { videoId, partNumbers, checksums });
+      const lifetimeMs = response.data.expiresIn * 1000;
+      const expiresAt = Date.now() + lifetimeMs - Math.min(URL_EXPIRY_MARGIN_MS, lifetimeMs / 2);
+      for (const { partNumber, url, checksum } of response.data.urls) {
+        signedUrls.set(partNumber, { url, checksum, expiresAt });
+      }
+    })().finally(() => {
+      for (const partNumber of partNumbers) {
+        if (signing.get(partNumber) === request) signing.delete(partNumber);
+      }
+    });
+
+    for (const partNumber of partNumbers) {
+      signing.set(partNumber, request);
+    }
+    return request;
+  };
+
+  // A usable URL for the part at pending[index], signing the window from it if needed
+  const getSignedUrl = (index) => async ({ refresh = false } = {}) => {
+    const partNumber = pending[index];
+    if (refresh) signedUrls.delete(partNumber);
+
+    while (!isFresh(partNumber)) {
+      const window = pending
+        .slice(index, index + SIGN_BATCH_SIZE)
+        .filter((n) => n === partNumber || (!done.has(n) && !isFresh(n) && !signing.has(n)));
+      await (signing.get(partNumber) ?? signParts(window));
+    }
+    return signedUrls.get(partNumber);
+  };
+
+  let nextIndex = 0;
+  const worker = async () => {
+    while (nextIndex < pending.length) {
+      const index = nextIndex++;
+      const partNumber = pending[index];
+
+      const etag = await uploadPart(getSignedUrl(index), partBlob(partNumber));
+
+      await axios.post(`${apiBaseUrl}/upload/parts`, { videoId, partNumber, etag });
+
+      done.add(partNumber);
+      signedUrls.delete(partNumber);
+      onProgress?.(done.size, totalParts);
+    }
+  };
+
+  onProgress?.(done.size, totalParts);
+  await Promise.all(
+    Array.from({ length: Math.min(PART_CONCURRENCY, pending.length) }, worker)
+  );
+};